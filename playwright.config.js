@@ -22,16 +22,24 @@ export default defineConfig({
     timeout: 120_000,
   },
   projects: [
+    {
+      // In-process tests of the library modules; no browser needed
+      name: 'unit',
+      testDir: './tests/unit',
+    },
     {
       name: 'chromium',
+      testIgnore: 'unit/**',
       use: { ...devices['Desktop Chrome'] },
     },
     {
       name: 'firefox',
+      testIgnore: 'unit/**',
       use: { ...devices['Desktop Firefox'] },
     },
     {
       name: 'webkit',
+      testIgnore: 'unit/**',
       use: { ...devices['Desktop Safari'] },
     },
   ],
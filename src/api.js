@@ -899,7 +899,7 @@ export async function putValue(key, value) {
  * @param {string} space - Storage space name.
  * @param {string} key - The key to store.
  * @param {*} value - The value to store.
- * @param {object} [options] - Optional options (e.g. { owner }).
+ * @param {object} [options] - Optional options (e.g. { recipients } for private).
  * @returns {Promise<boolean>} True if stored/replicated successfully.
  */
 export async function putValueInSpace(space, key, value, options = {}) {
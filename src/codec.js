@@ -0,0 +1,462 @@
+/**
+ * Wire encodings for DHT messages.
+ *
+ * Two encodings are supported:
+ *  - "json": UTF-8 JSON text; Uint8Array values travel as { $bytes: base64 }
+ *    and object keys starting with "$" are escaped with another "$"
+ *  - "msgpack": a binary frame made of a marker byte (0xc1, which MessagePack
+ *    never uses), a wire version byte and a MessagePack body. Uint8Array
+ *    values are encoded natively as MessagePack bin.
+ *
+ * Receivers detect the encoding of every frame, so each side only has to
+ * know what the remote can decode before switching its own sends to binary.
+ */
+import { base64ToBytes, bytesToBase64 } from "./utils.js";
+
+/**
+ * Binary frame version; frames with a higher version are rejected
+ */
+const WIRE_VERSION = 1;
+
+/**
+ * First byte of a binary frame (never used by MessagePack or UTF-8 text)
+ */
+const BINARY_FRAME_MARKER = 0xc1;
+
+/**
+ * Supported encodings, most preferred first
+ */
+const WIRE_ENCODINGS = ["msgpack", "json"];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Growable byte buffer used by the MessagePack encoder
+ * @private
+ */
+class ByteWriter {
+  constructor(size = 256) {
+    this.bytes = new Uint8Array(size);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  _ensure(extra) {
+    if (this.length + extra <= this.bytes.length) return;
+    let size = this.bytes.length * 2;
+    while (size < this.length + extra) size *= 2;
+    const bytes = new Uint8Array(size);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  u8(value) {
+    this._ensure(1);
+    this.bytes[this.length++] = value;
+  }
+
+  u16(value) {
+    this._ensure(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  u32(value) {
+    this._ensure(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  u64(value) {
+    this._ensure(8);
+    this.view.setBigUint64(this.length, BigInt(value));
+    this.length += 8;
+  }
+
+  i64(value) {
+    this._ensure(8);
+    this.view.setBigInt64(this.length, BigInt(value));
+    this.length += 8;
+  }
+
+  f64(value) {
+    this._ensure(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  raw(bytes) {
+    this._ensure(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  result() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Write a MessagePack length-prefixed header
+ * @private
+ */
+function writeHeader(writer, length, fixBase, fixMax, codes) {
+  if (fixBase !== null && length <= fixMax) {
+    writer.u8(fixBase | length);
+  } else if (codes[0] !== null && length <= 0xff) {
+    writer.u8(codes[0]);
+    writer.u8(length);
+  } else if (length <= 0xffff) {
+    writer.u8(codes[1]);
+    writer.u16(length);
+  } else {
+    writer.u8(codes[2]);
+    writer.u32(length);
+  }
+}
+
+/**
+ * Encode a number as the smallest MessagePack int, or as float64
+ * @private
+ */
+function writeNumber(writer, value) {
+  if (!Number.isSafeInteger(value)) {
+    writer.u8(0xcb);
+    writer.f64(value);
+  } else if (value >= 0) {
+    if (value <= 0x7f) {
+      writer.u8(value);
+    } else if (value <= 0xff) {
+      writer.u8(0xcc);
+      writer.u8(value);
+    } else if (value <= 0xffff) {
+      writer.u8(0xcd);
+      writer.u16(value);
+    } else if (value <= 0xffffffff) {
+      writer.u8(0xce);
+      writer.u32(value);
+    } else {
+      writer.u8(0xcf);
+      writer.u64(value);
+    }
+  } else if (value >= -0x20) {
+    writer.u8(value & 0xff);
+  } else if (value >= -0x80) {
+    writer.u8(0xd0);
+    writer.u8(value & 0xff);
+  } else if (value >= -0x8000) {
+    writer.u8(0xd1);
+    writer.u16(value & 0xffff);
+  } else if (value >= -0x80000000) {
+    writer.u8(0xd2);
+    writer.u32(value >>> 0);
+  } else {
+    writer.u8(0xd3);
+    writer.i64(value);
+  }
+}
+
+/**
+ * Encode a value into the writer. Mirrors JSON.stringify semantics for
+ * undefined and functions: dropped from objects, null in arrays.
+ * @private
+ */
+function writeValue(writer, value) {
+  if (value === null || typeof value === "undefined" || typeof value === "function") {
+    writer.u8(0xc0);
+  } else if (typeof value === "boolean") {
+    writer.u8(value ? 0xc3 : 0xc2);
+  } else if (typeof value === "number") {
+    if (Number.isFinite(value)) {
+      writeNumber(writer, value);
+    } else {
+      writer.u8(0xc0);
+    }
+  } else if (typeof value === "string") {
+    const bytes = textEncoder.encode(value);
+    writeHeader(writer, bytes.length, 0xa0, 0x1f, [0xd9, 0xda, 0xdb]);
+    writer.raw(bytes);
+  } else if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+    const bytes = value instanceof ArrayBuffer ? new Uint8Array(value) : value;
+    writeHeader(writer, bytes.length, null, 0, [0xc4, 0xc5, 0xc6]);
+    writer.raw(bytes);
+  } else if (Array.isArray(value)) {
+    writeHeader(writer, value.length, 0x90, 0x0f, [null, 0xdc, 0xdd]);
+    for (const item of value) writeValue(writer, item);
+  } else if (typeof value.toJSON === "function") {
+    writeValue(writer, value.toJSON());
+  } else {
+    const keys = Object.keys(value).filter(
+      (k) => typeof value[k] !== "undefined" && typeof value[k] !== "function"
+    );
+    writeHeader(writer, keys.length, 0x80, 0x0f, [null, 0xde, 0xdf]);
+    for (const key of keys) {
+      writeValue(writer, key);
+      writeValue(writer, value[key]);
+    }
+  }
+}
+
+/**
+ * Sequential MessagePack decoder over a byte array
+ * @private
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  _advance(count) {
+    const start = this.offset;
+    if (start + count > this.bytes.length) {
+      throw new Error("Truncated binary frame");
+    }
+    this.offset += count;
+    return start;
+  }
+
+  u8() {
+    return this.bytes[this._advance(1)];
+  }
+
+  read(type, size) {
+    const at = this._advance(size);
+    switch (type) {
+      case "u16": return this.view.getUint16(at);
+      case "u32": return this.view.getUint32(at);
+      case "u64": return Number(this.view.getBigUint64(at));
+      case "i8": return this.view.getInt8(at);
+      case "i16": return this.view.getInt16(at);
+      case "i32": return this.view.getInt32(at);
+      case "i64": return Number(this.view.getBigInt64(at));
+      case "f32": return this.view.getFloat32(at);
+      default: return this.view.getFloat64(at);
+    }
+  }
+
+  str(length) {
+    const at = this._advance(length);
+    return textDecoder.decode(this.bytes.subarray(at, at + length));
+  }
+
+  bin(length) {
+    const at = this._advance(length);
+    return this.bytes.slice(at, at + length);
+  }
+
+  array(length) {
+    const out = new Array(length);
+    for (let i = 0; i < length; i++) out[i] = this.value();
+    return out;
+  }
+
+  map(length) {
+    const out = {};
+    for (let i = 0; i < length; i++) {
+      const key = this.value();
+      if (typeof key !== "string") throw new Error("Unsupported map key");
+      // Defined rather than assigned, so that a "__proto__" key becomes an
+      // own property (as with JSON.parse) instead of replacing the prototype
+      Object.defineProperty(out, key, {
+        value: this.value(),
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+    }
+    return out;
+  }
+
+  value() {
+    const byte = this.u8();
+    if (byte <= 0x7f) return byte;
+    if (byte <= 0x8f) return this.map(byte & 0x0f);
+    if (byte <= 0x9f) return this.array(byte & 0x0f);
+    if (byte <= 0xbf) return this.str(byte & 0x1f);
+    if (byte >= 0xe0) return byte - 0x100;
+    switch (byte) {
+      case 0xc0: return null;
+      case 0xc2: return false;
+      case 0xc3: return true;
+      case 0xc4: return this.bin(this.u8());
+      case 0xc5: return this.bin(this.read("u16", 2));
+      case 0xc6: return this.bin(this.read("u32", 4));
+      case 0xca: return this.read("f32", 4);
+      case 0xcb: return this.read("f64", 8);
+      case 0xcc: return this.u8();
+      case 0xcd: return this.read("u16", 2);
+      case 0xce: return this.read("u32", 4);
+      case 0xcf: return this.read("u64", 8);
+      case 0xd0: return this.read("i8", 1);
+      case 0xd1: return this.read("i16", 2);
+      case 0xd2: return this.read("i32", 4);
+      case 0xd3: return this.read("i64", 8);
+      case 0xd9: return this.str(this.u8());
+      case 0xda: return this.str(this.read("u16", 2));
+      case 0xdb: return this.str(this.read("u32", 4));
+      case 0xdc: return this.array(this.read("u16", 2));
+      case 0xdd: return this.array(this.read("u32", 4));
+      case 0xde: return this.map(this.read("u16", 2));
+      case 0xdf: return this.map(this.read("u32", 4));
+      default:
+        throw new Error(`Unsupported MessagePack type 0x${byte.toString(16)}`);
+    }
+  }
+}
+
+/**
+ * JSON.stringify replacer that wraps byte arrays as { $bytes: base64 }.
+ * Keys of other objects that start with "$" get another "$", so that no
+ * value can pass for wrapped bytes.
+ * @private
+ */
+function jsonReplacer(key, value) {
+  const raw = this[key];
+  if (raw instanceof Uint8Array) return { $bytes: bytesToBase64(raw) };
+  if (raw instanceof ArrayBuffer) return { $bytes: bytesToBase64(new Uint8Array(raw)) };
+  if (
+    value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    Object.keys(value).some((k) => k.startsWith("$"))
+  ) {
+    const escaped = {};
+    for (const [k, v] of Object.entries(value)) {
+      Object.defineProperty(escaped, k.startsWith("$") ? `$${k}` : k, {
+        value: v,
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+    }
+    return escaped;
+  }
+  return value;
+}
+
+/**
+ * JSON.parse reviver that turns { $bytes: base64 } back into a Uint8Array
+ * and unescapes the other keys starting with "$" (see jsonReplacer)
+ * @private
+ */
+function jsonReviver(key, value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return value;
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === "$bytes" && typeof value.$bytes === "string") {
+    return base64ToBytes(value.$bytes);
+  }
+  if (!keys.some((k) => k.startsWith("$$"))) return value;
+  const unescaped = {};
+  for (const k of keys) {
+    Object.defineProperty(unescaped, k.startsWith("$$") ? k.slice(1) : k, {
+      value: value[k],
+      enumerable: true,
+      writable: true,
+      configurable: true,
+    });
+  }
+  return unescaped;
+}
+
+/**
+ * Serialize a value to JSON, preserving byte arrays as { $bytes: base64 }
+ * @param {any} value - Value to serialize
+ * @return {string} JSON string
+ */
+function encodeJson(value) {
+  return JSON.stringify(value, jsonReplacer);
+}
+
+/**
+ * Parse JSON produced by encodeJson, restoring byte arrays
+ * @param {string} text - JSON string
+ * @return {any} Parsed value
+ */
+function decodeJson(text) {
+  return JSON.parse(text, jsonReviver);
+}
+
+/**
+ * Encode a message for the wire
+ * @param {Object} message - Message object
+ * @param {string} [encoding="json"] - "msgpack" or "json"
+ * @return {Uint8Array|string} Binary frame or JSON string
+ */
+function encodeMessage(message, encoding = "json") {
+  if (encoding !== "msgpack") return encodeJson(message);
+  const writer = new ByteWriter();
+  writer.u8(BINARY_FRAME_MARKER);
+  writer.u8(WIRE_VERSION);
+  writeValue(writer, message);
+  return writer.result();
+}
+
+/**
+ * Check whether received data is a binary frame
+ * @param {any} data - Received data
+ * @return {boolean} True if data starts with the binary frame marker
+ */
+function isBinaryFrame(data) {
+  return data instanceof Uint8Array && data.length > 1 && data[0] === BINARY_FRAME_MARKER;
+}
+
+/**
+ * Decode a message received in either encoding
+ * @param {Uint8Array|ArrayBuffer|string} data - Received data
+ * @return {Object} Decoded message
+ * @throws {Error} If the data is malformed or uses a newer wire version
+ */
+function decodeMessage(data) {
+  if (data instanceof ArrayBuffer) data = new Uint8Array(data);
+  if (typeof data === "string") return decodeJson(data);
+  if (!isBinaryFrame(data)) return decodeJson(textDecoder.decode(data));
+
+  if (data[1] > WIRE_VERSION) {
+    throw new Error(`Unsupported wire version ${data[1]}`);
+  }
+  const reader = new ByteReader(data.subarray(2));
+  const message = reader.value();
+  if (reader.offset !== reader.bytes.length) {
+    throw new Error("Trailing bytes in binary frame");
+  }
+  return message;
+}
+
+/**
+ * Pick the encoding to send to a remote, given both sides' supported lists
+ * @param {string[]} local - Encodings this node supports, preferred first
+ * @param {string[]} remote - Encodings the remote advertised
+ * @return {string} Chosen encoding ("json" if nothing better is shared)
+ */
+function selectEncoding(local, remote) {
+  if (!Array.isArray(remote)) return "json";
+  return local.find((encoding) => remote.includes(encoding)) || "json";
+}
+
+/**
+ * Size of a stored value in bytes: raw length for byte arrays and strings,
+ * JSON length otherwise
+ * @param {any} value - Value to measure
+ * @return {number} Size in bytes
+ */
+function valueByteLength(value) {
+  if (value instanceof Uint8Array) return value.byteLength;
+  if (typeof value === "string") return textEncoder.encode(value).length;
+  return textEncoder.encode(encodeJson(value) ?? "null").length;
+}
+
+export {
+  WIRE_VERSION,
+  WIRE_ENCODINGS,
+  encodeJson,
+  decodeJson,
+  encodeMessage,
+  decodeMessage,
+  isBinaryFrame,
+  selectEncoding,
+  valueByteLength,
+};
@@ -0,0 +1,259 @@
+/**
+ * Record signing, verification and value encryption for owned storage spaces,
+ * signing of topic publications, and content-hash verification for immutable
+ * records.
+ * Built on unsea key pairs ({ pub, priv, epub, epriv }).
+ */
+import {
+  decryptMessageWithMeta,
+  encryptMessageWithMeta,
+  generateRandomPair,
+  signMessage,
+  verifyMessage,
+} from "unsea";
+import { decodeJson, encodeJson } from "./codec.js";
+import { sha1 } from "./sha1.js";
+import { base64ToBytes, bytesToBase64, stableStringify } from "./utils.js";
+
+/**
+ * Envelope format identifier for encrypted values
+ */
+const ENCRYPTION_SCHEME = "unsea/aes-gcm";
+
+/**
+ * Storage spaces whose records must be signed by their owner
+ */
+const OWNED_SPACES = new Set(["user", "private"]);
+
+/**
+ * Storage space of content-addressed records, keyed by the hash of their value
+ */
+const IMMUTABLE_SPACE = "immutable";
+
+/**
+ * Generate a new key pair
+ * @return {Promise<Object>} unsea key pair
+ */
+async function generateKeyPair() {
+  return await generateRandomPair();
+}
+
+/**
+ * Derive the owner ID (hex SHA1) bound to a signing public key
+ * @param {string} pub - unsea signing public key
+ * @return {Promise<string>} Owner ID as hex string
+ */
+async function ownerIdFromPub(pub) {
+  return await sha1(String(pub));
+}
+
+/**
+ * Build the canonical payload covered by a record signature
+ * @param {Object} record - Record to sign
+ * @param {string} record.key - Hashed record key
+ * @param {any} record.value - Record value
+ * @param {Object} record.meta - Record metadata (space, owner)
+ * @param {number} [record.expiresAt] - Expiry timestamp (ms)
+ * @param {number} [record.seq] - Sequence number of a mutable record
+ * @return {string} Deterministic payload string
+ */
+function recordSigningPayload(record) {
+  return stableStringify({
+    key: record.key,
+    value: record.value,
+    space: record.meta.space,
+    owner: record.meta.owner,
+    expiresAt: typeof record.expiresAt === "number" ? record.expiresAt : undefined,
+    seq: Number.isInteger(record.seq) ? record.seq : undefined,
+  });
+}
+
+/**
+ * Sign a record with the owner's key pair
+ * @param {Object} record - Record to sign (see recordSigningPayload)
+ * @param {Object} keyPair - unsea key pair of the owner
+ * @return {Promise<Object>} Metadata extended with pub and sig
+ */
+async function signRecord(record, keyPair) {
+  const sig = await signMessage(recordSigningPayload(record), keyPair.priv);
+  return { ...record.meta, pub: keyPair.pub, sig };
+}
+
+/**
+ * Verify a signed record: the signature must be valid for meta.pub and
+ * meta.owner must be the owner ID derived from meta.pub.
+ * @param {Object} record - Record to verify (see recordSigningPayload);
+ *   record.meta must include pub and sig
+ * @return {Promise<boolean>} True if the record is authentic
+ */
+async function verifyRecord(record) {
+  const meta = record?.meta;
+  if (!meta || typeof meta.pub !== "string" || typeof meta.sig !== "string") {
+    return false;
+  }
+  try {
+    if ((await ownerIdFromPub(meta.pub)) !== meta.owner) return false;
+    return await verifyMessage(recordSigningPayload(record), meta.sig, meta.pub);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Build the canonical payload covered by a publication signature
+ * @param {Object} publication - { topic, id, publisher, publishedAt, payload }
+ * @return {string} Deterministic payload string
+ */
+function publicationSigningPayload(publication) {
+  return stableStringify({
+    topic: publication.topic,
+    id: publication.id,
+    publisher: publication.publisher,
+    publishedAt: publication.publishedAt,
+    payload: publication.payload,
+  });
+}
+
+/**
+ * Sign a topic publication with the publisher's key pair
+ * @param {Object} publication - Publication to sign (see publicationSigningPayload)
+ * @param {Object} keyPair - unsea key pair of the publisher
+ * @return {Promise<Object>} Publication extended with pub and sig
+ */
+async function signPublication(publication, keyPair) {
+  const sig = await signMessage(publicationSigningPayload(publication), keyPair.priv);
+  return { ...publication, pub: keyPair.pub, sig };
+}
+
+/**
+ * Verify a signed publication: the signature must be valid for pub and
+ * publisher must be the owner ID derived from pub.
+ * @param {Object} publication - Publication with pub and sig
+ * @return {Promise<boolean>} True if the publication is authentic
+ */
+async function verifyPublication(publication) {
+  if (typeof publication?.pub !== "string" || typeof publication.sig !== "string") {
+    return false;
+  }
+  try {
+    if ((await ownerIdFromPub(publication.pub)) !== publication.publisher) return false;
+    return await verifyMessage(publicationSigningPayload(publication), publication.sig, publication.pub);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Compute the content address of an immutable value
+ * @param {any} value - JSON-serializable value
+ * @return {Promise<string>} Hex SHA1 of the value's canonical JSON
+ */
+async function immutableKeyForValue(value) {
+  return await sha1(stableStringify(value));
+}
+
+/**
+ * Verify that an immutable record is stored under the hash of its value
+ * @param {string} keyHashHex - Record key (content hash)
+ * @param {any} value - Record value
+ * @return {Promise<boolean>} True if the hash matches
+ */
+async function verifyImmutableRecord(keyHashHex, value) {
+  if (typeof keyHashHex !== "string" || typeof value === "undefined") {
+    return false;
+  }
+  return (await immutableKeyForValue(value)) === keyHashHex.toLowerCase();
+}
+
+/**
+ * Check whether a value is an encrypted envelope produced by encryptValue
+ * @param {any} value - Value to check
+ * @return {boolean} True if the value is an envelope
+ */
+function isEncryptedValue(value) {
+  return (
+    !!value &&
+    typeof value === "object" &&
+    value.enc === ENCRYPTION_SCHEME &&
+    typeof value.ciphertext === "string" &&
+    !!value.keys &&
+    typeof value.keys === "object"
+  );
+}
+
+/**
+ * Encrypt a value for a set of recipients. The value is encrypted once with a
+ * random AES-GCM content key, which is then wrapped for each recipient's
+ * encryption public key (epub) with unsea.
+ * @param {any} value - JSON-serializable value
+ * @param {string[]} recipients - Recipient epubs
+ * @return {Promise<Object>} Encrypted envelope
+ */
+async function encryptValue(value, recipients) {
+  const subtle = globalThis.crypto.subtle;
+  const rawKey = globalThis.crypto.getRandomValues(new Uint8Array(32));
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  const key = await subtle.importKey("raw", rawKey, { name: "AES-GCM" }, false, [
+    "encrypt",
+  ]);
+  const plaintext = new TextEncoder().encode(encodeJson(value));
+  const ciphertext = await subtle.encrypt({ name: "AES-GCM", iv }, key, plaintext);
+
+  const keys = {};
+  for (const epub of new Set(recipients)) {
+    keys[epub] = await encryptMessageWithMeta(bytesToBase64(rawKey), { epub });
+  }
+
+  return {
+    enc: ENCRYPTION_SCHEME,
+    iv: bytesToBase64(iv),
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext)),
+    keys,
+  };
+}
+
+/**
+ * Decrypt an envelope produced by encryptValue
+ * @param {Object} envelope - Encrypted envelope
+ * @param {Object} keyPair - unsea key pair of a recipient
+ * @return {Promise<any>} Decrypted value
+ * @throws {Error} If the key pair is not a recipient or decryption fails
+ */
+async function decryptValue(envelope, keyPair) {
+  const wrappedKey = envelope.keys[keyPair.epub];
+  if (!wrappedKey) {
+    throw new Error("Not a recipient of this value");
+  }
+
+  const subtle = globalThis.crypto.subtle;
+  const rawKey = base64ToBytes(
+    await decryptMessageWithMeta(wrappedKey, keyPair.epriv)
+  );
+  const key = await subtle.importKey("raw", rawKey, { name: "AES-GCM" }, false, [
+    "decrypt",
+  ]);
+  const plaintext = await subtle.decrypt(
+    { name: "AES-GCM", iv: base64ToBytes(envelope.iv) },
+    key,
+    base64ToBytes(envelope.ciphertext)
+  );
+  return decodeJson(new TextDecoder().decode(plaintext));
+}
+
+export {
+  OWNED_SPACES,
+  IMMUTABLE_SPACE,
+  ENCRYPTION_SCHEME,
+  isEncryptedValue,
+  encryptValue,
+  decryptValue,
+  generateKeyPair,
+  immutableKeyForValue,
+  ownerIdFromPub,
+  recordSigningPayload,
+  signPublication,
+  signRecord,
+  verifyImmutableRecord,
+  verifyPublication,
+  verifyRecord,
+};
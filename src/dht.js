@@ -9,15 +9,40 @@ import {
   toBufferObject,
   distance,
   compareBuffers,
-  getBit,
   commonPrefixLength,
   generateRandomID,
   bufferToHex,
   hexToBuffer,
+  stableStringify,
+  bytesToBase64,
+  base64ToBytes,
   Buffer,
 } from "./utils.js";
 import Logger from './logger.js';
-import { IDB_STORES, idbDelete, idbGetAll, idbSet, isIndexedDbAvailable } from './idb.js';
+import {
+  IMMUTABLE_SPACE,
+  OWNED_SPACES,
+  decryptValue,
+  encryptValue,
+  generateKeyPair,
+  immutableKeyForValue,
+  isEncryptedValue,
+  ownerIdFromPub,
+  signPublication,
+  signRecord,
+  verifyImmutableRecord,
+  verifyPublication,
+  verifyRecord,
+} from "./crypto.js";
+import {
+  WIRE_ENCODINGS,
+  encodeJson,
+  selectEncoding,
+  valueByteLength,
+} from "./codec.js";
+import RateLimiter from "./rate-limiter.js";
+import ReputationTracker from "./reputation.js";
+import { STORES, createStorage } from "./storage.js";
 
 // Default Kademlia constants
 const DEFAULT_K = 20; // Default size of k-buckets
@@ -26,11 +51,94 @@ const DEFAULT_BUCKET_COUNT = 160; // Default number of k-buckets (SHA1 is 160 bi
 const DEFAULT_MAX_STORE_SIZE = 1000; // Default maximum number of key-value pairs to store
 const DEFAULT_REPLICATE_INTERVAL = 3600000; // Default replication interval (1 hour)
 const DEFAULT_REPUBLISH_INTERVAL = 86400000; // Default republication interval (24 hours)
+const DEFAULT_BUCKET_REFRESH_INTERVAL = 3600000; // Default refresh interval for idle buckets (1 hour)
 const DEFAULT_MAX_KEY_SIZE = 1024; // Default maximum size of key in bytes (1KB)
 const DEFAULT_MAX_VALUE_SIZE = 64000; // Default maximum size of value in bytes (64KB)
+const DEFAULT_EXPIRY_SWEEP_INTERVAL = 15000; // Default interval for removing expired records (15s)
+const DEFAULT_MAX_RELAY_HOPS = 3; // Default maximum intermediaries for a relayed query
+const DEFAULT_PING_TIMEOUT = 3000; // Default timeout for liveness checks before eviction (3s)
+const DEFAULT_REQUEST_TIMEOUT = 5000; // Default timeout for RPC requests (5s)
+const DEFAULT_BLOB_CHUNK_SIZE = 32768; // Default blob chunk size in bytes (32KB, ~43KB as base64)
+// Default per-publisher storage quota (100 records, 1MB), and a separate one
+// for content-addressed records such as blob chunks (256 records, 16MB)
+const DEFAULT_PUBLISHER_QUOTA = { records: 100, bytes: 1048576, immutableRecords: 256, immutableBytes: 16777216 };
+const DEFAULT_MAX_VIOLATIONS = 20; // Default rate limit/quota violations before a peer is banned
+const DEFAULT_BAN_DURATION = 600000; // Default ban duration (10 minutes)
+const VIOLATION_WINDOW = 60000; // Violations older than this are forgotten (1 minute)
+const QUOTA_EXCEEDED = "Publisher quota exceeded";
+const STALE_SEQ = "Stale sequence number";
+const MAX_SEQ = 2 ** 48; // Highest sequence number a record may carry (leaves room to count past it exactly)
+const MAX_UNSIGNED_SEQ_STEP = 65536; // Furthest ahead of the version it replaces an unsigned write may set the sequence number
+const DEFAULT_MIN_REPUTATION = 0.2; // Default score below which peers are left out of findNode results
+const REPUTATION_MARGIN = 0.2; // Score difference that outweighs distance when choosing peers
+const REPUTATION_SAVE_INTERVAL = 60000; // Interval for persisting reputation scores (1 minute)
+const REPUTATION_STATE_KEY = "reputation";
+const KEY_PAIR_STATE_KEY = "keyPair";
+const CONTACTS_SAVE_INTERVAL = 60000; // Interval for persisting routing table contacts (1 minute)
+const CONTACTS_STATE_KEY = "contacts";
+const MAX_SAVED_CONTACTS = 100; // Most recently seen contacts kept across restarts
+const MAX_CONTACT_ROUTES = 5; // Signaling routes saved per contact
+const CONTACT_MAX_AGE = 604800000; // Saved contacts not seen for longer are not restored (7 days)
+const DEFAULT_CONTACT_SIGNAL_TIMEOUT = 10000; // Default time a reconnect signaled through the DHT gets before falling back to the signaling server (10s)
+const DEFAULT_PROVIDER_TTL = 3600000; // Default lifetime of a provider record (1 hour)
+const MAX_PROVIDER_TTL = 86400000; // Longest provider record lifetime replicas accept (24 hours)
+const MAX_PROVIDERS_PER_KEY = 100; // Provider records kept per key; the soonest to expire are dropped
+const MAX_PROVIDER_RECORDS = 10000; // Provider records kept over all keys; the largest announcer loses its soonest to expire
+const DEFAULT_TOPIC_LEASE = 60000; // Default lifetime of a topic subscription between refreshes (1 minute)
+const MAX_SEEN_PUBLICATIONS = 1000; // Publication IDs remembered to drop duplicates
+const MAX_PUBLICATION_AGE = 60000; // Publications stamped further than this from our clock are dropped, so they cannot be replayed once forgotten (1 minute)
+const DEFAULT_WATCH_LEASE = 60000; // Default lifetime of a key watch between renewals (1 minute)
+const MAX_WATCHERS_PER_KEY = 100; // Watchers a replica serves per key
+const MAX_BATCH_SIZE = 50; // Keys per batched message
+const RECORDS_PER_BATCH_TOKEN = 10; // A batch costs one rate limit token per this many keys
+const SYNC_LEAF_SIZE = 64; // Records in a key range below which replicas compare key lists instead of hashes
+const SYNC_SNAPSHOT_TTL = 10000; // How long the records shared with a neighbour and their range hashes are reused to answer its SYNC messages (10s)
+
+// Wire protocol version spoken by this node, and the oldest version it can
+// still talk to. Peers exchange these in HELLO when they connect.
+const PROTOCOL_VERSION = 1;
+const MIN_PROTOCOL_VERSION = 1;
+
+// Optional behaviours a peer may or may not implement, advertised in HELLO
+const PROTOCOL_FEATURES = ["ttl", "cas", "immutable", "tombstones"];
+
+// Query types that may be relayed to nodes we are not connected to. The
+// origin of a relayed query is only claimed, so queries that register their
+// sender (as a provider, topic child or watcher) are not among them.
+const RELAYABLE_TYPES = new Set([
+  "PING",
+  "FIND_NODE",
+  "FIND_VALUE",
+  "STORE",
+  "GET_PROVIDERS",
+  "PUBLISH",
+  "WATCH_NOTIFY",
+  "STORE_BATCH",
+  "FIND_VALUE_BATCH",
+  "DELETE",
+  "DELETE_BATCH",
+]);
+
+// Batched message types, and the single-key type whose rate limit they share
+const BATCH_TYPES = {
+  STORE_BATCH: "STORE",
+  FIND_VALUE_BATCH: "FIND_VALUE",
+  DELETE_BATCH: "DELETE",
+};
+
+/**
+ * Get the response type that answers a request type
+ * @param {string} type - Request message type
+ * @return {string} Response message type
+ */
+function responseTypeFor(type) {
+  return type === "PING" ? "PONG" : `${type}_RESPONSE`;
+}
 
 /**
- * K-bucket implementation
+ * K-bucket implementation. Nodes are kept in least-recently-seen order (head
+ * is the stalest). When the bucket is full, newcomers wait in a replacement
+ * cache until a live check on the head node fails.
  */
 class KBucket {
   constructor(
@@ -44,11 +152,11 @@ class KBucket {
     this.prefix = prefix;
     this.prefixLength = prefixLength;
     this.nodes = [];
+    this.replacements = []; // Candidates for eviction slots, most recent last
+    this.evictions = 0;
+    this.lastActivity = Date.now(); // Last lookup for an ID in this bucket's range
     this.debug = debug;
     this.K = k; // Use provided k value
-    this.BUCKET_COUNT = DEFAULT_BUCKET_COUNT; // Add this line to fix the issue
-    this.left = null; // 0 bucket after split
-    this.right = null; // 1 bucket after split
   }
 
   /**
@@ -70,7 +178,8 @@ class KBucket {
   }
 
   /**
-   * Add a node to the bucket
+   * Add a node to the bucket, or mark a known node as most recently seen.
+   * If the bucket is full the node goes to the replacement cache instead.
    * @param {Object} node - Node to add
    * @return {boolean} True if node was added
    */
@@ -89,81 +198,61 @@ class KBucket {
       return false;
     }
 
-    // If we're split, delegate to the appropriate child bucket
-    if (this.left && this.right) {
-      const bit = getBit(hexToBuffer(nodeIdHex), this.prefixLength);
-      return bit ? this.right.add(node) : this.left.add(node);
-    }
-
-    // Check if node already exists
-    const nodeIndex = this.nodes.findIndex((n) => {
-      const nIdHex = typeof n.id === "string" ? n.id : bufferToHex(n.id);
-      return nIdHex === nodeIdHex;
-    });
-
+    const lastSeen = Date.now();
+    const nodeIndex = this._indexOf(this.nodes, nodeIdHex);
     if (nodeIndex >= 0) {
       // Move existing node to the end (most recently seen)
-      const existingNode = this.nodes[nodeIndex];
-      this.nodes.splice(nodeIndex, 1);
-      this.nodes.push(existingNode);
+      const [existingNode] = this.nodes.splice(nodeIndex, 1);
+      this.nodes.push({ ...existingNode, lastSeen });
       return false;
     }
 
     // If bucket not full, add the node
     if (this.nodes.length < this.K) {
-      // Use instance K value instead of constant
-      this.nodes.push({ ...node, id: nodeIdHex });
+      this._removeReplacement(nodeIdHex);
+      this.nodes.push({ ...node, id: nodeIdHex, lastSeen });
       return true;
     }
 
-    // Bucket is full, try to split if we haven't reached max depth
-    if (this.prefixLength < this.BUCKET_COUNT - 1) {
-      this._split();
-      // After splitting, try to add again
-      return this.add(node);
+    // Bucket is full: remember the node in case a slot frees up
+    this._removeReplacement(nodeIdHex);
+    this.replacements.push({ ...node, id: nodeIdHex, lastSeen });
+    if (this.replacements.length > this.K) {
+      this.replacements.shift();
     }
-
-    // Bucket is full and can't split further
     return false;
   }
 
   /**
-   * Split the bucket into two child buckets
-   * @private
+   * Check whether a node is in the bucket
+   * @param {string} nodeId - Node ID (hex)
+   * @return {boolean} True if present
    */
-  _split() {
-    if (this.left || this.right) return; // Already split
-
-    this.left = new KBucket(
-      this.localNodeId,
-      this.prefix + "0",
-      this.prefixLength + 1,
-      this.debug,
-      this.K, // Pass K value to child buckets
-      this.BUCKET_COUNT // Pass BUCKET_COUNT to child buckets
-    );
+  has(nodeId) {
+    return this._indexOf(this.nodes, nodeId) >= 0;
+  }
 
-    this.right = new KBucket(
-      this.localNodeId,
-      this.prefix + "1",
-      this.prefixLength + 1,
-      this.debug,
-      this.K, // Pass K value to child buckets
-      this.BUCKET_COUNT // Pass BUCKET_COUNT to child buckets
-    );
+  /**
+   * Check whether the bucket is full
+   * @return {boolean} True if full
+   */
+  isFull() {
+    return this.nodes.length >= this.K;
+  }
 
-    // Redistribute existing nodes
-    for (const node of this.nodes) {
-      const bit = getBit(hexToBuffer(node.id), this.prefixLength);
-      if (bit) {
-        this.right.add(node);
-      } else {
-        this.left.add(node);
-      }
-    }
+  /**
+   * Record a lookup for an ID in this bucket's range
+   */
+  touch() {
+    this.lastActivity = Date.now();
+  }
 
-    // Clear nodes from this bucket since they're now in children
-    this.nodes = [];
+  /**
+   * Get the least recently seen node, the eviction candidate
+   * @return {Object|null} Node or null if empty
+   */
+  leastRecentlySeen() {
+    return this.nodes[0] || null;
   }
 
   /**
@@ -175,63 +264,89 @@ class KBucket {
   getClosestNodes(targetId, count = null) {
     // Make count parameter optional
     const k = count || this.K; // Use provided count or instance K value
-    if (this.left && this.right) {
-      // If split, get nodes from appropriate child bucket
-      const bit = getBit(targetId, this.prefixLength);
-      const first = bit ? this.right : this.left;
-      const second = bit ? this.left : this.right;
-
-      let nodes = first.getClosestNodes(targetId, k);
-      if (nodes.length < k) {
-        nodes = nodes.concat(
-          second.getClosestNodes(targetId, k - nodes.length)
-        );
-      }
-      return nodes;
-    }
-
-    // If not split, return nodes from this bucket
-    const seen = new Set();
-    return this.nodes
-      .filter((n) => {
-        const nIdHex = typeof n.id === "string" ? n.id : bufferToHex(n.id);
-        if (seen.has(nIdHex)) return false;
-        seen.add(nIdHex);
-        return true;
-      })
+    return [...this.nodes]
       .sort((a, b) => {
         const distA = distance(a.id, targetId);
         const distB = distance(b.id, targetId);
         return compareBuffers(distA, distB);
       })
-      .slice(0, count);
+      .slice(0, k);
   }
 
   /**
-   * Remove a node from the bucket
+   * Remove a node from the bucket. The most recently seen replacement, if
+   * any, takes its slot.
    * @param {Buffer|string} nodeId - ID of node to remove
    * @return {boolean} True if node was removed
    */
   remove(nodeId) {
     const nodeIdHex = typeof nodeId === "string" ? nodeId : bufferToHex(nodeId);
+    const nodeIndex = this._indexOf(this.nodes, nodeIdHex);
 
-    // If split, delegate to appropriate child
-    if (this.left && this.right) {
-      const bit = getBit(hexToBuffer(nodeIdHex), this.prefixLength);
-      return bit ? this.right.remove(nodeId) : this.left.remove(nodeId);
+    if (nodeIndex >= 0) {
+      this.nodes.splice(nodeIndex, 1);
+      this._logDebug("Removed node:", nodeIdHex);
+      const replacement = this.replacements.pop();
+      if (replacement) {
+        // Replacements are younger than every node in the bucket
+        this.nodes.push(replacement);
+        this._logDebug("Promoted replacement node:", replacement.id);
+      }
+      return true;
     }
+    return this._removeReplacement(nodeIdHex);
+  }
+
+  /**
+   * Evict a node that failed its liveness check
+   * @param {string} nodeId - Node ID (hex)
+   * @return {boolean} True if the node was evicted
+   */
+  evict(nodeId) {
+    if (!this.has(nodeId)) return false;
+    this.evictions++;
+    return this.remove(nodeId);
+  }
+
+  /**
+   * Get bucket statistics
+   * @return {Object} Bucket statistics
+   */
+  getStats() {
+    return {
+      prefixLength: this.prefixLength,
+      size: this.nodes.length,
+      capacity: this.K,
+      replacements: this.replacements.length,
+      evictions: this.evictions,
+      lastActivity: this.lastActivity,
+      oldestSeen: this.nodes.length ? this.nodes[0].lastSeen : null,
+      newestSeen: this.nodes.length
+        ? this.nodes[this.nodes.length - 1].lastSeen
+        : null,
+    };
+  }
 
-    const nodeIndex = this.nodes.findIndex((n) => {
+  /**
+   * Find a node in a list by hex ID
+   * @private
+   */
+  _indexOf(list, nodeIdHex) {
+    return list.findIndex((n) => {
       const nIdHex = typeof n.id === "string" ? n.id : bufferToHex(n.id);
       return nIdHex === nodeIdHex;
     });
+  }
 
-    if (nodeIndex >= 0) {
-      this.nodes.splice(nodeIndex, 1);
-      this._logDebug("Removed node:", nodeIdHex);
-      return true;
-    }
-    return false;
+  /**
+   * Drop a node from the replacement cache
+   * @private
+   */
+  _removeReplacement(nodeIdHex) {
+    const index = this._indexOf(this.replacements, nodeIdHex);
+    if (index < 0) return false;
+    this.replacements.splice(index, 1);
+    return true;
   }
 }
 
@@ -252,8 +367,48 @@ class DHT extends EventEmitter {
       options.replicateInterval || DEFAULT_REPLICATE_INTERVAL;
     this.REPUBLISH_INTERVAL =
       options.republishInterval || DEFAULT_REPUBLISH_INTERVAL;
+    // Replicas drop records their originator has not republished for this long
+    this.REPLICA_MAX_AGE = options.replicaMaxAge || 2 * this.REPUBLISH_INTERVAL;
+    // Tombstones outlive abandoned replicas, so a deleted value cannot return
+    this.TOMBSTONE_TTL = options.tombstoneTtl || this.REPLICA_MAX_AGE;
+    this.BUCKET_REFRESH_INTERVAL =
+      options.bucketRefreshInterval || DEFAULT_BUCKET_REFRESH_INTERVAL;
     this.MAX_KEY_SIZE = options.maxKeySize || DEFAULT_MAX_KEY_SIZE;
     this.MAX_VALUE_SIZE = options.maxValueSize || DEFAULT_MAX_VALUE_SIZE;
+    this.EXPIRY_SWEEP_INTERVAL =
+      options.expirySweepInterval || DEFAULT_EXPIRY_SWEEP_INTERVAL;
+    this.BLOB_CHUNK_SIZE = options.blobChunkSize || DEFAULT_BLOB_CHUNK_SIZE;
+    this.MAX_RELAY_HOPS =
+      typeof options.maxRelayHops === "number"
+        ? options.maxRelayHops
+        : DEFAULT_MAX_RELAY_HOPS;
+    this.PING_TIMEOUT = options.pingTimeout || DEFAULT_PING_TIMEOUT;
+    this.REQUEST_TIMEOUT = options.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+    this.CONTACT_SIGNAL_TIMEOUT =
+      options.contactSignalTimeout || DEFAULT_CONTACT_SIGNAL_TIMEOUT;
+    this.TOPIC_LEASE = options.topicLease || DEFAULT_TOPIC_LEASE;
+    this.WATCH_LEASE = options.watchLease || DEFAULT_WATCH_LEASE;
+    this.WIRE_ENCODINGS = Array.isArray(options.encodings)
+      ? options.encodings.filter((e) => WIRE_ENCODINGS.includes(e))
+      : WIRE_ENCODINGS;
+
+    // Abuse protection: storage quotas and bans (inbound rate limits are set
+    // up with the message handlers)
+    this.PUBLISHER_QUOTA = { ...DEFAULT_PUBLISHER_QUOTA, ...options.publisherQuota };
+    this.MAX_VIOLATIONS = options.maxViolations || DEFAULT_MAX_VIOLATIONS;
+    this.BAN_DURATION = options.banDuration || DEFAULT_BAN_DURATION;
+    this._peerViolations = new Map(); // peerId -> {count, since}
+    this.bannedPeers = new Map(); // peerId -> {until, reason}
+
+    // Peer reliability scores, persisted across sessions
+    this.reputation = new ReputationTracker();
+    this.MIN_REPUTATION =
+      typeof options.minReputation === "number"
+        ? options.minReputation
+        : DEFAULT_MIN_REPUTATION;
+
+    // Partially downloaded blobs, keyed by manifest ID, so getBlob can resume
+    this._blobDownloads = new Map();
     
     // DHT signaling optimization parameters
     this.DHT_SIGNAL_THRESHOLD = options.dhtSignalThreshold || 2; // Reduced from 3 to 2
@@ -269,68 +424,473 @@ class DHT extends EventEmitter {
     this._initialize(options);
   }
 
+  /**
+   * Load the records saved in the storage backend by a previous session
+   * @private
+   */
   async _loadPersistedStorage() {
-    if (!this._persistToIndexedDb || !isIndexedDbAvailable()) return;
     try {
-      const records = await idbGetAll(IDB_STORES.DHT);
-      if (!Array.isArray(records) || records.length === 0) return;
-
-      for (const rec of records) {
+      for await (const [, rec] of this.store.iterate(STORES.RECORDS)) {
         if (!rec || typeof rec !== 'object') continue;
         const keyHashHex = String(rec.key || '').trim();
         if (!/^[a-fA-F0-9]{40}$/.test(keyHashHex)) continue;
 
         const timestamp = typeof rec.timestamp === 'number' ? rec.timestamp : Date.now();
         const meta = rec.meta && typeof rec.meta === 'object' ? rec.meta : null;
-
-        this.storage.set(keyHashHex, {
+        const expiresAt = typeof rec.expiresAt === 'number' ? rec.expiresAt : null;
+        const stored = {
           value: rec.value,
           timestamp,
           replicatedTo: new Set(),
+          expiresAt,
+          seq: this._recordSeq(rec),
           ...(meta ? { meta } : {}),
-        });
+          ...(typeof rec.publisher === 'string' ? { publisher: rec.publisher } : {}),
+          ...(rec.published === true ? { published: true } : {}),
+          ...(rec.tombstone === true ? { tombstone: true } : {}),
+          ...(typeof rec.publishedAt === 'number' ? { publishedAt: rec.publishedAt } : {}),
+        };
+
+        // Drop records that expired while we were offline, and owned-space
+        // records whose signature no longer verifies.
+        if (
+          this._isExpired(stored) ||
+          !(await this._isRecordAuthentic(keyHashHex, stored))
+        ) {
+          await this.store.delete(STORES.RECORDS, keyHashHex);
+          continue;
+        }
+
+        this.storage.set(keyHashHex, stored);
         this.storageTimestamps.set(keyHashHex, timestamp);
         if (typeof rec.originalKey === 'string' && rec.originalKey) {
           this.keyMapping.set(keyHashHex, rec.originalKey);
         }
       }
 
-      // Enforce storage limit and keep IndexedDB in sync.
+      // Enforce storage limit and keep the backend in sync.
       if (this.storage.size > this.MAX_STORE_SIZE) {
-        const entries = Array.from(this.storageTimestamps.entries()).sort((a, b) => a[1] - b[1]);
-        const overflow = entries.length - this.MAX_STORE_SIZE;
-        for (let i = 0; i < overflow; i++) {
-          const [oldKey] = entries[i];
+        const evicted = await this.store.evict(STORES.RECORDS, {
+          maxEntries: this.MAX_STORE_SIZE,
+        });
+        for (const oldKey of evicted) {
           this.storage.delete(oldKey);
           this.storageTimestamps.delete(oldKey);
           this.keyMapping.delete(oldKey);
-          await idbDelete(IDB_STORES.DHT, oldKey);
         }
       }
     } catch (err) {
-      this._logDebug('IndexedDB load failed:', err);
+      this._logDebug('Storage load failed:', err);
     }
   }
 
+  /**
+   * Save a record to the storage backend, or delete it there if it is no
+   * longer stored
+   * @param {string} keyHashHex - Hashed record key
+   * @private
+   */
   async _persistRecord(keyHashHex) {
-    if (!this._persistToIndexedDb || !isIndexedDbAvailable()) return;
     try {
       const stored = this.storage.get(keyHashHex);
       if (!stored) {
-        await idbDelete(IDB_STORES.DHT, keyHashHex);
+        await this.store.delete(STORES.RECORDS, keyHashHex);
         return;
       }
       const record = {
         key: keyHashHex,
         value: stored.value,
         timestamp: stored.timestamp,
+        expiresAt: stored.expiresAt ?? null,
+        seq: this._recordSeq(stored),
         meta: stored.meta || null,
+        publisher: stored.publisher || null,
+        published: !!stored.published,
+        tombstone: !!stored.tombstone,
+        publishedAt: stored.publishedAt ?? null,
         originalKey: this.keyMapping.get(keyHashHex) || null,
       };
-      await idbSet(IDB_STORES.DHT, keyHashHex, record);
+      await this.store.put(STORES.RECORDS, keyHashHex, record);
+    } catch (err) {
+      this._logDebug('Storage persist failed:', err);
+    }
+  }
+
+  /**
+   * Get the node's signing key pair: the one passed in the options, else,
+   * with `persistIdentity`, the one saved by a previous session, else a new
+   * one (saved with `persistIdentity`). Keeping it keeps the node ID, so
+   * saved contacts and routes stay valid and owned records can still be
+   * updated after a restart. It is opt-in because every instance sharing the
+   * storage (such as same-origin tabs) would otherwise load the same ID; a
+   * string `persistIdentity` names the saved identity, so that such
+   * instances can each keep their own.
+   * @param {Object} options - DHT options ({ keyPair, persistIdentity })
+   * @return {Promise<Object>} unsea key pair
+   * @private
+   */
+  async _loadKeyPair(options) {
+    if (options.keyPair) return options.keyPair;
+    if (!options.persistIdentity) return await generateKeyPair();
+
+    const stateKey =
+      typeof options.persistIdentity === "string"
+        ? `${KEY_PAIR_STATE_KEY}:${options.persistIdentity}`
+        : KEY_PAIR_STATE_KEY;
+    try {
+      const saved = await this.store.get(STORES.STATE, stateKey);
+      const keyPair = saved?.keyPair;
+      if (
+        keyPair &&
+        ["pub", "priv", "epub", "epriv"].every((field) => typeof keyPair[field] === "string")
+      ) {
+        return keyPair;
+      }
+    } catch (err) {
+      this._logDebug('Storage key pair load failed:', err);
+    }
+
+    const keyPair = await generateKeyPair();
+    try {
+      await this.store.put(STORES.STATE, stateKey, {
+        key: stateKey,
+        timestamp: Date.now(),
+        keyPair,
+      });
+    } catch (err) {
+      this._logDebug('Storage key pair persist failed:', err);
+    }
+    return keyPair;
+  }
+
+  /**
+   * Restore reputation scores saved by a previous session
+   * @private
+   */
+  async _loadReputation() {
+    try {
+      const saved = await this.store.get(STORES.STATE, REPUTATION_STATE_KEY);
+      if (saved) this.reputation.load(saved.peers);
+    } catch (err) {
+      this._logDebug('Storage reputation load failed:', err);
+    }
+  }
+
+  /**
+   * Save reputation scores so they survive reloads
+   * @private
+   */
+  async _persistReputation() {
+    try {
+      await this.store.put(STORES.STATE, REPUTATION_STATE_KEY, {
+        key: REPUTATION_STATE_KEY,
+        timestamp: Date.now(),
+        peers: this.reputation.toJSON(),
+      });
+    } catch (err) {
+      this._logDebug('Storage reputation persist failed:', err);
+    }
+  }
+
+  /**
+   * Restore the contacts saved by a previous session, and their signaling
+   * routes, for _reconnectContacts
+   * @private
+   */
+  async _loadContacts() {
+    try {
+      const saved = await this.store.get(STORES.STATE, CONTACTS_STATE_KEY);
+      if (!Array.isArray(saved?.contacts)) return;
+      const now = Date.now();
+      for (const contact of saved.contacts) {
+        if (!contact || !/^[a-fA-F0-9]{40}$/.test(String(contact.id))) continue;
+        if (contact.id === this.nodeIdHex || typeof contact.lastSeen !== "number") continue;
+        if (now - contact.lastSeen > CONTACT_MAX_AGE) continue;
+        const routes = (Array.isArray(contact.routes) ? contact.routes : []).filter(
+          (id) => typeof id === "string" && id !== this.nodeIdHex && id !== contact.id
+        );
+        this._savedContacts.set(contact.id, {
+          id: contact.id,
+          lastSeen: contact.lastSeen,
+          reliability: typeof contact.reliability === "number" ? contact.reliability : 0.5,
+          routes,
+        });
+        if (routes.length > 0) {
+          const known = this.dhtRoutes.get(contact.id) || new Set();
+          for (const routeId of routes) known.add(routeId);
+          this.dhtRoutes.set(contact.id, known);
+        }
+      }
+      this._logDebug(`Restored ${this._savedContacts.size} saved contacts`);
+    } catch (err) {
+      this._logDebug('Storage contacts load failed:', err);
+    }
+  }
+
+  /**
+   * Save the routing table contacts with their reliability and signaling
+   * routes, so that a restarted node can rejoin through them. Saved contacts
+   * we have not reconnected to are kept until they age out.
+   * @private
+   */
+  async _persistContacts() {
+    const contacts = new Map(this._savedContacts);
+    for (const bucket of this.buckets) {
+      for (const node of bucket.nodes) {
+        contacts.set(node.id, {
+          id: node.id,
+          lastSeen: node.lastSeen,
+          reliability: this.reputation.score(node.id),
+          routes: Array.from(this.dhtRoutes.get(node.id) || []).slice(-MAX_CONTACT_ROUTES),
+        });
+      }
+    }
+    try {
+      await this.store.put(STORES.STATE, CONTACTS_STATE_KEY, {
+        key: CONTACTS_STATE_KEY,
+        timestamp: Date.now(),
+        contacts: Array.from(contacts.values())
+          .sort((a, b) => b.lastSeen - a.lastSeen)
+          .slice(0, MAX_SAVED_CONTACTS),
+      });
     } catch (err) {
-      this._logDebug('IndexedDB persist failed:', err);
+      this._logDebug('Storage contacts persist failed:', err);
+    }
+  }
+
+  /**
+   * Check the owner signature of a stored record, or the content hash of an
+   * immutable record. Other records carry no proof and are always considered
+   * authentic.
+   * @param {string} keyHashHex - Hashed record key
+   * @param {Object} stored - Stored record ({ value, meta })
+   * @return {Promise<boolean>} True if the record may be accepted or served
+   * @private
+   */
+  async _isRecordAuthentic(keyHashHex, stored) {
+    const meta = stored?.meta;
+    if (meta?.space === IMMUTABLE_SPACE) {
+      return await verifyImmutableRecord(keyHashHex, stored.value);
+    }
+    if (!meta || !OWNED_SPACES.has(meta.space)) return true;
+    return await verifyRecord({ key: keyHashHex, ...stored });
+  }
+
+  /**
+   * Check whether a stored record has passed its expiry time
+   * @param {Object} stored - Stored record
+   * @param {number} now - Current time (ms)
+   * @return {boolean} True if the record has expired
+   * @private
+   */
+  _isExpired(stored, now = Date.now()) {
+    return typeof stored?.expiresAt === "number" && stored.expiresAt <= now;
+  }
+
+  /**
+   * Resolve the absolute expiry time from put options
+   * @param {Object} options - Put options
+   * @param {number} [options.ttl] - Time to live in ms
+   * @param {number} [options.expiresAt] - Absolute expiry timestamp (ms)
+   * @return {number|null} Expiry timestamp or null if the record never expires
+   * @private
+   */
+  _resolveExpiry(options = {}) {
+    if (typeof options.expiresAt === "number") return options.expiresAt;
+    if (typeof options.ttl === "number" && options.ttl > 0) {
+      return Date.now() + options.ttl;
+    }
+    return null;
+  }
+
+  /**
+   * Check that a sequence number is an integer between 0 and MAX_SEQ
+   * @param {any} seq - Sequence number
+   * @return {boolean} True if valid
+   * @private
+   */
+  _isValidSeq(seq) {
+    return Number.isSafeInteger(seq) && seq >= 0 && seq <= MAX_SEQ;
+  }
+
+  /**
+   * Get the sequence number of a record (records without a valid one count
+   * as 0)
+   * @param {Object} record - Stored record or STORE message
+   * @return {number} Sequence number
+   * @private
+   */
+  _recordSeq(record) {
+    return this._isValidSeq(record?.seq) ? record.seq : 0;
+  }
+
+  /**
+   * Choose the sequence number for a local write
+   * @param {string} keyHashHex - Hashed record key
+   * @param {Object} options - Put options ({ seq, cas })
+   * @return {number} Sequence number to write with
+   * @throws {Error} If the sequence number is not between 0 and MAX_SEQ
+   * @private
+   */
+  _nextSeq(keyHashHex, options = {}) {
+    let seq;
+    if (options.seq !== undefined) seq = options.seq;
+    else if (Number.isInteger(options.cas)) seq = options.cas + 1;
+    else {
+      const existing = this.storage.get(keyHashHex);
+      seq = existing ? this._recordSeq(existing) + 1 : 1;
+    }
+    if (!this._isValidSeq(seq)) {
+      throw new Error(`Sequence number must be an integer from 0 to ${MAX_SEQ}`);
+    }
+    return seq;
+  }
+
+  /**
+   * Check a compare-and-swap write against the local copy. Only a local
+   * version newer than the expected one is a definite mismatch, since the
+   * local copy may lag behind the network.
+   * @param {Object} stored - Current local record (may be undefined)
+   * @param {Object} options - Put options ({ cas })
+   * @return {boolean} True if the write must be rejected
+   * @private
+   */
+  _failsLocalCas(stored, options = {}) {
+    if (!Number.isInteger(options.cas) || !stored || this._isExpired(stored)) {
+      return false;
+    }
+    return this._recordSeq(stored) > options.cas;
+  }
+
+  /**
+   * Undo a local write that the network refused, unless the record has
+   * changed again since
+   * @param {string} keyHashHex - Hashed record key
+   * @param {Object} written - Record the write stored locally
+   * @param {Object} previous - Record it replaced (undefined if there was none)
+   * @private
+   */
+  async _rollbackWrite(keyHashHex, written, previous) {
+    if (this.storage.get(keyHashHex) !== written) return;
+    this._logDebug(`Rolling back refused write of ${keyHashHex.substring(0, 8)}`);
+    await this._restoreRecord(keyHashHex, previous);
+  }
+
+  /**
+   * Put back the local record that a rejected write replaced
+   * @param {string} keyHashHex - Hashed record key
+   * @param {Object} previous - Previous record (undefined if there was none)
+   * @private
+   */
+  async _restoreRecord(keyHashHex, previous) {
+    if (previous) {
+      this.storage.set(keyHashHex, previous);
+      this.storageTimestamps.set(keyHashHex, previous.timestamp);
+    } else {
+      this.storage.delete(keyHashHex);
+      this.storageTimestamps.delete(keyHashHex);
+      this.keyMapping.delete(keyHashHex);
+    }
+    await this._persistRecord(keyHashHex);
+  }
+
+  /**
+   * Remove an expired record and notify listeners
+   * @param {string} keyHashHex - Hashed record key
+   * @private
+   */
+  async _expireRecord(keyHashHex) {
+    const originalKey = this.keyMapping.get(keyHashHex) || keyHashHex;
+    const tombstone = !!this.storage.get(keyHashHex)?.tombstone;
+    this.storage.delete(keyHashHex);
+    this.storageTimestamps.delete(keyHashHex);
+    this.keyMapping.delete(keyHashHex);
+    await this._persistRecord(keyHashHex);
+
+    this._logDebug(`Record expired: ${originalKey}`);
+    // A tombstone running out is not news to the app; its value is long gone
+    if (!tombstone) this.emit("key:expired", { key: originalKey, hash: keyHashHex });
+  }
+
+  /**
+   * Remove all expired records from local storage
+   * @private
+   */
+  async _sweepExpiredRecords() {
+    const now = Date.now();
+    for (const [keyHashHex, stored] of Array.from(this.storage.entries())) {
+      if (this._isExpired(stored, now)) {
+        await this._expireRecord(keyHashHex);
+      } else if (this._isAbandonedReplica(stored, now)) {
+        this._logDebug(`Dropping replica not republished by its originator: ${keyHashHex.substring(0, 8)}`);
+        this.storage.delete(keyHashHex);
+        this.storageTimestamps.delete(keyHashHex);
+        this.keyMapping.delete(keyHashHex);
+        await this._persistRecord(keyHashHex);
+      }
+    }
+  }
+
+  /**
+   * Get the publication stamp a record or message carries, capped at the
+   * current time
+   * @param {Object} record - Record, STORE message or lookup result
+   * @param {number} [now=Date.now()] - Current time (ms)
+   * @return {number|null} Publication time (ms), or null if unstamped
+   * @private
+   */
+  _publishedAtOf(record, now = Date.now()) {
+    return typeof record?.publishedAt === "number" && Number.isFinite(record.publishedAt)
+      ? Math.min(record.publishedAt, now)
+      : null;
+  }
+
+  /**
+   * Check whether a record we merely replicate has gone without a refresh
+   * from its originator for longer than REPLICA_MAX_AGE
+   * @param {Object} stored - Stored record
+   * @param {number} [now=Date.now()] - Current time (ms)
+   * @return {boolean} True if the record should be dropped
+   * @private
+   */
+  _isAbandonedReplica(stored, now = Date.now()) {
+    if (stored.published) return false;
+    const refreshedAt = stored.publishedAt ?? stored.timestamp;
+    return now - refreshedAt > this.REPLICA_MAX_AGE;
+  }
+
+  /**
+   * Get the owned space a canonical key belongs to, if any
+   * @param {string} keyStr - Canonical key (e.g. "user:<owner>:<key>")
+   * @return {string|null} Space name or null
+   * @private
+   */
+  _ownedSpaceForKey(keyStr) {
+    if (typeof keyStr !== "string") return null;
+    const space = keyStr.split(":", 1)[0];
+    return OWNED_SPACES.has(space) ? space : null;
+  }
+
+  /**
+   * Check a value returned by a remote FIND_VALUE before trusting it.
+   * Owned-space values must be signed by the owner named in the key.
+   * @param {string} keyStr - Key as requested
+   * @param {string} keyHashHex - Hashed key
+   * @param {Object} result - Lookup result ({ value, meta })
+   * @param {boolean} [immutable] - Require a content-addressed record
+   * @return {Promise<boolean>} True if the value may be used
+   * @private
+   */
+  async _verifyLookupResult(keyStr, keyHashHex, result, immutable = false) {
+    const meta = result.meta;
+    if (immutable && meta?.space !== IMMUTABLE_SPACE) return false;
+    const keySpace = this._ownedSpaceForKey(keyStr);
+    if (keySpace) {
+      if (!meta || meta.space !== keySpace) return false;
+      if (!keyStr.startsWith(`${keySpace}:${meta.owner}:`)) return false;
+      return await verifyRecord({ key: keyHashHex, ...result });
     }
+    return await this._isRecordAuthentic(keyHashHex, result);
   }
 
   /**
@@ -351,8 +911,16 @@ class DHT extends EventEmitter {
       // Store simple-peer options to pass to new peer connections
       this.simplePeerOptions = options.simplePeerOptions || {};
 
-      // Initialize node ID first
-      this.nodeId = options.nodeId || (await generateRandomID());
+      // Persist stored values and node state across restarts (see createStorage)
+      this.store = createStorage(options);
+
+      // Signing identity for owned storage spaces (unsea key pair), kept
+      // across restarts
+      this.keyPair = await this._loadKeyPair(options);
+      this.ownerId = await ownerIdFromPub(this.keyPair.pub);
+
+      // Initialize node ID first (bound to the signing key unless overridden)
+      this.nodeId = options.nodeId || this.ownerId;
       this.nodeIdHex = this.nodeId;
 
       this._logDebug("Initializing DHT with options:", {
@@ -373,19 +941,27 @@ class DHT extends EventEmitter {
       // Initialize routing table (k-buckets) with configured K value
       this.buckets = Array(this.BUCKET_COUNT)
         .fill()
-        .map(() => new KBucket(this.nodeId, "", 0, this.debug, this.K));
+        .map(
+          (_, i) => new KBucket(this.nodeId, "", i, this.debug, this.K)
+        );
+      this._probingBuckets = new Set(); // Buckets with a liveness check in flight
 
       // Initialize storage
       this.storage = new Map();
       this.storageTimestamps = new Map();
       this.keyMapping = new Map(); // Map from hash to original key name
 
-      // Persist stored values across reloads (browser only)
-      this._persistToIndexedDb = options.persistToIndexedDb !== false;
       await this._loadPersistedStorage();
+      await this._loadReputation();
 
       // Storage space support (namespacing + basic policy enforcement)
-      this.STORAGE_SPACES = new Set(["public", "user", "private", "frozen"]);
+      this.STORAGE_SPACES = new Set([
+        "public",
+        "user",
+        "private",
+        "frozen",
+        IMMUTABLE_SPACE,
+      ]);
 
       // Initialize peer connections
       this.peers = new Map();
@@ -396,16 +972,72 @@ class DHT extends EventEmitter {
       this.dhtReadiness = false; // Whether this node is ready for DHT signaling
       this.dhtReadinessTimestamp = 0; // When this node became DHT-ready
 
+      // Contacts of a previous session to reconnect to (see _reconnectContacts)
+      this._savedContacts = new Map(); // peerId -> { id, lastSeen, reliability, routes }
+      this._contactsReconnected = false;
+      await this._loadContacts();
+
+      // Relay routes to nodes we are not connected to, learned from lookups
+      this.relayRoutes = new Map(); // nodeId -> [intermediate peer IDs]
+
+      // Capabilities advertised by connected peers in their HELLO
+      this.peerCapabilities = new Map(); // peerId -> {protocolVersion, types, encodings, maxValueSize, features}
+
+      // Provider records: who announced they hold a resource
+      this.providers = new Map(); // keyHashHex -> Map(providerId -> expiresAt)
+      this._providerRecordCount = 0;
+      this._announcements = new Map(); // keyHashHex -> {ttl, announcedAt}
+
+      // Topic pub/sub: local handlers, and our place in each topic's
+      // multicast tree (parent toward the root, children leased below us)
+      this._subscriptions = new Map(); // topicId -> {topic, handlers: Set}
+      this._topicTrees = new Map(); // topicId -> {parent, children: Map(childId -> leaseExpiresAt), joining}
+      this._seenPublications = new Set();
+
+      // Key watches: replicas push changes to watchers holding a lease
+      this.watchers = new Map(); // keyHashHex -> Map(watcherId -> leaseExpiresAt)
+      this._watches = new Map(); // keyHashHex -> {key, callbacks: Set, nodes: Set, seq, deleted}
+
+      // Records shared with each neighbour, reused across the messages of
+      // its sync rounds (see _syncSnapshot)
+      this._syncSnapshots = new Map(); // peerId -> {records, keys, summaries, expiresAt}
+
+      // Outgoing RPC requests awaiting a response
+      this._pendingRequests = new Map(); // rid -> {nodeId, type, firstHop, resolve}
+      this._requestCounter = 0;
+
       // Message handlers
       this.messageHandlers = {
         PING: this._handlePing.bind(this),
+        PONG: this._handlePong.bind(this),
         FIND_NODE: this._handleFindNode.bind(this),
         FIND_VALUE: this._handleFindValue.bind(this),
         STORE: this._handleStore.bind(this),
         DELETE: this._handleDelete.bind(this),
         SIGNAL: this._handleSignal.bind(this),
+        RELAY: this._handleRelay.bind(this),
+        RELAY_RESPONSE: this._handleRelayResponse.bind(this),
+        ADD_PROVIDER: this._handleAddProvider.bind(this),
+        GET_PROVIDERS: this._handleGetProviders.bind(this),
+        SUBSCRIBE: this._handleSubscribe.bind(this),
+        UNSUBSCRIBE: this._handleUnsubscribe.bind(this),
+        PUBLISH: this._handlePublish.bind(this),
+        WATCH: this._handleWatch.bind(this),
+        UNWATCH: this._handleUnwatch.bind(this),
+        WATCH_NOTIFY: this._handleWatchNotify.bind(this),
+        STORE_BATCH: this._handleStoreBatch.bind(this),
+        FIND_VALUE_BATCH: this._handleFindValueBatch.bind(this),
+        DELETE_BATCH: this._handleDeleteBatch.bind(this),
+        SYNC: this._handleSync.bind(this),
+        SYNC_KEYS: this._handleSyncKeys.bind(this),
+        HELLO: this._handleHello.bind(this),
+        HELLO_REJECT: this._handleHelloReject.bind(this),
       };
 
+      // Inbound rate limits, per peer and handled message type; any other
+      // type shares the default limit
+      this.rateLimiter = new RateLimiter(options.rateLimits, Object.keys(this.messageHandlers));
+
       // Bootstrap if nodes provided
       if (
         options.bootstrap &&
@@ -456,15 +1088,51 @@ class DHT extends EventEmitter {
    * @private
    */
   _setupMaintenance() {
-    // Replicate data to other nodes
+    // Reconcile replicas with neighbours
     this.replicateInterval = setInterval(() => {
-      this._replicateData();
+      this._syncReplicas();
     }, this.REPLICATE_INTERVAL);
 
     // Republish data
     this.republishInterval = setInterval(() => {
       this._republishData();
     }, this.REPUBLISH_INTERVAL);
+
+    // Remove expired records
+    this.expirySweepInterval = setInterval(() => {
+      this._sweepExpiredRecords();
+    }, this.EXPIRY_SWEEP_INTERVAL);
+
+    // Drop expired provider records and re-announce our own before they expire
+    this.providerInterval = setInterval(() => {
+      this._sweepExpiredProviders();
+      this._reannounceProviders();
+    }, this.EXPIRY_SWEEP_INTERVAL);
+
+    // Renew topic subscriptions and repair trees after churn
+    this.topicRefreshInterval = setInterval(() => {
+      this._refreshTopics();
+    }, this.TOPIC_LEASE / 2);
+
+    // Renew key watches with the current closest replicas
+    this.watchRenewInterval = setInterval(() => {
+      this._renewWatches();
+    }, this.WATCH_LEASE / 2);
+
+    // Save reputation scores
+    this.reputationSaveInterval = setInterval(() => {
+      this._persistReputation();
+    }, REPUTATION_SAVE_INTERVAL);
+
+    // Save routing table contacts for reconnecting after a restart
+    this.contactsSaveInterval = setInterval(() => {
+      this._persistContacts();
+    }, CONTACTS_SAVE_INTERVAL);
+
+    // Refresh buckets that have not seen a lookup for a while
+    this.bucketRefreshInterval = setInterval(() => {
+      this._refreshStaleBuckets();
+    }, Math.min(this.BUCKET_REFRESH_INTERVAL, 60000));
     
     // Check DHT readiness periodically
     setInterval(() => {
@@ -659,7 +1327,11 @@ class DHT extends EventEmitter {
   }
 
   /**
-   * Add a node to the routing table
+   * Add a node to the routing table, or mark it as most recently seen. Only
+   * call this for nodes we have heard from directly, never for IDs taken
+   * from message contents. When the bucket is full the newcomer is cached
+   * and the least recently seen node is pinged; it is only evicted if it
+   * does not answer.
    * @param {Object} node - Node to add
    * @return {boolean} True if node was added
    * @private
@@ -667,22 +1339,127 @@ class DHT extends EventEmitter {
   _addNode(node) {
     if (!node || !node.id) return false;
 
-    const bucketIndex = this._getBucketIndex(node.id);
-    return this.buckets[bucketIndex].add(node);
+    const nodeIdHex = typeof node.id === "string" ? node.id : bufferToHex(node.id);
+    if (this._isBanned(nodeIdHex)) return false;
+    const bucket = this.buckets[this._getBucketIndex(nodeIdHex)];
+    const added = bucket.add(node);
+    if (!added && nodeIdHex !== this.nodeIdHex && !bucket.has(nodeIdHex)) {
+      this._probeBucket(bucket);
+    }
+    return added;
   }
 
   /**
-   * Bootstrap the DHT with known nodes
-   * @param {Array} nodes - Bootstrap nodes
+   * Ping the least recently seen node of a full bucket and evict it if it
+   * does not answer, letting the newest replacement take its slot
+   * @param {KBucket} bucket - Full bucket
    * @private
    */
-  _bootstrap(nodes) {
-    this.logger.info(`Bootstrapping DHT with ${nodes.length} nodes...`);
+  async _probeBucket(bucket) {
+    if (this._probingBuckets.has(bucket)) return;
+    const stalest = bucket.leastRecentlySeen();
+    if (!stalest) return;
 
-    // Connect to bootstrap nodes
-    nodes.forEach((node) => {
-      this.connect(node);
-    });
+    this._probingBuckets.add(bucket);
+    try {
+      if (await this._pingNode(stalest.id)) {
+        bucket.add(stalest);
+      } else {
+        this._logDebug(`Evicting unresponsive node ${stalest.id.substring(0, 8)}... from bucket ${bucket.prefixLength}`);
+        bucket.evict(stalest.id);
+      }
+    } finally {
+      this._probingBuckets.delete(bucket);
+    }
+  }
+
+  /**
+   * Check whether a node is alive
+   * @param {string} nodeId - Node ID (hex)
+   * @return {Promise<boolean>} True if the node answered with a PONG
+   * @private
+   */
+  async _pingNode(nodeId) {
+    const response = await this._request(
+      nodeId,
+      { type: "PING", sender: this.nodeIdHex },
+      { timeout: this.PING_TIMEOUT }
+    );
+    return response !== null;
+  }
+
+  /**
+   * Look up a random ID in the range of every bucket that has had no lookup
+   * within the refresh interval, up to the deepest non-empty bucket
+   * @private
+   */
+  async _refreshStaleBuckets() {
+    if (this._refreshingBuckets || this.peers.size === 0) return;
+    this._refreshingBuckets = true;
+    try {
+      let deepest = -1;
+      this.buckets.forEach((bucket, index) => {
+        if (bucket.nodes.length > 0) deepest = index;
+      });
+
+      const now = Date.now();
+      for (let i = 0; i <= deepest; i++) {
+        if (now - this.buckets[i].lastActivity < this.BUCKET_REFRESH_INTERVAL) {
+          continue;
+        }
+        this._logDebug(`Refreshing stale bucket ${i}`);
+        await this._lookup(await this._randomIdInBucket(i));
+      }
+    } catch (err) {
+      this._logDebug(`Error refreshing buckets: ${err.message}`);
+    } finally {
+      this._refreshingBuckets = false;
+    }
+  }
+
+  /**
+   * Generate a random ID that falls into a bucket: it shares the first
+   * `index` bits with our node ID and differs in the next one
+   * @param {number} index - Bucket index (common prefix length)
+   * @return {Promise<string>} Random ID (hex)
+   * @private
+   */
+  async _randomIdInBucket(index) {
+    const bits = BigInt(this.nodeIdHex.length * 4);
+    const all = (1n << bits) - 1n;
+    const own = BigInt(`0x${this.nodeIdHex}`);
+    const random = BigInt(`0x${await generateRandomID()}`);
+    const prefixMask = all ^ (all >> BigInt(index));
+    const flipBit = 1n << (bits - 1n - BigInt(index));
+    const id =
+      ((own & prefixMask) | (random & ~prefixMask & all) | flipBit) ^
+      (own & flipBit);
+    return id.toString(16).padStart(this.nodeIdHex.length, "0");
+  }
+
+  /**
+   * Get routing table statistics for every non-empty bucket
+   * @return {Array<Object>} Bucket statistics ({ index, size, capacity,
+   *   replacements, evictions, lastActivity, oldestSeen, newestSeen })
+   */
+  getBucketStats() {
+    return this.buckets
+      .map((bucket, index) => ({ index, ...bucket.getStats() }))
+      .filter((stats) => stats.size > 0 || stats.replacements > 0);
+  }
+
+  /**
+   * Bootstrap the DHT with known nodes
+   * @param {Array} nodes - Bootstrap nodes
+   * @private
+   */
+  _bootstrap(nodes) {
+    this.logger.info(`Bootstrapping DHT with ${nodes.length} nodes...`);
+
+    // Connect to bootstrap nodes
+    nodes.forEach((node) => {
+      this.connect(node);
+    });
 
     // Find nodes close to ourself to populate routing table
     setTimeout(() => {
@@ -708,7 +1485,8 @@ class DHT extends EventEmitter {
   }
 
   /**
-   * Evaluate if a new peer should replace an existing one based on XOR distance
+   * Evaluate if a new peer should replace an existing one based on DHT
+   * signaling capability, reputation and XOR distance
    * @private
    */
   _shouldReplacePeer(newPeerId, existingPeerId) {
@@ -729,7 +1507,14 @@ class DHT extends EventEmitter {
       return false; // Don't replace DHT-capable peer with non-DHT-capable one
     }
     
-    // If both are DHT-capable or both are not, fall back to distance comparison
+    // A clearly more reliable peer wins regardless of distance
+    const reputationDelta =
+      this.reputation.score(newPeerId) - this.reputation.score(existingPeerId);
+    if (Math.abs(reputationDelta) >= REPUTATION_MARGIN) {
+      return reputationDelta > 0;
+    }
+
+    // Otherwise fall back to distance comparison
     const newDistance = this._calculateDistance(this.nodeIdHex, newPeerId);
     const existingDistance = this._calculateDistance(
       this.nodeIdHex,
@@ -756,26 +1541,47 @@ class DHT extends EventEmitter {
     return furthestPeer;
   }
 
+  /**
+   * Find the connected peer we would lose the least by dropping: the
+   * furthest one, unless another peer is clearly less reliable
+   * @return {string|null} Peer ID
+   * @private
+   */
+  _findWeakestPeer() {
+    const furthestPeerId = this._findFurthestPeer();
+    if (!furthestPeerId) return null;
+    let weakest = furthestPeerId;
+    let weakestScore = this.reputation.score(furthestPeerId) - REPUTATION_MARGIN;
+    for (const peerId of this.peers.keys()) {
+      const score = this.reputation.score(peerId);
+      if (score < weakestScore) {
+        weakest = peerId;
+        weakestScore = score;
+      }
+    }
+    return weakest;
+  }
+
   /**
    * Attempt to replace a less optimal peer with a new one
    * @private
    */
   async _rebalancePeers(newPeerId) {
-    const furthestPeerId = this._findFurthestPeer();
+    const weakestPeerId = this._findWeakestPeer();
 
-    if (!furthestPeerId) return false;
+    if (!weakestPeerId) return false;
 
-    if (this._shouldReplacePeer(newPeerId, furthestPeerId)) {
+    if (this._shouldReplacePeer(newPeerId, weakestPeerId)) {
       this._logDebug(
-        `Replacing further peer ${furthestPeerId} with closer peer ${newPeerId}`
+        `Replacing peer ${weakestPeerId} with better peer ${newPeerId}`
       );
 
-      // Disconnect the further peer
-      const oldPeer = this.peers.get(furthestPeerId);
+      // Disconnect the weaker peer
+      const oldPeer = this.peers.get(weakestPeerId);
       if (oldPeer) {
         oldPeer.destroy();
-        this.peers.delete(furthestPeerId);
-        this.emit("peer:disconnect", furthestPeerId, "replaced");
+        this.peers.delete(weakestPeerId);
+        this.emit("peer:disconnect", weakestPeerId, "replaced");
       }
 
       return true; // Allow the new connection
@@ -789,6 +1595,8 @@ class DHT extends EventEmitter {
    * @param {Object} peerInfo - Peer information
    * @param {string|Buffer} peerInfo.id - Peer ID
    * @param {Object} peerInfo.signal - Signaling data (optional)
+   * @param {boolean} [peerInfo.dhtSignaling] - Send WebRTC signals through
+   *   the DHT, falling back to the signaling server after contactSignalTimeout
    * @return {Peer|null} Peer instance or null if connection not allowed
    */
   async connect(peerInfo) {
@@ -804,6 +1612,10 @@ class DHT extends EventEmitter {
       throw new Error("Cannot connect to self");
     }
 
+    if (this._isBanned(peerId)) {
+      throw new Error("Peer is banned");
+    }
+
     // Check if we're already connected
     if (this.peers.has(peerId)) {
       return this.peers.get(peerId);
@@ -857,13 +1669,11 @@ class DHT extends EventEmitter {
 
     this.peers.set(peerId, peer);
     this._setupPeerHandlers(peer);
+    if (peerInfo.dhtSignaling) this._preferDhtSignaling(peer, initiator);
 
     // Add to routing table
     this._addNode({ id: peerId });
 
-    // Replicate relevant key-value pairs to the new peer if it is now among the K closest for any key
-    this._replicateToNewPeer(peerId);
-
     // After establishing connection, try to discover more peers through this new peer
     peer.once("connect", async () => {
       this._logDebug(`Connected to new peer ${peerId.substring(0, 8)}..., discovering more peers`);
@@ -966,6 +1776,15 @@ class DHT extends EventEmitter {
             this._logDebug(`Received candidate signal without valid candidate data for ${peerId}, passing through`);
           }
         }
+        if (peer.dhtSignaling) {
+          const routeId = this._sendSignalThroughDht(peerId, data);
+          if (routeId) {
+            this._logDebug(`Sent WebRTC signal to ${peerId.substring(0, 8)}... through ${routeId.substring(0, 8)}...`);
+            peer.signalRoute = routeId;
+            this._dhtSignalAttempts++;
+            return;
+          }
+        }
         this._logDebug(`Using server for WebRTC signal to ${peerId}`);
         this._serverSignalAttempts++;
         this._logDebug(`Signal stats - DHT: ${this._dhtSignalAttempts}, Server: ${this._serverSignalAttempts}, Ratio: ${Math.round((this._dhtSignalAttempts / (this._dhtSignalAttempts + this._serverSignalAttempts)) * 100)}%`);
@@ -1093,14 +1912,18 @@ class DHT extends EventEmitter {
         host: null,
         port: null,
       });
+      this.reputation.connected(peerId);
+      if (peer.signalRoute) this._addDhtRoute(peerId, peer.signalRoute);
+      this._savedContacts.delete(peerId);
       this.emit("peer:connect", peerId);
+      if (!this._contactsReconnected) this._reconnectContacts();
+      // Introduce ourselves before anything else (always sent as JSON)
+      peer.send(this._helloMessage());
       // Send a PING to the peer
       peer.send({
         type: "PING",
         sender: this.nodeIdHex,
       });
-      // Replicate relevant key-value pairs to the new peer if it is now among the K closest for any key
-      this._replicateToNewPeer(peerId);
       
       // Immediately try to establish DHT routes with this new peer
       if (this.peers.size > 1) {
@@ -1129,7 +1952,27 @@ class DHT extends EventEmitter {
 
     // Handle messages
     peer.on("message", (message, peerId) => {
-      if (message && message.type && this.messageHandlers[message.type]) {
+      if (this._isBanned(peerId)) return;
+      // Any message from a peer proves it is alive. Use the connection's
+      // peer ID rather than the self-reported sender field.
+      if (peerId) {
+        this._addNode({ id: peerId, host: null, port: null });
+      }
+      // Responses to our own requests go to the waiting caller
+      if (message && this._resolveRequest(message, peerId)) return;
+      if (
+        message &&
+        message.type &&
+        !this.rateLimiter.consume(
+          peerId,
+          this._rateLimitType(message),
+          this._messageCost(message)
+        )
+      ) {
+        this._recordViolation(peerId, "rate", message.type);
+        return;
+      }
+      if (message && message.type && Object.hasOwn(this.messageHandlers, message.type)) {
         this.messageHandlers[message.type](message, peerId);
       } else if (message && message.type) {
         // Emit unhandled messages for applications to handle
@@ -1141,6 +1984,12 @@ class DHT extends EventEmitter {
     peer.on("close", (peerId) => {
       this._logDebug(`Disconnected from peer: ${peerId}`);
       this.peers.delete(peerId);
+      this.peerCapabilities.delete(peerId);
+      this.rateLimiter.forget(peerId);
+      this._syncSnapshots.delete(peerId);
+      this.reputation.disconnected(peerId);
+      this._failRequestsVia(peerId);
+      this._handleTopicPeerLoss(peerId);
       this.emit("peer:disconnect", peerId);
     });
 
@@ -1182,6 +2031,10 @@ class DHT extends EventEmitter {
 
     const peerId = data.id;
     const viaDht = data.viaDht || false;
+    if (this._isBanned(peerId)) {
+      this._logDebug(`Ignoring signal from banned peer ${peerId.substring(0, 8)}...`);
+      return null;
+    }
     // Check if trickle ICE is disabled in our options
     const isTrickleDisabled = this.simplePeerOptions && this.simplePeerOptions.trickle === false;
 
@@ -1197,6 +2050,13 @@ class DHT extends EventEmitter {
       this._logDebug(`Received signal ${isWebRTCSignal ? data.signal.type : (isIceCandidate ? 'ICE' : 'unknown')} from ${peerId.substring(0, 8)}..., via ${viaDht ? 'DHT' : 'server'}`);
     }
 
+    // An offer through the server replaces a connection signaled through
+    // the DHT that the other side gave up on
+    const pending = this.peers.get(peerId);
+    if (pending?.dhtSignaling && !pending.connected && !viaDht && data.signal.type === "offer") {
+      this._abandonPeer(pending);
+    }
+
     // Check if we know this peer
     if (this.peers.has(peerId)) {
       const peer = this.peers.get(peerId);
@@ -1320,6 +2180,8 @@ class DHT extends EventEmitter {
     if (data?.signal && typeof data.signal === 'object') {
       this.peers.set(peerId, peer);
       this._setupPeerHandlers(peer);
+      // Answer through the DHT too
+      if (viaDht) this._preferDhtSignaling(peer, false);
       peer.signal(data.signal);
     } else {
       this._logDebug("Invalid signal format in DHT routing", data);
@@ -1424,424 +2286,2357 @@ class DHT extends EventEmitter {
    * @private
    */
   _handlePing(message, peerId) {
-    const peer = this.peers.get(peerId);
-    if (!peer) return;
-
-    // Add sender to routing table
-    this._addNode({
-      id: hexToBuffer(message.sender),
-      host: null,
-      port: null,
-    });
-
     // Respond with a PONG
-    peer.send({
+    this._respond(peerId, message, {
       type: "PONG",
       sender: this.nodeIdHex,
     });
   }
 
   /**
-   * Handle a FIND_NODE message
+   * Handle an unsolicited PONG message. The routing table entry was already
+   * refreshed when the message arrived; PONGs answering our own PINGs are
+   * consumed by the RPC layer before reaching this handler.
    * @param {Object} message - Message object
    * @param {string} peerId - Sender peer ID
    * @private
    */
-  _handleFindNode(message, peerId) {
-    const peer = this.peers.get(peerId);
-    if (!peer) return;
-
-    // Add sender to routing table
-    this._addNode({
-      id: hexToBuffer(message.sender),
-      host: null,
-      port: null,
-    });
-
-    // Find closest nodes to target
-    const targetId = hexToBuffer(message.target);
-    let nodes = [];
-
-    for (let i = 0; i < this.BUCKET_COUNT; i++) {
-      nodes = nodes.concat(this.buckets[i].nodes);
-    }
-    
-    // Filter to only include connected peers (except self)
-    const seen = new Set();
-    nodes = nodes.filter((n) => {
-      const nIdHex = typeof n.id === "string" ? n.id : bufferToHex(n.id);
-      if (seen.has(nIdHex)) return false;
-      seen.add(nIdHex);
-      // Only include connected peers (except self)
-      if (nIdHex === this.nodeIdHex) return false;
-      const peer = this.peers.get(nIdHex);
-      return peer && peer.connected;
-    });
-
-    nodes = nodes
-      .sort((a, b) => {
-        const distA = distance(a.id, targetId);
-        const distB = distance(b.id, targetId);
-        return compareBuffers(distA, distB);
-      })
-      .slice(0, this.K)
-      .map((node) => ({
-        id: bufferToHex(node.id),
-      }));
+  _handlePong(message, peerId) {
+    this._logDebug(`PONG from ${peerId.substring(0, 8)}...`);
+  }
 
-    // Send response
-    peer.send({
-      type: "FIND_NODE_RESPONSE",
+  /**
+   * Build the HELLO message advertising this node's protocol version and
+   * capabilities
+   * @return {Object} HELLO message
+   * @private
+   */
+  _helloMessage() {
+    return {
+      type: "HELLO",
       sender: this.nodeIdHex,
-      nodes: nodes,
-    });
+      protocolVersion: PROTOCOL_VERSION,
+      minProtocolVersion: MIN_PROTOCOL_VERSION,
+      types: Object.keys(this.messageHandlers),
+      encodings: this.WIRE_ENCODINGS,
+      maxValueSize: this.MAX_VALUE_SIZE,
+      features: PROTOCOL_FEATURES,
+    };
   }
 
   /**
-   * Handle a FIND_VALUE message
+   * Handle a HELLO message: record the peer's capabilities and switch our
+   * sends to the best shared encoding, or disconnect if neither side can
+   * speak the other's protocol version.
    * @param {Object} message - Message object
    * @param {string} peerId - Sender peer ID
    * @private
    */
-  async _handleFindValue(message, peerId) {
+  _handleHello(message, peerId) {
     const peer = this.peers.get(peerId);
     if (!peer) return;
-    // Add sender to routing table
-    this._addNode({
-      id: hexToBuffer(message.sender),
-      host: null,
-      port: null,
-    });
-    // Always hash the incoming key for lookup, unless already a 40-char hex string
-    const keyStr = message.key;
-    const keyHashHex = /^[a-fA-F0-9]{40}$/.test(keyStr)
-      ? keyStr
-      : bufferToHex(await sha1(toBuffer(keyStr)));
-
-    // Check local storage first
-    if (this.storage.has(keyHashHex)) {
-      const stored = this.storage.get(keyHashHex);
-      const meta = stored?.meta;
 
-      // Enforce basic space policy on responses.
-      // NOTE: This is best-effort only; there is no cryptographic identity binding.
-      if (meta && (meta.space === "private" || meta.space === "user")) {
-        const owner = meta.owner;
-        if (owner && message.sender !== owner) {
-          // Treat as not found for non-owner.
-          // Fall through to the closest-nodes response.
-        } else {
-          const value = stored?.value;
-          if (typeof value !== "undefined") {
-            peer.send({
-              type: "FIND_VALUE_RESPONSE",
-              sender: this.nodeIdHex,
-              value: value,
-              key: keyHashHex,
-            });
-            return;
-          }
-        }
-      } else {
-        const value = stored?.value;
-        if (typeof value !== "undefined") {
-        peer.send({
-          type: "FIND_VALUE_RESPONSE",
-          sender: this.nodeIdHex,
-          value: value,
-          key: keyHashHex,
-        });
-        return;
-      }
-      }
+    const version = message.protocolVersion;
+    const minVersion = Number.isInteger(message.minProtocolVersion)
+      ? message.minProtocolVersion
+      : version;
+    if (!Number.isInteger(version)) {
+      this._disconnectIncompatible(peerId, version, "Missing protocol version", true);
+      return;
     }
-
-    // If not found, immediately find K closest nodes and send them in response
-    let closestNodes = [];
-    for (let i = 0; i < this.BUCKET_COUNT; i++) {
-      closestNodes = closestNodes.concat(this.buckets[i].nodes);
+    if (version < MIN_PROTOCOL_VERSION) {
+      this._disconnectIncompatible(
+        peerId,
+        version,
+        `Protocol version ${version} is older than ${MIN_PROTOCOL_VERSION}`,
+        true
+      );
+      return;
+    }
+    if (minVersion > PROTOCOL_VERSION) {
+      this._disconnectIncompatible(
+        peerId,
+        version,
+        `Protocol version ${PROTOCOL_VERSION} is older than ${minVersion}`,
+        true
+      );
+      return;
     }
-    closestNodes = closestNodes
-      .sort((a, b) => {
-        const distA = distance(a.id, hexToBuffer(keyHashHex));
-        const distB = distance(b.id, hexToBuffer(keyHashHex));
-        return compareBuffers(distA, distB);
-      })
-      .slice(0, this.K)
-      .map((node) => ({
-        id: bufferToHex(node.id),
-      }));
 
-    peer.send({
-      type: "FIND_VALUE_RESPONSE",
-      sender: this.nodeIdHex,
-      nodes: closestNodes,
-      key: keyHashHex,
-    });
+    const capabilities = {
+      protocolVersion: version,
+      types: new Set(Array.isArray(message.types) ? message.types : []),
+      encodings: Array.isArray(message.encodings) ? message.encodings : ["json"],
+      maxValueSize:
+        typeof message.maxValueSize === "number" && message.maxValueSize > 0
+          ? message.maxValueSize
+          : DEFAULT_MAX_VALUE_SIZE,
+      features: new Set(Array.isArray(message.features) ? message.features : []),
+    };
+    this.peerCapabilities.set(peerId, capabilities);
+    peer.encoding = selectEncoding(this.WIRE_ENCODINGS, capabilities.encodings);
+    this._logDebug(
+      `HELLO from ${peerId.substring(0, 8)}...: protocol v${version}, ${peer.encoding} encoding`
+    );
+
+    // Bring the new neighbour's replicas up to date. Syncs go both ways, so
+    // only one side of each connection starts them.
+    if (this.nodeIdHex < peerId) this._syncWithPeer(peerId);
   }
 
   /**
-   * Handle a STORE message
+   * Handle a HELLO_REJECT message: the peer cannot speak our protocol version
    * @param {Object} message - Message object
    * @param {string} peerId - Sender peer ID
    * @private
    */
-  async _handleStore(message, peerId) {
-    const peer = this.peers.get(peerId);
-    if (!peer) return;
-
-    // Add sender to routing table
-    this._addNode({
-      id: hexToBuffer(message.sender),
-      host: null,
-      port: null,
-    });
+  _handleHelloReject(message, peerId) {
+    this._disconnectIncompatible(
+      peerId,
+      message.protocolVersion,
+      message.reason || "Rejected by peer",
+      false
+    );
+  }
 
-    // Validate key presence and type
-    const keyStr = message.key;
-    if (
-      typeof keyStr !== "string" ||
-      !keyStr.trim() ||
-      keyStr === ":" ||
-      keyStr === "undefined" ||
-      keyStr === "null"
-    ) {
-      _logDebug("[DHT._handleStore] Invalid key:", keyStr);
+  /**
+   * Disconnect a peer whose protocol version is incompatible with ours
+   * @param {string} peerId - Peer ID
+   * @param {number} protocolVersion - Version the peer advertised
+   * @param {string} reason - Human-readable reason
+   * @param {boolean} notify - Whether to tell the peer before closing
+   * @private
+   */
+  _disconnectIncompatible(peerId, protocolVersion, reason, notify) {
+    const peer = this.peers.get(peerId);
+    this.logger.warn(`Disconnecting incompatible peer ${peerId.substring(0, 8)}...: ${reason}`);
+    if (peer && notify) {
       peer.send({
-        type: "STORE_RESPONSE",
+        type: "HELLO_REJECT",
         sender: this.nodeIdHex,
-        success: false,
-        key: keyStr,
-        error: "Invalid key",
+        protocolVersion: PROTOCOL_VERSION,
+        minProtocolVersion: MIN_PROTOCOL_VERSION,
+        reason,
       });
-      return;
     }
-    // Validate key size
-    if (Buffer.from(keyStr).length > this.MAX_KEY_SIZE) {
-      _logDebug("[DHT._handleStore] Key too large:", keyStr);
-      peer.send({
-        type: "STORE_RESPONSE",
-        sender: this.nodeIdHex,
-        success: false,
-        key: keyStr,
-        error: "Key too large",
-      });
-      return;
+    this.emit("peer:incompatible", { peerId, protocolVersion, reason });
+    if (peer) peer.destroy();
+  }
+
+  /**
+   * Check whether a peer supports a message type or optional feature.
+   * Peers that have not sent a HELLO (e.g. older versions, or nodes only
+   * reachable through relays) are assumed to support everything.
+   * @param {string} peerId - Peer ID
+   * @param {string} name - Message type or feature name
+   * @return {boolean} True if the peer supports it
+   * @private
+   */
+  _peerSupports(peerId, name) {
+    const capabilities = this.peerCapabilities.get(peerId);
+    if (!capabilities) return true;
+    return capabilities.types.has(name) || capabilities.features.has(name);
+  }
+
+  /**
+   * Check whether a peer can accept a STORE message, based on its advertised
+   * value size limit and features
+   * @param {string} peerId - Peer ID
+   * @param {Object} message - STORE message
+   * @return {boolean} True if the message may be sent to the peer
+   * @private
+   */
+  _peerAcceptsStore(peerId, message) {
+    const capabilities = this.peerCapabilities.get(peerId);
+    if (!capabilities) return true;
+    if (valueByteLength(message.value) > capabilities.maxValueSize) return false;
+    if (typeof message.expiresAt === "number" && !this._peerSupports(peerId, "ttl")) {
+      return false;
     }
+    if (Number.isInteger(message.cas) && !this._peerSupports(peerId, "cas")) {
+      return false;
+    }
+    if (message.meta?.space === IMMUTABLE_SPACE && !this._peerSupports(peerId, "immutable")) {
+      return false;
+    }
+    if (message.tombstone && !this._peerSupports(peerId, "tombstones")) {
+      return false;
+    }
+    return true;
+  }
 
-    // Validate value presence
-    const value = message.value;
-    if (typeof value === "undefined" || value === null) {
-      _logDebug("[DHT._handleStore] Value is undefined or null");
-      peer.send({
-        type: "STORE_RESPONSE",
-        sender: this.nodeIdHex,
-        success: false,
-        key: keyStr,
-        error: "Value is undefined or null",
-      });
-      return;
+  /**
+   * Identify the publisher a stored record is accounted to: the owner of a
+   * signed record, otherwise the peer it arrived from. The sender field of
+   * a message and the owner named by an unsigned record are self-reported,
+   * so they are never trusted for this. Owned-space records are only
+   * charged after their signature has been verified.
+   * @param {Object} message - STORE message
+   * @param {string} peerId - Peer the message arrived from
+   * @return {string|null} Publisher ID
+   * @private
+   */
+  _publisherOf(message, peerId) {
+    const meta = message?.meta;
+    if (OWNED_SPACES.has(meta?.space) && typeof meta.owner === "string" && meta.owner) {
+      return meta.owner;
     }
+    return typeof peerId === "string" && peerId ? peerId : null;
+  }
 
-    // Validate value size
-    const valueSize =
-      typeof value === "string"
-        ? Buffer.from(value).length
-        : Buffer.isBuffer(value)
-        ? value.length
-        : Buffer.from(JSON.stringify(value)).length;
+  /**
+   * Count a quota violation against a peer if a record it sent was refused
+   * for exceeding the peer's own quota. Peers replicating signed records
+   * are not penalised for their owners' quotas.
+   * @param {string} peerId - Peer the records arrived from
+   * @param {string} type - Message type
+   * @param {Object[]} records - Records sent
+   * @param {Object[]} results - Store result for each record ({ error })
+   * @private
+   */
+  _checkQuotaViolation(peerId, type, records, results) {
+    if (
+      results.some(
+        (result, i) =>
+          result?.error === QUOTA_EXCEEDED &&
+          this._publisherOf(records[i], peerId) === peerId
+      )
+    ) {
+      this._recordViolation(peerId, "quota", type);
+    }
+  }
 
-    if (valueSize > this.MAX_VALUE_SIZE) {
-      _logDebug("[DHT._handleStore] Value too large:", valueSize, "bytes");
-      peer.send({
-        type: "STORE_RESPONSE",
-        sender: this.nodeIdHex,
-        success: false,
-        key: keyStr,
-        error: "Value exceeds maximum size",
-      });
-      return;
+  /**
+   * Check whether storing a record would take a publisher over its quota.
+   * Content-addressed records (blob chunks) count towards a separate, larger
+   * quota, so that blobs of several megabytes fit.
+   * @param {string|null} publisher - Publisher ID
+   * @param {string} keyHashHex - Key being written (its old version is not counted)
+   * @param {number} valueSize - Size of the new value in bytes
+   * @param {boolean} [immutable] - Whether the record is content-addressed
+   * @return {boolean} True if the quota would be exceeded
+   * @private
+   */
+  _exceedsPublisherQuota(publisher, keyHashHex, valueSize, immutable = false) {
+    if (!publisher) return false;
+    let records = 1;
+    let bytes = valueSize;
+    for (const [k, stored] of this.storage.entries()) {
+      if (k === keyHashHex || stored.publisher !== publisher) continue;
+      if ((stored.meta?.space === IMMUTABLE_SPACE) !== immutable) continue;
+      records++;
+      bytes += valueByteLength(stored.value);
     }
+    const quota = this.PUBLISHER_QUOTA;
+    return immutable
+      ? records > quota.immutableRecords || bytes > quota.immutableBytes
+      : records > quota.records || bytes > quota.bytes;
+  }
 
-    // Hash the key if not already a valid hash
-    let keyHashHex;
-    if (/^[a-fA-F0-9]{40}$/.test(keyStr)) {
-      keyHashHex = keyStr;
-    } else {
-      try {
-        const hash = await sha1(keyStr);
-        keyHashHex = bufferToHex(hash);
-        this._logDebug("Key hash:", keyHashHex);
-      } catch (err) {
-        _logDebug("[DHT._handleStore] Error hashing key:", err);
-        peer.send({
-          type: "STORE_RESPONSE",
-          sender: this.nodeIdHex,
-          success: false,
+  /**
+   * Count a rate limit or quota violation against a peer, banning it once it
+   * reaches the configured maximum within the violation window
+   * @param {string} peerId - Offending peer ID
+   * @param {string} kind - "rate" or "quota"
+   * @param {string} type - Message type that caused the violation
+   * @private
+   */
+  _recordViolation(peerId, kind, type) {
+    const now = Date.now();
+    let entry = this._peerViolations.get(peerId);
+    if (!entry || now - entry.since > VIOLATION_WINDOW) {
+      entry = { count: 0, since: now };
+      this._peerViolations.set(peerId, entry);
+    }
+    entry.count++;
+    this.emit("peer:rate-limited", { peerId, kind, type, violations: entry.count });
+    if (entry.count >= this.MAX_VIOLATIONS) {
+      this.banPeer(peerId, `Too many ${kind} violations (${type})`);
+    }
+  }
+
+  /**
+   * Check whether a peer is currently banned
+   * @param {string} peerId - Peer ID
+   * @return {boolean} True if banned
+   * @private
+   */
+  _isBanned(peerId) {
+    const ban = this.bannedPeers.get(peerId);
+    if (!ban) return false;
+    if (ban.until <= Date.now()) {
+      this.bannedPeers.delete(peerId);
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Disconnect a peer and refuse connections and signals from it for a while
+   * @param {string} peerId - Peer ID
+   * @param {string} [reason="Banned"] - Reason shown to the application
+   * @param {number} [duration] - Ban duration (ms); defaults to the banDuration option
+   */
+  banPeer(peerId, reason = "Banned", duration = this.BAN_DURATION) {
+    const until = Date.now() + duration;
+    this.bannedPeers.set(peerId, { until, reason });
+    this._peerViolations.delete(peerId);
+    this.logger.warn(`Banning peer ${peerId.substring(0, 8)}...: ${reason}`);
+    this.emit("peer:banned", { peerId, reason, until });
+
+    const peer = this.peers.get(peerId);
+    if (peer) peer.destroy();
+    for (const bucket of this.buckets) {
+      if (bucket.has(peerId)) bucket.remove(peerId);
+    }
+  }
+
+  /**
+   * Lift a ban
+   * @param {string} peerId - Peer ID
+   * @return {boolean} True if the peer was banned
+   */
+  unbanPeer(peerId) {
+    return this.bannedPeers.delete(peerId);
+  }
+
+  /**
+   * List currently banned peers
+   * @return {Object[]} Bans as { peerId, reason, until }
+   */
+  getBannedPeers() {
+    return Array.from(this.bannedPeers.keys())
+      .filter((peerId) => this._isBanned(peerId))
+      .map((peerId) => ({ peerId, ...this.bannedPeers.get(peerId) }));
+  }
+
+  /**
+   * Get a peer's reputation score and the statistics behind it
+   * @param {string} peerId - Peer ID
+   * @return {Object} { score, responsiveness, correctness, uptime, ... }
+   */
+  getPeerReputation(peerId) {
+    return { score: this.reputation.score(peerId), ...this.reputation.getStats(peerId) };
+  }
+
+  /**
+   * Get the capabilities a connected peer advertised in its HELLO
+   * @param {string} peerId - Peer ID
+   * @return {Object|null} Capabilities, or null if the peer has not sent a HELLO
+   */
+  getPeerCapabilities(peerId) {
+    const capabilities = this.peerCapabilities.get(peerId);
+    if (!capabilities) return null;
+    return {
+      ...capabilities,
+      types: [...capabilities.types],
+      features: [...capabilities.features],
+    };
+  }
+
+  /**
+   * Handle a FIND_NODE message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  _handleFindNode(message, peerId) {
+    this._respond(peerId, message, this._findNodeResponse(message));
+  }
+
+  /**
+   * Answer a FIND_NODE request with the K closest contacts we know of,
+   * connected or not. Each contact is flagged with whether we hold a direct
+   * connection to it, so the requester can reach it through us.
+   * @param {Object} message - FIND_NODE message
+   * @return {Object} FIND_NODE_RESPONSE message
+   * @private
+   */
+  _findNodeResponse(message) {
+    return {
+      type: "FIND_NODE_RESPONSE",
+      sender: this.nodeIdHex,
+      target: message.target,
+      nodes: this._closestContacts(message.target, message.sender),
+    };
+  }
+
+  /**
+   * Get the K closest known contacts to a target for a lookup response
+   * @param {string} targetHex - Target ID (hex)
+   * @param {string} requesterId - Requesting node, left out of the result
+   * @return {Array<{id: string, connected: boolean}>} Closest contacts
+   * @private
+   */
+  _closestContacts(targetHex, requesterId) {
+    const target = hexToBuffer(targetHex);
+    const ids = new Set();
+    for (let i = 0; i < this.BUCKET_COUNT; i++) {
+      for (const node of this.buckets[i].nodes) {
+        ids.add(typeof node.id === "string" ? node.id : bufferToHex(node.id));
+      }
+    }
+    for (const [id, peer] of this.peers.entries()) {
+      if (peer.connected) ids.add(id);
+    }
+    ids.delete(this.nodeIdHex);
+    ids.delete(requesterId);
+
+    return Array.from(ids)
+      .sort((a, b) => compareBuffers(distance(a, target), distance(b, target)))
+      .slice(0, this.K)
+      .map((id) => {
+        const peer = this.peers.get(id);
+        return { id, connected: !!(peer && peer.connected) };
+      });
+  }
+
+  /**
+   * Handle a FIND_VALUE message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  async _handleFindValue(message, peerId) {
+    this._respond(peerId, message, await this._findValueResponse(message));
+  }
+
+  /**
+   * Answer a FIND_VALUE request with the stored record, or with the closest
+   * contacts if we do not hold it
+   * @param {Object} message - FIND_VALUE message ({ key, owner })
+   * @return {Promise<Object>} FIND_VALUE_RESPONSE message
+   * @private
+   */
+  async _findValueResponse(message) {
+    // Always hash the incoming key for lookup, unless already a 40-char hex string
+    const keyStr = message.key;
+    const keyHashHex = /^[a-fA-F0-9]{40}$/.test(keyStr)
+      ? keyStr
+      : bufferToHex(await sha1(toBuffer(keyStr)));
+
+    // Check local storage first
+    if (this.storage.has(keyHashHex)) {
+      const stored = this.storage.get(keyHashHex);
+      const meta = stored?.meta;
+      const value = stored?.value;
+
+      // Only serve unexpired records, and owned-space records whose
+      // signature verifies.
+      // Enforce basic read policy on `user` responses: the reader's owner ID
+      // (its node ID if it sent none) must match the owner recovered from
+      // the record's signature.
+      // NOTE: Readers are not authenticated, so this is best-effort only.
+      // Non-owners fall through to the closest-nodes response. `private`
+      // values are ciphertext, so they are served to any recipient.
+      if (
+        typeof value !== "undefined" &&
+        !this._isExpired(stored) &&
+        (await this._isRecordAuthentic(keyHashHex, stored)) &&
+        (meta?.space !== "user" ||
+          (await ownerIdFromPub(meta.pub)) ===
+            (typeof message.owner === "string" ? message.owner : message.sender))
+      ) {
+        return {
+          type: "FIND_VALUE_RESPONSE",
+          sender: this.nodeIdHex,
+          value: value,
+          key: keyHashHex,
+          ...(meta ? { meta } : {}),
+          ...(stored.expiresAt ? { expiresAt: stored.expiresAt } : {}),
+          seq: this._recordSeq(stored),
+          ...(stored.publishedAt ? { publishedAt: stored.publishedAt } : {}),
+          ...(stored.tombstone ? { tombstone: true } : {}),
+        };
+      }
+    }
+
+    // If not found, respond with the K closest contacts
+    return {
+      type: "FIND_VALUE_RESPONSE",
+      sender: this.nodeIdHex,
+      nodes: this._closestContacts(keyHashHex, message.sender),
+      key: keyHashHex,
+    };
+  }
+
+  /**
+   * Handle a STORE message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  async _handleStore(message, peerId) {
+    if (!this.peers.has(peerId)) return;
+    const response = await this._storeResponse(message, peerId);
+    this._checkQuotaViolation(peerId, message.type, [message], [response]);
+    this._respond(peerId, message, response);
+  }
+
+  /**
+   * Validate and apply a STORE request
+   * @param {Object} message - STORE message
+   * @param {string} peerId - Peer the message arrived from; unsigned
+   *   records count towards its quota
+   * @return {Promise<Object>} STORE_RESPONSE message
+   * @private
+   */
+  async _storeResponse(message, peerId) {
+    // Tombstones replicate as STOREs but follow the delete rules
+    if (message.tombstone === true) {
+      return { ...(await this._deleteResponse(message, peerId)), type: "STORE_RESPONSE" };
+    }
+
+    // Validate key presence and type
+    const keyStr = message.key;
+    if (
+      typeof keyStr !== "string" ||
+      !keyStr.trim() ||
+      keyStr === ":" ||
+      keyStr === "undefined" ||
+      keyStr === "null"
+    ) {
+      this._logDebug("[DHT._handleStore] Invalid key:", keyStr);
+      return {
+        type: "STORE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error: "Invalid key",
+      };
+    }
+    // Validate key size
+    if (Buffer.from(keyStr).length > this.MAX_KEY_SIZE) {
+      this._logDebug("[DHT._handleStore] Key too large:", keyStr);
+      return {
+        type: "STORE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error: "Key too large",
+      };
+    }
+
+    // Validate value presence
+    const value = message.value;
+    if (typeof value === "undefined" || value === null) {
+      this._logDebug("[DHT._handleStore] Value is undefined or null");
+      return {
+        type: "STORE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error: "Value is undefined or null",
+      };
+    }
+
+    // Validate value size
+    const valueSize = valueByteLength(value);
+
+    if (valueSize > this.MAX_VALUE_SIZE) {
+      this._logDebug("[DHT._handleStore] Value too large:", valueSize, "bytes");
+      return {
+        type: "STORE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error: "Value exceeds maximum size",
+      };
+    }
+
+    const seq = this._recordSeq(message);
+    if (message.seq !== undefined && message.seq !== seq) {
+      return {
+        type: "STORE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error: "Invalid sequence number",
+      };
+    }
+
+    // Validate expiry
+    const expiresAt =
+      typeof message.expiresAt === "number" ? message.expiresAt : null;
+    if (expiresAt !== null && expiresAt <= Date.now()) {
+      return {
+        type: "STORE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error: "Record expired",
+      };
+    }
+
+    // Hash the key if not already a valid hash
+    let keyHashHex;
+    if (/^[a-fA-F0-9]{40}$/.test(keyStr)) {
+      keyHashHex = keyStr;
+    } else {
+      try {
+        const hash = await sha1(keyStr);
+        keyHashHex = bufferToHex(hash);
+        this._logDebug("Key hash:", keyHashHex);
+      } catch (err) {
+        this._logDebug("[DHT._handleStore] Error hashing key:", err);
+        return {
+          type: "STORE_RESPONSE",
+          sender: this.nodeIdHex,
+          success: false,
           key: keyStr,
           error: "Error processing key",
+        };
+      }
+    }
+
+    // Optional storage space metadata
+    const meta =
+      message && typeof message.meta === "object" && message.meta
+        ? { ...message.meta }
+        : null;
+
+    // Content-addressed records can only ever hold the value they hash to,
+    // whatever metadata the STORE claims.
+    const existingRecord = this.storage.get(keyHashHex);
+    if (
+      meta?.space === IMMUTABLE_SPACE ||
+      (existingRecord?.meta?.space === IMMUTABLE_SPACE &&
+        !this._isExpired(existingRecord))
+    ) {
+      if (
+        meta?.space !== IMMUTABLE_SPACE ||
+        !(await verifyImmutableRecord(keyStr, value))
+      ) {
+        return {
+          type: "STORE_RESPONSE",
+          sender: this.nodeIdHex,
+          success: false,
+          key: keyStr,
+          error: "Content hash mismatch",
+        };
+      }
+    }
+
+    // Keys in an owned namespace must carry matching space metadata, otherwise
+    // an unsigned STORE could overwrite an owner's record.
+    const keySpace = this._ownedSpaceForKey(keyStr);
+    if (keySpace && (!meta || meta.space !== keySpace)) {
+      return {
+        type: "STORE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error: "Not allowed to write to this space",
+      };
+    }
+
+    // Policy enforcement for spaces. Owned spaces require a valid owner
+    // signature, so replicas can accept records relayed by any peer.
+    if (meta && meta.space) {
+      const space = String(meta.space);
+      if (!this.STORAGE_SPACES.has(space)) {
+        return {
+          type: "STORE_RESPONSE",
+          sender: this.nodeIdHex,
+          success: false,
+          key: keyStr,
+          error: "Invalid storage space",
+        };
+      }
+
+      if (OWNED_SPACES.has(space)) {
+        // The key must live under the signing owner's namespace.
+        if (!meta.owner || !keyStr.startsWith(`${space}:${meta.owner}:`)) {
+          return {
+            type: "STORE_RESPONSE",
+            sender: this.nodeIdHex,
+            success: false,
+            key: keyStr,
+            error: "Not allowed to write to this space",
+          };
+        }
+
+        if (!(await verifyRecord({ key: keyHashHex, value, meta, expiresAt, seq }))) {
+          return {
+            type: "STORE_RESPONSE",
+            sender: this.nodeIdHex,
+            success: false,
+            key: keyStr,
+            error: "Invalid record signature",
+          };
+        }
+      }
+
+      if (space === "frozen") {
+        // First write wins (idempotent if same value).
+        const existing = this.storage.get(keyHashHex);
+        if (existing && existing.value !== undefined && !this._isExpired(existing)) {
+          const sameValue = (() => {
+            try {
+              if (existing.value === value) return true;
+              const a =
+                typeof existing.value === "string"
+                  ? existing.value
+                  : encodeJson(existing.value);
+              const b =
+                typeof value === "string" ? value : encodeJson(value);
+              return a === b;
+            } catch {
+              return false;
+            }
+          })();
+
+          if (!sameValue) {
+            return {
+              type: "STORE_RESPONSE",
+              sender: this.nodeIdHex,
+              success: false,
+              key: keyStr,
+              error: "Frozen key already set",
+            };
+          }
+        }
+      }
+    }
+
+    // A record (or tombstone) can only be replaced from its own space, and in
+    // owned spaces by its owner, whose signature was checked above. The
+    // checks by key name do not apply to a STORE addressed by the key's
+    // hash, so without this an unsigned STORE could replace a signed or
+    // frozen record.
+    if (existingRecord && !this._isExpired(existingRecord)) {
+      const heldSpace = existingRecord.meta?.space || "public";
+      if (
+        (meta?.space || "public") !== heldSpace ||
+        (OWNED_SPACES.has(heldSpace) && meta.owner !== existingRecord.meta.owner)
+      ) {
+        return {
+          type: "STORE_RESPONSE",
+          sender: this.nodeIdHex,
+          success: false,
+          key: keyStr,
+          error: "Not allowed to write to this space",
+        };
+      }
+    }
+
+    // Mutable records only move forward: reject lower sequence numbers, and
+    // conflicting values for the same sequence number.
+    // A tombstone only holds back records it had the authority to delete.
+    const existing = this.storage.get(keyHashHex);
+    const current =
+      existing &&
+      !this._isExpired(existing) &&
+      !(existing.tombstone && !this._tombstoneCovers(existing, meta))
+        ? existing
+        : null;
+    const currentSeq = current ? this._recordSeq(current) : 0;
+    if (
+      current &&
+      (seq < currentSeq ||
+        (seq === currentSeq &&
+          seq > 0 &&
+          stableStringify(current.value) !== stableStringify(value)))
+    ) {
+      return {
+        type: "STORE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error: STALE_SEQ,
+        seq: currentSeq,
+      };
+    }
+    // Only owners can vouch for a sequence number. Anyone may write unsigned
+    // records, so they may not jump far ahead and use up the sequence numbers.
+    if (!OWNED_SPACES.has(meta?.space) && seq > currentSeq + MAX_UNSIGNED_SEQ_STEP) {
+      return {
+        type: "STORE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error: "Sequence number too far ahead",
+        seq: currentSeq,
+      };
+    }
+
+    // Compare-and-swap: the write only applies on top of the expected version
+    if (Number.isInteger(message.cas) && message.cas !== currentSeq) {
+      return {
+        type: "STORE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error: "CAS mismatch",
+        seq: currentSeq,
+      };
+    }
+
+    // Per-publisher storage quota
+    const publisher = this._publisherOf(message, peerId);
+    if (
+      this._exceedsPublisherQuota(publisher, keyHashHex, valueSize, meta?.space === IMMUTABLE_SPACE)
+    ) {
+      this._logDebug("[DHT._handleStore] Quota exceeded for publisher:", publisher);
+      return {
+        type: "STORE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error: QUOTA_EXCEEDED,
+      };
+    }
+
+    // Store the value
+    // Store with metadata structure for consistency with put() method
+    const timestamp = Date.now();
+    // Only the originator stamps a (re)publication, and other nodes pass the
+    // stamp on unchanged. Re-storing the same version keeps the newest stamp
+    // (an unstamped record counts from when we first got it), and keeps a
+    // record we published ours.
+    let publishedAt = this._publishedAtOf(message, timestamp);
+    const sameVersion = current && seq === currentSeq;
+    if (sameVersion) {
+      publishedAt = Math.max(publishedAt ?? 0, current.publishedAt ?? current.timestamp);
+    }
+    this.storage.set(keyHashHex, {
+      value,
+      timestamp,
+      replicatedTo: new Set(),
+      expiresAt,
+      seq,
+      ...(meta ? { meta } : {}),
+      ...(publisher ? { publisher } : {}),
+      ...(sameVersion && current.published ? { published: true } : {}),
+      ...(publishedAt !== null ? { publishedAt } : {}),
+    });
+    this.storageTimestamps.set(keyHashHex, timestamp);
+    this.keyMapping.set(keyHashHex, keyStr); // Store original key name
+    await this._persistRecord(keyHashHex);
+    this._notifyWatchers(keyHashHex, "put");
+
+    // Enforce storage size limit
+    if (this.storage.size > this.MAX_STORE_SIZE) {
+      let oldestKey = null;
+      let oldestTime = Infinity;
+
+      for (const [k, time] of this.storageTimestamps.entries()) {
+        if (time < oldestTime) {
+          oldestTime = time;
+          oldestKey = k;
+        }
+      }
+
+      if (oldestKey) {
+        this.storage.delete(oldestKey);
+        this.storageTimestamps.delete(oldestKey);
+        this.keyMapping.delete(oldestKey); // Clean up key mapping
+        await this._persistRecord(oldestKey);
+      }
+    }
+
+    // Send success response
+    return {
+      type: "STORE_RESPONSE",
+      sender: this.nodeIdHex,
+      success: true,
+      key: keyStr,
+    };
+  }
+
+  /**
+   * Handle a DELETE message from a peer
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  async _handleDelete(message, peerId) {
+    if (!this.peers.has(peerId)) {
+      this._logDebug(`Received DELETE from unknown peer: ${peerId}`);
+      return;
+    }
+    this._logDebug(`Received DELETE message from ${peerId.substring(0, 8)}... for key: ${String(message.key).substring(0, 8)}`);
+    this._respond(peerId, message, await this._deleteResponse(message, peerId));
+  }
+
+  /**
+   * Apply the tombstone carried by a DELETE message (or a replicated
+   * tombstone STORE). A tombstone must have a higher sequence number than
+   * the version it replaces, be signed by the owner in owned spaces, and
+   * cannot delete frozen or immutable records.
+   * @param {Object} message - DELETE message ({ key, seq, expiresAt, meta, publishedAt })
+   * @param {string} peerId - Peer the message arrived from; unsigned
+   *   tombstones count towards its quota
+   * @return {Promise<Object>} DELETE_RESPONSE message; `error` explains a failure
+   * @private
+   */
+  async _deleteResponse(message, peerId) {
+    const keyStr = message.key;
+    const fail = (error, extra = {}) => {
+      this._logDebug(`Rejected DELETE for ${String(keyStr).substring(0, 8)}: ${error}`);
+      return {
+        type: "DELETE_RESPONSE",
+        sender: this.nodeIdHex,
+        success: false,
+        key: keyStr,
+        error,
+        ...extra,
+      };
+    };
+    if (typeof keyStr !== "string" || !keyStr.trim()) return fail("Invalid key");
+    if (Buffer.from(keyStr).length > this.MAX_KEY_SIZE) return fail("Key too large");
+    const keyHashHex = /^[a-fA-F0-9]{40}$/.test(keyStr)
+      ? keyStr
+      : bufferToHex(await sha1(keyStr));
+
+    const seq = this._recordSeq(message);
+    if (message.seq !== seq) return fail("Invalid sequence number");
+    const expiresAt = message.expiresAt;
+    if (typeof expiresAt !== "number" || expiresAt <= Date.now()) {
+      return fail("Tombstone expired");
+    }
+    const meta =
+      message.meta && typeof message.meta === "object" ? { ...message.meta } : null;
+    const tombstone = {
+      value: null,
+      tombstone: true,
+      expiresAt,
+      seq,
+      ...(meta ? { meta } : {}),
+    };
+
+    // Owned-space tombstones must be signed by the owner, like records
+    const space = meta?.space || this._ownedSpaceForKey(keyStr) || "public";
+    if (!this.STORAGE_SPACES.has(space)) return fail("Invalid storage space");
+    if (space === "frozen" || space === IMMUTABLE_SPACE) {
+      return fail("Records in this space cannot be deleted");
+    }
+    if (OWNED_SPACES.has(space)) {
+      if (!meta || meta.space !== space) return fail("Not allowed to delete in this space");
+      if (!(await verifyRecord({ key: keyHashHex, ...tombstone }))) {
+        return fail("Invalid record signature");
+      }
+    }
+
+    const existing = this.storage.get(keyHashHex);
+    const current = existing && !this._isExpired(existing) ? existing : null;
+    const currentSeq = current ? this._recordSeq(current) : 0;
+    if (current && !current.tombstone && !this._tombstoneCovers(tombstone, current.meta)) {
+      return fail("Not allowed to delete this record");
+    }
+    if (current?.tombstone && seq === currentSeq) {
+      // The same tombstone again (replication): nothing to change
+      return { type: "DELETE_RESPONSE", sender: this.nodeIdHex, success: true, key: keyStr };
+    }
+    if (current && seq <= currentSeq) {
+      return fail(STALE_SEQ, { seq: currentSeq });
+    }
+    if (!OWNED_SPACES.has(space) && seq > currentSeq + MAX_UNSIGNED_SEQ_STEP) {
+      return fail("Sequence number too far ahead", { seq: currentSeq });
+    }
+
+    const publisher = this._publisherOf(message, peerId);
+    if (this._exceedsPublisherQuota(publisher, keyHashHex, valueByteLength(null))) {
+      return fail(QUOTA_EXCEEDED);
+    }
+
+    const timestamp = Date.now();
+    const publishedAt = this._publishedAtOf(message, timestamp);
+    this.storage.set(keyHashHex, {
+      ...tombstone,
+      timestamp,
+      replicatedTo: new Set(),
+      ...(publisher ? { publisher } : {}),
+      ...(publishedAt !== null ? { publishedAt } : {}),
+    });
+    this.storageTimestamps.set(keyHashHex, timestamp);
+    if (!this.keyMapping.has(keyHashHex)) this.keyMapping.set(keyHashHex, keyStr);
+    await this._persistRecord(keyHashHex);
+
+    this._logDebug(`Deleted key: ${keyHashHex.substring(0, 8)} (tombstone seq ${seq}) per request from ${String(peerId).substring(0, 8)}...`);
+    this._notifyWatchers(keyHashHex, "delete");
+
+    return {
+      type: "DELETE_RESPONSE",
+      sender: this.nodeIdHex,
+      success: true,
+      key: keyStr,
+    };
+  }
+
+  /**
+   * Check whether a tombstone has authority over a record: same storage
+   * space, and the same owner in owned spaces. Frozen and immutable records
+   * cannot be deleted at all.
+   * @param {Object} tombstone - Tombstone record
+   * @param {Object|null} meta - Metadata of the record
+   * @return {boolean} True if the tombstone deletes the record
+   * @private
+   */
+  _tombstoneCovers(tombstone, meta) {
+    const space = meta?.space || "public";
+    if (space === "frozen" || space === IMMUTABLE_SPACE) return false;
+    if ((tombstone.meta?.space || "public") !== space) return false;
+    return !OWNED_SPACES.has(space) || tombstone.meta.owner === meta.owner;
+  }
+
+  
+  /**
+   * Handle an ADD_PROVIDER message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  _handleAddProvider(message, peerId) {
+    // Trust the connection's peer ID over the self-reported sender
+    this._respond(peerId, message, this._addProviderResponse({ ...message, sender: peerId }));
+  }
+
+  /**
+   * Record the sender of an ADD_PROVIDER message as a provider of its key.
+   * Nodes may only announce themselves.
+   * @param {Object} message - ADD_PROVIDER message ({ key, provider, ttl })
+   * @return {Object} ADD_PROVIDER_RESPONSE message
+   * @private
+   */
+  _addProviderResponse(message) {
+    const response = {
+      type: "ADD_PROVIDER_RESPONSE",
+      sender: this.nodeIdHex,
+      key: message.key,
+      success: false,
+    };
+    if (typeof message.key !== "string" || !/^[a-f0-9]{40}$/.test(message.key)) {
+      return { ...response, error: "Invalid key" };
+    }
+    if (message.provider !== message.sender) {
+      return { ...response, error: "Nodes may only announce themselves" };
+    }
+    const ttl = message.ttl === undefined ? DEFAULT_PROVIDER_TTL : message.ttl;
+    if (!Number.isFinite(ttl) || ttl <= 0) {
+      return { ...response, error: "Invalid ttl" };
+    }
+    this._addProvider(message.key, message.provider, Date.now() + Math.min(ttl, MAX_PROVIDER_TTL));
+    return { ...response, success: true };
+  }
+
+  /**
+   * Handle a GET_PROVIDERS message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  _handleGetProviders(message, peerId) {
+    this._respond(peerId, message, this._getProvidersResponse(message));
+  }
+
+  /**
+   * Build the answer to a GET_PROVIDERS message
+   * @param {Object} message - GET_PROVIDERS message ({ key })
+   * @return {Object} GET_PROVIDERS_RESPONSE message
+   * @private
+   */
+  _getProvidersResponse(message) {
+    return {
+      type: "GET_PROVIDERS_RESPONSE",
+      sender: this.nodeIdHex,
+      key: message.key,
+      providers: this._localProviders(message.key),
+    };
+  }
+
+  /**
+   * Store a provider record, keeping at most MAX_PROVIDERS_PER_KEY per key
+   * and MAX_PROVIDER_RECORDS in total
+   * @param {string} keyHashHex - Resource key
+   * @param {string} providerId - Providing node ID
+   * @param {number} expiresAt - Expiry timestamp (ms)
+   * @private
+   */
+  _addProvider(keyHashHex, providerId, expiresAt) {
+    let providers = this.providers.get(keyHashHex);
+    if (!providers) {
+      providers = new Map();
+      this.providers.set(keyHashHex, providers);
+    }
+    if (!providers.has(providerId)) this._providerRecordCount++;
+    providers.set(providerId, Math.max(expiresAt, providers.get(providerId) || 0));
+    if (providers.size > MAX_PROVIDERS_PER_KEY) {
+      const [soonest] = Array.from(providers.entries()).sort((a, b) => a[1] - b[1])[0];
+      this._removeProvider(keyHashHex, soonest);
+    }
+    if (this._providerRecordCount > MAX_PROVIDER_RECORDS) {
+      this._evictProviderRecord();
+    }
+  }
+
+  /**
+   * Delete a provider record, and the key's map once it is empty
+   * @param {string} keyHashHex - Resource key
+   * @param {string} providerId - Providing node ID
+   * @return {boolean} True if there was such a record
+   * @private
+   */
+  _removeProvider(keyHashHex, providerId) {
+    const providers = this.providers.get(keyHashHex);
+    if (!providers?.delete(providerId)) return false;
+    this._providerRecordCount--;
+    if (providers.size === 0) this.providers.delete(keyHashHex);
+    return true;
+  }
+
+  /**
+   * Make room for a provider record once MAX_PROVIDER_RECORDS is exceeded.
+   * The record dropped is the soonest to expire of the node holding the most
+   * records, so that a node announcing many keys cannot push out everyone
+   * else's. Our own records are kept.
+   * @private
+   */
+  _evictProviderRecord() {
+    const counts = new Map(); // providerId -> number of records
+    for (const providers of this.providers.values()) {
+      for (const id of providers.keys()) {
+        if (id !== this.nodeIdHex) counts.set(id, (counts.get(id) || 0) + 1);
+      }
+    }
+    let largest = null;
+    for (const [id, count] of counts) {
+      if (!largest || count > counts.get(largest)) largest = id;
+    }
+    if (!largest) return;
+
+    let soonest = null;
+    for (const [keyHashHex, providers] of this.providers) {
+      const expiresAt = providers.get(largest);
+      if (expiresAt !== undefined && (!soonest || expiresAt < soonest.expiresAt)) {
+        soonest = { keyHashHex, expiresAt };
+      }
+    }
+    this._removeProvider(soonest.keyHashHex, largest);
+  }
+
+  /**
+   * Unexpired providers of a key known to this node
+   * @param {string} keyHashHex - Resource key
+   * @return {Object[]} Providers as { id, expiresAt }
+   * @private
+   */
+  _localProviders(keyHashHex) {
+    const now = Date.now();
+    return Array.from(this.providers.get(keyHashHex)?.entries() || [])
+      .filter(([, expiresAt]) => expiresAt > now)
+      .map(([id, expiresAt]) => ({ id, expiresAt }));
+  }
+
+  /**
+   * Remove expired provider records
+   * @private
+   */
+  _sweepExpiredProviders() {
+    const now = Date.now();
+    for (const [keyHashHex, providers] of Array.from(this.providers.entries())) {
+      for (const [id, expiresAt] of Array.from(providers.entries())) {
+        if (expiresAt <= now) this._removeProvider(keyHashHex, id);
+      }
+    }
+  }
+
+  /**
+   * Re-announce our own provider records once half their lifetime has passed
+   * @private
+   */
+  async _reannounceProviders() {
+    const now = Date.now();
+    for (const [keyHashHex, announcement] of Array.from(this._announcements.entries())) {
+      if (now - announcement.announcedAt < announcement.ttl / 2) continue;
+      announcement.announcedAt = now;
+      try {
+        await this._announceKey(keyHashHex, announcement.ttl);
+      } catch (err) {
+        this._logDebug(`Re-announce of ${keyHashHex.substring(0, 8)} failed:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Handle a SUBSCRIBE message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  _handleSubscribe(message, peerId) {
+    this._respond(peerId, message, this._subscribeResponse({ ...message, sender: peerId }));
+  }
+
+  /**
+   * Adopt the sender of a SUBSCRIBE message as a child in the topic's tree,
+   * or renew its lease, and join the tree ourselves if we are not in it yet.
+   * Children must be further from the topic than us, which keeps the tree
+   * free of cycles.
+   * @param {Object} message - SUBSCRIBE message ({ topic, lease })
+   * @return {Object} SUBSCRIBE_RESPONSE message
+   * @private
+   */
+  _subscribeResponse(message) {
+    const response = {
+      type: "SUBSCRIBE_RESPONSE",
+      sender: this.nodeIdHex,
+      topic: message.topic,
+      success: false,
+    };
+    if (typeof message.topic !== "string" || !/^[a-f0-9]{40}$/.test(message.topic)) {
+      return { ...response, error: "Invalid topic" };
+    }
+    if (!this._isCloserToTopic(this.nodeIdHex, message.sender, message.topic)) {
+      return { ...response, error: "Not closer to topic" };
+    }
+
+    const lease = Math.min(
+      typeof message.lease === "number" && message.lease > 0 ? message.lease : this.TOPIC_LEASE,
+      this.TOPIC_LEASE * 2
+    );
+    const tree = this._topicTree(message.topic);
+    tree.children.set(message.sender, Date.now() + lease);
+    if (tree.parent === undefined) this._joinTopic(message.topic);
+    return { ...response, success: true };
+  }
+
+  /**
+   * Handle an UNSUBSCRIBE message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  _handleUnsubscribe(message, peerId) {
+    this._respond(peerId, message, this._unsubscribeResponse({ ...message, sender: peerId }));
+  }
+
+  /**
+   * Remove the sender of an UNSUBSCRIBE message from the topic's tree
+   * @param {Object} message - UNSUBSCRIBE message ({ topic })
+   * @return {Object} UNSUBSCRIBE_RESPONSE message
+   * @private
+   */
+  _unsubscribeResponse(message) {
+    const tree = this._topicTrees.get(message.topic);
+    if (tree) {
+      tree.children.delete(message.sender);
+      this._leaveTopicIfUnused(message.topic);
+    }
+    return {
+      type: "UNSUBSCRIBE_RESPONSE",
+      sender: this.nodeIdHex,
+      topic: message.topic,
+      success: true,
+    };
+  }
+
+  /**
+   * Handle a PUBLISH message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  async _handlePublish(message, peerId) {
+    this._respond(peerId, message, await this._publishResponse({ ...message, sender: peerId }));
+  }
+
+  /**
+   * Accept a publication and pass it on in the background: upward
+   * publications travel toward the topic's root, downward ones are
+   * delivered locally and fanned out to our children. Every hop checks the
+   * publisher's signature, so a publication cannot be attributed to a node
+   * that did not send it, and its signed timestamp, so a captured
+   * publication cannot be replayed after its ID drops out of the seen set.
+   * @param {Object} message - PUBLISH message ({ topic, id, publisher, publishedAt, payload, pub, sig, direction })
+   * @return {Promise<Object>} PUBLISH_RESPONSE message
+   * @private
+   */
+  async _publishResponse(message) {
+    const response = {
+      type: "PUBLISH_RESPONSE",
+      sender: this.nodeIdHex,
+      topic: message.topic,
+      success: false,
+    };
+    if (
+      typeof message.topic !== "string" ||
+      !/^[a-f0-9]{40}$/.test(message.topic) ||
+      typeof message.id !== "string"
+    ) {
+      return { ...response, error: "Invalid publication" };
+    }
+    if (
+      !Number.isFinite(message.publishedAt) ||
+      Math.abs(Date.now() - message.publishedAt) > MAX_PUBLICATION_AGE
+    ) {
+      return { ...response, error: "Stale publication" };
+    }
+
+    const publication = {
+      topic: message.topic,
+      id: message.id,
+      publisher: message.publisher,
+      publishedAt: message.publishedAt,
+      payload: message.payload,
+      pub: message.pub,
+      sig: message.sig,
+    };
+    if (!(await verifyPublication(publication))) {
+      return { ...response, error: "Invalid signature" };
+    }
+    if (message.direction === "down") {
+      const tree = this._topicTrees.get(message.topic);
+      if (!tree || tree.parent !== message.sender) {
+        return { ...response, error: "Not a child of sender" };
+      }
+      this._disseminate(publication);
+    } else {
+      this._routePublication(publication).catch((err) => {
+        this._logDebug(`Routing publication ${message.id} failed:`, err.message);
+      });
+    }
+    return { ...response, success: true };
+  }
+
+  /**
+   * Get (creating if needed) our state in a topic's tree. A parent of
+   * undefined means we have not joined; null means we are the root.
+   * @param {string} topicId - Topic ID
+   * @return {Object} Tree state
+   * @private
+   */
+  _topicTree(topicId) {
+    let tree = this._topicTrees.get(topicId);
+    if (!tree) {
+      tree = { parent: undefined, children: new Map(), joining: null };
+      this._topicTrees.set(topicId, tree);
+    }
+    return tree;
+  }
+
+  /**
+   * Check whether node a is closer to a topic than node b
+   * @param {string} a - Node ID
+   * @param {string} b - Node ID
+   * @param {string} topicId - Topic ID
+   * @return {boolean} True if a is strictly closer
+   * @private
+   */
+  _isCloserToTopic(a, b, topicId) {
+    const target = hexToBuffer(topicId);
+    return compareBuffers(distance(a, target), distance(b, target)) < 0;
+  }
+
+  /**
+   * Pick the next node on the way to a topic's root: the connected peer
+   * closest to the topic if it is closer than us, otherwise the closest node
+   * a lookup finds. Every hop is strictly closer to the topic.
+   * @param {string} topicId - Topic ID
+   * @return {Promise<string|null>} Node ID, or null if we are the closest node
+   * @private
+   */
+  async _nextHopToward(topicId) {
+    const closer = (ids) =>
+      ids
+        .filter((id) => id !== this.nodeIdHex && this._isCloserToTopic(id, this.nodeIdHex, topicId))
+        .sort((a, b) => (this._isCloserToTopic(a, b, topicId) ? -1 : 1));
+
+    const connected = Array.from(this.peers.entries())
+      .filter(([, peer]) => peer.connected)
+      .map(([id]) => id);
+    const [peerHop] = closer(connected);
+    if (peerHop) return peerHop;
+
+    const nodes = await this.findNode(topicId);
+    const [lookupHop] = closer(nodes.map((node) => node.id)).filter((id) => this._routeTo(id));
+    return lookupHop || null;
+  }
+
+  /**
+   * Join a topic's tree by subscribing to the next hop toward its root, or
+   * become the root if there is none
+   * @param {string} topicId - Topic ID
+   * @return {Promise<void>}
+   * @private
+   */
+  _joinTopic(topicId) {
+    const tree = this._topicTree(topicId);
+    if (tree.joining) return tree.joining;
+
+    tree.joining = (async () => {
+      try {
+        const hop = await this._nextHopToward(topicId);
+        if (!this._topicTrees.has(topicId)) return;
+        if (!hop) {
+          tree.parent = null;
+          this._logDebug(`Root of topic ${topicId.substring(0, 8)}`);
+          return;
+        }
+        const response = await this._request(hop, {
+          type: "SUBSCRIBE",
+          sender: this.nodeIdHex,
+          topic: topicId,
+          lease: this.TOPIC_LEASE,
+        });
+        // Without a parent we act as root until the next refresh retries
+        tree.parent = response?.success ? hop : null;
+        this._logDebug(
+          `Joined topic ${topicId.substring(0, 8)} under ${tree.parent ? tree.parent.substring(0, 8) : "nobody"}`
+        );
+      } finally {
+        tree.joining = null;
+      }
+    })();
+    return tree.joining;
+  }
+
+  /**
+   * Leave a topic's tree once nothing below us needs it
+   * @param {string} topicId - Topic ID
+   * @private
+   */
+  _leaveTopicIfUnused(topicId) {
+    const tree = this._topicTrees.get(topicId);
+    if (!tree || tree.children.size > 0 || this._subscriptions.has(topicId)) return;
+    this._topicTrees.delete(topicId);
+    if (tree.parent) {
+      this._request(tree.parent, {
+        type: "UNSUBSCRIBE",
+        sender: this.nodeIdHex,
+        topic: topicId,
+      });
+    }
+  }
+
+  /**
+   * Expire children whose lease ran out, renew our subscription with our
+   * parent, and rejoin trees whose parent is gone. Roots look for a closer
+   * node that should take over.
+   * @private
+   */
+  async _refreshTopics() {
+    const now = Date.now();
+    for (const [topicId, tree] of Array.from(this._topicTrees.entries())) {
+      for (const [childId, expiresAt] of Array.from(tree.children.entries())) {
+        if (expiresAt <= now) tree.children.delete(childId);
+      }
+      this._leaveTopicIfUnused(topicId);
+      if (!this._topicTrees.has(topicId) || tree.joining) continue;
+
+      if (tree.parent) {
+        const response = await this._request(tree.parent, {
+          type: "SUBSCRIBE",
+          sender: this.nodeIdHex,
+          topic: topicId,
+          lease: this.TOPIC_LEASE,
+        });
+        if (response?.success) continue;
+        tree.parent = null;
+      }
+      await this._joinTopic(topicId);
+    }
+  }
+
+  /**
+   * Drop a disconnected peer from every topic tree, rejoining the trees it
+   * was our parent in
+   * @param {string} peerId - Disconnected peer ID
+   * @private
+   */
+  _handleTopicPeerLoss(peerId) {
+    for (const [topicId, tree] of Array.from(this._topicTrees.entries())) {
+      tree.children.delete(peerId);
+      if (tree.parent === peerId) {
+        tree.parent = null;
+        this._joinTopic(topicId);
+      } else {
+        this._leaveTopicIfUnused(topicId);
+      }
+    }
+  }
+
+  /**
+   * Move an upward publication toward the topic's root: through our parent
+   * if we are in the tree, otherwise along the next hop. The root fans it
+   * out to the whole tree.
+   * @param {Object} publication - { topic, id, publisher, payload, pub, sig }
+   * @return {Promise<boolean>} True if the publication was handed on or disseminated
+   * @private
+   */
+  async _routePublication(publication) {
+    const tree = this._topicTrees.get(publication.topic);
+    const hop =
+      tree && tree.parent !== undefined
+        ? tree.parent
+        : await this._nextHopToward(publication.topic);
+
+    if (!hop) {
+      // We are the root (or the rendezvous of a topic without subscribers)
+      this._disseminate(publication);
+      return true;
+    }
+    const response = await this._request(hop, {
+      type: "PUBLISH",
+      sender: this.nodeIdHex,
+      direction: "up",
+      ...publication,
+    });
+    return Boolean(response?.success);
+  }
+
+  /**
+   * Deliver a publication to local handlers and forward it to our children
+   * @param {Object} publication - { topic, id, publisher, publishedAt, payload, pub, sig }
+   * @private
+   */
+  _disseminate(publication) {
+    if (this._seenPublications.has(publication.id)) return;
+    this._seenPublications.add(publication.id);
+    if (this._seenPublications.size > MAX_SEEN_PUBLICATIONS) {
+      this._seenPublications.delete(this._seenPublications.values().next().value);
+    }
+
+    const subscription = this._subscriptions.get(publication.topic);
+    for (const handler of subscription?.handlers || []) {
+      try {
+        handler(publication.payload, {
+          topic: subscription.topic,
+          publisher: publication.publisher,
+          id: publication.id,
+          publishedAt: publication.publishedAt,
         });
+      } catch (err) {
+        this._logDebug(`Topic handler failed for ${subscription.topic}:`, err.message);
+      }
+    }
+
+    const tree = this._topicTrees.get(publication.topic);
+    for (const childId of tree?.children.keys() || []) {
+      this._request(childId, {
+        type: "PUBLISH",
+        sender: this.nodeIdHex,
+        direction: "down",
+        ...publication,
+      });
+    }
+  }
+
+  /**
+   * Handle a WATCH message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  _handleWatch(message, peerId) {
+    this._respond(peerId, message, this._watchResponse({ ...message, sender: peerId }));
+  }
+
+  /**
+   * Register or renew the sender's lease on a key, so it is notified when
+   * this replica's copy changes
+   * @param {Object} message - WATCH message ({ key, lease })
+   * @return {Object} WATCH_RESPONSE message
+   * @private
+   */
+  _watchResponse(message) {
+    const response = {
+      type: "WATCH_RESPONSE",
+      sender: this.nodeIdHex,
+      key: message.key,
+      success: false,
+    };
+    if (typeof message.key !== "string" || !/^[a-f0-9]{40}$/.test(message.key)) {
+      return { ...response, error: "Invalid key" };
+    }
+    let watchers = this.watchers.get(message.key);
+    if (!watchers) {
+      watchers = new Map();
+      this.watchers.set(message.key, watchers);
+    }
+    if (!watchers.has(message.sender) && watchers.size >= MAX_WATCHERS_PER_KEY) {
+      return { ...response, error: "Too many watchers" };
+    }
+    const lease = Math.min(
+      typeof message.lease === "number" && message.lease > 0 ? message.lease : this.WATCH_LEASE,
+      this.WATCH_LEASE * 2
+    );
+    watchers.set(message.sender, Date.now() + lease);
+    return { ...response, success: true };
+  }
+
+  /**
+   * Handle an UNWATCH message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  _handleUnwatch(message, peerId) {
+    this._respond(peerId, message, this._unwatchResponse({ ...message, sender: peerId }));
+  }
+
+  /**
+   * Cancel the sender's lease on a key
+   * @param {Object} message - UNWATCH message ({ key })
+   * @return {Object} UNWATCH_RESPONSE message
+   * @private
+   */
+  _unwatchResponse(message) {
+    const watchers = this.watchers.get(message.key);
+    if (watchers) {
+      watchers.delete(message.sender);
+      if (watchers.size === 0) this.watchers.delete(message.key);
+    }
+    return {
+      type: "UNWATCH_RESPONSE",
+      sender: this.nodeIdHex,
+      key: message.key,
+      success: true,
+    };
+  }
+
+  /**
+   * Handle a WATCH_NOTIFY message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  _handleWatchNotify(message, peerId) {
+    this._respond(peerId, message, this._watchNotifyResponse({ ...message, sender: peerId }));
+  }
+
+  /**
+   * Acknowledge a change notification and deliver it to the local watch
+   * callbacks. A response telling the replica we no longer watch the key
+   * lets it drop our lease early.
+   * @param {Object} message - WATCH_NOTIFY message ({ key, event, value, seq, meta, expiresAt })
+   * @return {Object} WATCH_NOTIFY_RESPONSE message
+   * @private
+   */
+  _watchNotifyResponse(message) {
+    const watching = this._watches.has(message.key);
+    if (watching) {
+      this._deliverWatchNotification(message).catch((err) => {
+        this._logDebug(`Watch notification for ${message.key} failed:`, err.message);
+      });
+    }
+    return {
+      type: "WATCH_NOTIFY_RESPONSE",
+      sender: this.nodeIdHex,
+      key: message.key,
+      success: watching,
+    };
+  }
+
+  /**
+   * Push a change of a local record to the nodes watching it
+   * @param {string} keyHashHex - Changed key
+   * @param {string} event - "put" or "delete"
+   * @private
+   */
+  _notifyWatchers(keyHashHex, event) {
+    const watchers = this.watchers.get(keyHashHex);
+    if (!watchers) return;
+    const stored = this.storage.get(keyHashHex);
+    const notification = {
+      type: "WATCH_NOTIFY",
+      sender: this.nodeIdHex,
+      key: keyHashHex,
+      event,
+      ...(event === "put" && stored
+        ? {
+            value: stored.value,
+            seq: this._recordSeq(stored),
+            expiresAt: stored.expiresAt ?? null,
+            meta: stored.meta || null,
+          }
+        : {}),
+      ...(event === "delete" && stored?.tombstone ? { seq: this._recordSeq(stored) } : {}),
+    };
+
+    const now = Date.now();
+    for (const [watcherId, expiresAt] of Array.from(watchers.entries())) {
+      if (expiresAt <= now) {
+        watchers.delete(watcherId);
+        continue;
+      }
+      this._request(watcherId, notification).then((response) => {
+        if (response && !response.success) watchers.delete(watcherId);
+      });
+    }
+    if (watchers.size === 0) this.watchers.delete(keyHashHex);
+  }
+
+  /**
+   * Verify a change notification and call the watch callbacks, skipping
+   * versions we have already reported (every replica sends its own copy)
+   * @param {Object} message - WATCH_NOTIFY message
+   * @return {Promise<void>}
+   * @private
+   */
+  async _deliverWatchNotification(message) {
+    const watch = this._watches.get(message.key);
+    if (!watch) return;
+
+    let change;
+    if (message.event === "delete") {
+      // A tombstone is a version like any other; plain deletes have no seq
+      const seq = Number.isInteger(message.seq) ? message.seq : null;
+      if (seq === null ? watch.deleted : seq < watch.seq || (seq === watch.seq && watch.deleted)) {
         return;
       }
+      if (seq !== null) watch.seq = seq;
+      watch.deleted = true;
+      watch.tombstoned = seq !== null;
+      change = {
+        key: watch.key,
+        event: "delete",
+        ...(seq !== null ? { seq } : {}),
+        from: message.sender,
+      };
+    } else {
+      const record = {
+        value: message.value,
+        meta: message.meta || null,
+        expiresAt: typeof message.expiresAt === "number" ? message.expiresAt : null,
+        seq: this._recordSeq(message),
+      };
+      if (record.value === undefined || this._isExpired(record)) return;
+      if ((!watch.deleted || watch.tombstoned) && record.seq <= watch.seq) return;
+      if (!(await this._verifyLookupResult(watch.key, message.key, record))) {
+        this.reputation.recordInvalid(message.sender);
+        return;
+      }
+      // Another replica's copy may have been delivered while we verified
+      if ((!watch.deleted || watch.tombstoned) && record.seq <= watch.seq) return;
+      watch.seq = record.seq;
+      watch.deleted = false;
+      change = {
+        key: watch.key,
+        event: "put",
+        value: record.value,
+        seq: record.seq,
+        from: message.sender,
+      };
+    }
+
+    for (const callback of Array.from(watch.callbacks)) {
+      try {
+        callback(change);
+      } catch (err) {
+        this._logDebug(`Watch callback failed for ${watch.key}:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Register (or renew) our lease on a watched key with the current closest
+   * replicas, and release replicas that are no longer among them
+   * @param {string} keyHashHex - Watched key
+   * @return {Promise<number>} Number of replicas holding our lease
+   * @private
+   */
+  async _registerWatch(keyHashHex) {
+    const watch = this._watches.get(keyHashHex);
+    if (!watch) return 0;
+    const nodes = (await this.findNode(keyHashHex)).map((node) => node.id);
+
+    for (const nodeId of watch.nodes) {
+      if (!nodes.includes(nodeId)) {
+        this._request(nodeId, { type: "UNWATCH", sender: this.nodeIdHex, key: keyHashHex });
+      }
+    }
+
+    const accepted = await Promise.all(
+      nodes.map(async (nodeId) => {
+        const response = await this._request(nodeId, {
+          type: "WATCH",
+          sender: this.nodeIdHex,
+          key: keyHashHex,
+          lease: this.WATCH_LEASE,
+        });
+        return response?.success ? nodeId : null;
+      })
+    );
+    watch.nodes = new Set(accepted.filter(Boolean));
+    return watch.nodes.size;
+  }
+
+  /**
+   * Renew the leases of all watched keys
+   * @private
+   */
+  async _renewWatches() {
+    for (const keyHashHex of Array.from(this._watches.keys())) {
+      try {
+        await this._registerWatch(keyHashHex);
+      } catch (err) {
+        this._logDebug(`Renewing watch on ${keyHashHex} failed:`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Rate limit a message is counted against: batches share the limit of
+   * their single-key type, and content-addressed STOREs (blob chunks) have
+   * their own, larger one. Claiming the immutable space does not help an
+   * abuser, as such records must hash to their key.
+   * @param {Object} message - Incoming message
+   * @return {string} Rate limit type
+   * @private
+   */
+  _rateLimitType(message) {
+    if (message.type === "STORE" && message.meta?.space === IMMUTABLE_SPACE) {
+      return "STORE_IMMUTABLE";
+    }
+    if (
+      message.type === "FIND_VALUE" &&
+      typeof message.key === "string" &&
+      this.storage.get(message.key.toLowerCase())?.meta?.space === IMMUTABLE_SPACE
+    ) {
+      return "FIND_VALUE_IMMUTABLE";
+    }
+    return BATCH_TYPES[message.type] || message.type;
+  }
+
+  /**
+   * Rate limit cost of a message: one token, or one per
+   * RECORDS_PER_BATCH_TOKEN keys of a batch
+   * @param {Object} message - Incoming message
+   * @return {number} Token cost
+   * @private
+   */
+  _messageCost(message) {
+    if (!BATCH_TYPES[message.type]) return 1;
+    const items = Array.isArray(message.records) ? message.records : message.keys;
+    const count = Array.isArray(items) ? Math.min(items.length, MAX_BATCH_SIZE) : 1;
+    return Math.max(1, Math.ceil(count / RECORDS_PER_BATCH_TOKEN));
+  }
+
+  /**
+   * Handle a STORE_BATCH message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  async _handleStoreBatch(message, peerId) {
+    if (!this.peers.has(peerId)) return;
+    const response = await this._storeBatchResponse(message, peerId);
+    this._checkQuotaViolation(peerId, message.type, message.records, response.results);
+    this._respond(peerId, message, response);
+  }
+
+  /**
+   * Apply each record of a STORE_BATCH message as if it were a STORE
+   * @param {Object} message - STORE_BATCH message ({ records })
+   * @param {string} peerId - Peer the message arrived from
+   * @return {Promise<Object>} STORE_BATCH_RESPONSE message with per-key
+   *   results, in the order of the records
+   * @private
+   */
+  async _storeBatchResponse(message, peerId) {
+    const records = Array.isArray(message.records)
+      ? message.records.slice(0, MAX_BATCH_SIZE)
+      : [];
+    const results = [];
+    for (const record of records) {
+      const result = await this._storeResponse(
+        { ...record, type: "STORE", sender: message.sender },
+        peerId
+      );
+      results.push({
+        key: result.key,
+        success: result.success,
+        ...(result.error ? { error: result.error } : {}),
+        ...(Number.isInteger(result.seq) ? { seq: result.seq } : {}),
+      });
+    }
+    return { type: "STORE_BATCH_RESPONSE", sender: this.nodeIdHex, results };
+  }
+
+  /**
+   * Handle a FIND_VALUE_BATCH message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  async _handleFindValueBatch(message, peerId) {
+    this._respond(peerId, message, await this._findValueBatchResponse(message));
+  }
+
+  /**
+   * Look up each key of a FIND_VALUE_BATCH message locally. Values are
+   * returned up to MAX_VALUE_SIZE bytes per response; keys that did not fit
+   * are listed in `pending` for the requester to ask again.
+   * @param {Object} message - FIND_VALUE_BATCH message ({ keys, owner })
+   * @return {Promise<Object>} FIND_VALUE_BATCH_RESPONSE message
+   * @private
+   */
+  async _findValueBatchResponse(message) {
+    const keys = Array.isArray(message.keys) ? message.keys.slice(0, MAX_BATCH_SIZE) : [];
+    const results = [];
+    const pending = [];
+    let bytes = 0;
+    for (const key of keys) {
+      if (typeof key !== "string") continue;
+      if (results.length > 0 && bytes >= this.MAX_VALUE_SIZE) {
+        pending.push(key);
+        continue;
+      }
+      const found = await this._findValueResponse({ key, sender: message.sender, owner: message.owner });
+      if (found.value === undefined) continue;
+      const size = valueByteLength(found.value);
+      if (results.length > 0 && bytes + size > this.MAX_VALUE_SIZE) {
+        pending.push(key);
+        continue;
+      }
+      bytes += size;
+      results.push({
+        key: found.key,
+        value: found.value,
+        ...(found.meta ? { meta: found.meta } : {}),
+        ...(found.expiresAt ? { expiresAt: found.expiresAt } : {}),
+        seq: found.seq,
+        ...(found.publishedAt ? { publishedAt: found.publishedAt } : {}),
+        ...(found.tombstone ? { tombstone: true } : {}),
+      });
     }
+    return {
+      type: "FIND_VALUE_BATCH_RESPONSE",
+      sender: this.nodeIdHex,
+      results,
+      pending,
+    };
+  }
 
-    // Optional storage space metadata
-    const meta =
-      message && typeof message.meta === "object" && message.meta
-        ? { ...message.meta }
-        : null;
+  /**
+   * Handle a DELETE_BATCH message
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  async _handleDeleteBatch(message, peerId) {
+    if (!this.peers.has(peerId)) return;
+    this._respond(peerId, message, await this._deleteBatchResponse(message, peerId));
+  }
 
-    // Basic policy enforcement for spaces. This is *not* secure without signatures,
-    // but provides a consistent local/remote rule set.
-    if (meta && meta.space) {
-      const space = String(meta.space);
-      if (!this.STORAGE_SPACES.has(space)) {
-        peer.send({
-          type: "STORE_RESPONSE",
-          sender: this.nodeIdHex,
-          success: false,
-          key: keyStr,
-          error: "Invalid storage space",
-        });
-        return;
-      }
+  /**
+   * Apply each tombstone of a DELETE_BATCH message as if it were a DELETE
+   * @param {Object} message - DELETE_BATCH message ({ records })
+   * @param {string} peerId - Peer the message arrived from
+   * @return {Promise<Object>} DELETE_BATCH_RESPONSE message
+   * @private
+   */
+  async _deleteBatchResponse(message, peerId) {
+    const records = Array.isArray(message.records)
+      ? message.records.slice(0, MAX_BATCH_SIZE)
+      : [];
+    const results = [];
+    for (const record of records) {
+      const result = await this._deleteResponse(
+        { ...record, type: "DELETE", sender: message.sender },
+        peerId
+      );
+      results.push({
+        key: result.key,
+        success: result.success,
+        ...(result.error ? { error: result.error } : {}),
+      });
+    }
+    return { type: "DELETE_BATCH_RESPONSE", sender: this.nodeIdHex, results };
+  }
 
-      if ((space === "private" || space === "user") && meta.owner) {
-        // Only allow the owner to write, and require sender consistency.
-        if (meta.owner !== message.sender || peerId !== message.sender) {
-          peer.send({
-            type: "STORE_RESPONSE",
-            sender: this.nodeIdHex,
-            success: false,
-            key: keyStr,
-            error: "Not allowed to write to this space",
-          });
-          return;
-        }
-      }
+  /**
+   * Handle a SYNC message: compare the sender's range summaries with ours
+   * and answer with our summaries of the ranges that differ
+   * @param {Object} message - Message object ({ ranges })
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  async _handleSync(message, peerId) {
+    if (!this.peers.has(peerId)) return;
+    const theirs = (Array.isArray(message.ranges) ? message.ranges : [])
+      .slice(0, MAX_BATCH_SIZE)
+      .filter((range) => typeof range?.prefix === "string" && /^[0-9a-f]{0,40}$/.test(range.prefix));
+    const ours = await this._rangeSummaries(
+      this._syncSnapshot(peerId),
+      theirs.map((range) => range.prefix)
+    );
+    this._respond(peerId, message, {
+      type: "SYNC_RESPONSE",
+      sender: this.nodeIdHex,
+      ranges: ours.filter(
+        (range, i) => range.hash !== theirs[i].hash || range.count !== theirs[i].count
+      ),
+    });
+  }
 
-      if (space === "frozen") {
-        // First write wins (idempotent if same value).
-        const existing = this.storage.get(keyHashHex);
-        if (existing && existing.value !== undefined) {
-          const sameValue = (() => {
-            try {
-              if (existing.value === value) return true;
-              const a =
-                typeof existing.value === "string"
-                  ? existing.value
-                  : JSON.stringify(existing.value);
-              const b =
-                typeof value === "string" ? value : JSON.stringify(value);
-              return a === b;
-            } catch {
-              return false;
-            }
-          })();
+  /**
+   * Handle a SYNC_KEYS message: answer with the keys of the range we lack
+   * or hold older versions of, then send the sender our newer records
+   * @param {Object} message - Message object ({ prefix, entries: [keyHashHex, seq][] })
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  async _handleSyncKeys(message, peerId) {
+    if (!this.peers.has(peerId)) return;
+    const prefix = message.prefix;
+    if (typeof prefix !== "string" || !/^[0-9a-f]{0,40}$/.test(prefix)) return;
+
+    const theirs = new Map();
+    for (const entry of Array.isArray(message.entries) ? message.entries : []) {
+      if (theirs.size >= SYNC_LEAF_SIZE) break;
+      if (!Array.isArray(entry) || typeof entry[0] !== "string") continue;
+      if (!entry[0].startsWith(prefix) || !Number.isInteger(entry[1])) continue;
+      theirs.set(entry[0], entry[1]);
+    }
 
-          if (!sameValue) {
-            peer.send({
-              type: "STORE_RESPONSE",
-              sender: this.nodeIdHex,
-              success: false,
-              key: keyStr,
-              error: "Frozen key already set",
-            });
-            return;
-          }
-        }
+    const want = [];
+    for (const [keyHashHex, seq] of theirs) {
+      const stored = this.storage.get(keyHashHex);
+      if (!stored || this._isExpired(stored) || this._recordSeq(stored) < seq) {
+        want.push(keyHashHex);
       }
     }
+    const offer = [];
+    const { records, keys } = this._syncSnapshot(peerId);
+    for (const keyHashHex of this._keysInRange(keys, prefix)) {
+      const seq = records.get(keyHashHex);
+      if (!theirs.has(keyHashHex) || theirs.get(keyHashHex) < seq) offer.push(keyHashHex);
+    }
 
-    // Store the value
-    // Store with metadata structure for consistency with put() method
-    const timestamp = Date.now();
-    this.storage.set(keyHashHex, {
-      value,
-      timestamp,
-      replicatedTo: new Set(),
-      ...(meta ? { meta } : {}),
+    this._respond(peerId, message, {
+      type: "SYNC_KEYS_RESPONSE",
+      sender: this.nodeIdHex,
+      want,
     });
-    this.storageTimestamps.set(keyHashHex, timestamp);
-    this.keyMapping.set(keyHashHex, keyStr); // Store original key name
-    await this._persistRecord(keyHashHex);
+    if (offer.length > 0) {
+      await this._pushRecords(peerId, offer.slice(0, SYNC_LEAF_SIZE));
+    }
+  }
 
-    // Enforce storage size limit
-    if (this.storage.size > this.MAX_STORE_SIZE) {
-      let oldestKey = null;
-      let oldestTime = Infinity;
+  /**
+   * Handle a RELAY message. The query travels along `path` (origin,
+   * intermediaries, target); every hop forwards it to the next one and the
+   * target answers with a RELAY_RESPONSE that retraces the path.
+   * @param {Object} message - Message object
+   * @param {string} peerId - Sender peer ID
+   * @private
+   */
+  async _handleRelay(message, peerId) {
+    const { path, index } = message;
+    if (!this._isValidRelayPath(message) || path[index - 1] !== peerId) {
+      this._logDebug(`Dropping invalid RELAY from ${peerId.substring(0, 8)}...`);
+      return;
+    }
 
-      for (const [k, time] of this.storageTimestamps.entries()) {
-        if (time < oldestTime) {
-          oldestTime = time;
-          oldestKey = k;
-        }
+    if (index < path.length - 1) {
+      const nextPeer = this.peers.get(path[index + 1]);
+      if (nextPeer && nextPeer.connected) {
+        nextPeer.send({ ...message, sender: this.nodeIdHex, index: index + 1 });
       }
+      return;
+    }
 
-      if (oldestKey) {
-        this.storage.delete(oldestKey);
-        this.storageTimestamps.delete(oldestKey);
-        this.keyMapping.delete(oldestKey); // Clean up key mapping
-        await this._persistRecord(oldestKey);
-      }
+    const payload = message.payload;
+    if (!payload || !RELAYABLE_TYPES.has(payload.type)) return;
+
+    // The path back to the origin doubles as a route for our own queries
+    this._learnRoute(path[0], path.slice(1, index).reverse());
+
+    const query = { ...payload, sender: path[0] };
+    // The origin in the path is only claimed, so the relayed query counts
+    // against the rate limits and quota of the peer that delivered it
+    if (
+      !this.rateLimiter.consume(
+        peerId,
+        this._rateLimitType(query),
+        this._messageCost(query)
+      )
+    ) {
+      this._recordViolation(peerId, "rate", query.type);
+      return;
+    }
+    let response;
+    switch (query.type) {
+      case "PING":
+        response = { type: "PONG", sender: this.nodeIdHex };
+        break;
+      case "FIND_NODE":
+        response = this._findNodeResponse(query);
+        break;
+      case "FIND_VALUE":
+        response = await this._findValueResponse(query);
+        break;
+      case "STORE":
+        response = await this._storeResponse(query, peerId);
+        this._checkQuotaViolation(peerId, query.type, [query], [response]);
+        break;
+      case "GET_PROVIDERS":
+        response = this._getProvidersResponse(query);
+        break;
+      case "PUBLISH":
+        response = await this._publishResponse(query);
+        break;
+      case "WATCH_NOTIFY":
+        response = this._watchNotifyResponse(query);
+        break;
+      case "STORE_BATCH":
+        response = await this._storeBatchResponse(query, peerId);
+        this._checkQuotaViolation(peerId, query.type, query.records, response.results);
+        break;
+      case "FIND_VALUE_BATCH":
+        response = await this._findValueBatchResponse(query);
+        break;
+      case "DELETE":
+        response = await this._deleteResponse(query, peerId);
+        break;
+      case "DELETE_BATCH":
+        response = await this._deleteBatchResponse(query, peerId);
+        break;
     }
 
-    // Send success response
-    peer.send({
-      type: "STORE_RESPONSE",
-      sender: this.nodeIdHex,
-      success: true,
-      key: keyStr,
-    });
+    const prevPeer = this.peers.get(path[index - 1]);
+    if (prevPeer && prevPeer.connected) {
+      prevPeer.send({
+        type: "RELAY_RESPONSE",
+        sender: this.nodeIdHex,
+        rid: message.rid,
+        path,
+        index: index - 1,
+        payload: { ...response, rid: message.rid },
+      });
+    }
   }
 
   /**
-   * Handle a DELETE message from a peer
+   * Handle a RELAY_RESPONSE message, passing it back towards the origin
    * @param {Object} message - Message object
    * @param {string} peerId - Sender peer ID
    * @private
    */
-  async _handleDelete(message, peerId) {
-    const keyHashHex = message.key;
-    
-    this._logDebug(`Received DELETE message from ${peerId.substring(0, 8)}... for key: ${keyHashHex.substring(0, 8)}`);
+  _handleRelayResponse(message, peerId) {
+    const { path, index } = message;
+    if (!this._isValidRelayPath(message) || path[index + 1] !== peerId) return;
+
+    if (index === 0) {
+      const payload = message.payload;
+      if (payload && payload.rid === message.rid) {
+        this._resolveRequest(payload, path[path.length - 1]);
+      }
+      return;
+    }
 
-    // Add sender to routing table
-    this._addNode({
-      id: hexToBuffer(message.sender),
-      host: null,
-      port: null,
-    });
+    const prevPeer = this.peers.get(path[index - 1]);
+    if (prevPeer && prevPeer.connected) {
+      prevPeer.send({ ...message, sender: this.nodeIdHex, index: index - 1 });
+    }
+  }
 
-    const keyBuffer = hexToBuffer(keyHashHex);
-    const peer = this.peers.get(peerId);
+  /**
+   * Check the path of a RELAY / RELAY_RESPONSE message: it must name this
+   * node at `index`, contain no repeated hops and respect the hop limit
+   * @param {Object} message - Relay message
+   * @return {boolean} True if valid
+   * @private
+   */
+  _isValidRelayPath(message) {
+    const { path, index } = message;
+    return (
+      typeof message.rid === "string" &&
+      Array.isArray(path) &&
+      path.length >= 3 &&
+      path.length <= this.MAX_RELAY_HOPS + 2 &&
+      path.every((id) => typeof id === "string") &&
+      new Set(path).size === path.length &&
+      Number.isInteger(index) &&
+      index >= 0 &&
+      index < path.length &&
+      path[index] === this.nodeIdHex
+    );
+  }
 
-    if (!peer) {
-      this._logDebug(`Received DELETE from unknown peer: ${peerId}`);
+  /**
+   * Remember how to reach a node we are not connected to
+   * @param {string} nodeId - Node ID (hex)
+   * @param {Array<string>} via - Intermediaries, starting with a connected peer
+   * @private
+   */
+  _learnRoute(nodeId, via) {
+    if (nodeId === this.nodeIdHex || via.length === 0) return;
+    if (via.length > this.MAX_RELAY_HOPS) return;
+    if (via.includes(nodeId) || via.includes(this.nodeIdHex)) return;
+    const peer = this.peers.get(nodeId);
+    if (peer && peer.connected) return;
+
+    const existing = this.relayRoutes.get(nodeId);
+    if (
+      existing &&
+      existing.length <= via.length &&
+      this.peers.get(existing[0])?.connected
+    ) {
       return;
     }
+    this.relayRoutes.set(nodeId, via);
+  }
 
-    // Delete from local storage
-    this.storage.delete(keyHashHex);
-    this.storageTimestamps.delete(keyHashHex);
-    this.keyMapping.delete(keyHashHex);
-
-    // Persist deletion
-    await this._persistRecord(keyHashHex);
+  /**
+   * Get the route to a node
+   * @param {string} nodeId - Node ID (hex)
+   * @return {Array<string>|null} Intermediaries ([] if directly connected),
+   *   or null if the node is unreachable
+   * @private
+   */
+  _routeTo(nodeId) {
+    const peer = this.peers.get(nodeId);
+    if (peer && peer.connected) return [];
+    const via = this.relayRoutes.get(nodeId);
+    if (via && this.peers.get(via[0])?.connected && this._peerSupports(via[0], "RELAY")) {
+      return via;
+    }
+    return null;
+  }
 
-    this._logDebug(`Deleted key: ${keyHashHex.substring(0, 8)} per request from ${peerId.substring(0, 8)}...`);
+  /**
+   * Send a response to a request, echoing its request ID
+   * @param {string} peerId - Requesting peer ID
+   * @param {Object} request - Request message
+   * @param {Object} response - Response message
+   * @return {boolean} True if the response was sent
+   * @private
+   */
+  _respond(peerId, request, response) {
+    const peer = this.peers.get(peerId);
+    if (!peer || !peer.connected) return false;
+    peer.send(
+      typeof request?.rid === "string" ? { ...response, rid: request.rid } : response
+    );
+    return true;
+  }
 
-    // Send confirmation if peer is connected
-    if (peer && peer.connected) {
-      peer.send({
-        type: "DELETE_RESPONSE",
-        sender: this.nodeIdHex,
-        success: true,
-        key: keyHashHex,
+  /**
+   * Send a request to a node, directly or relayed through intermediaries,
+   * and wait for the matching response. Requests carry a request ID (`rid`)
+   * that responders echo, so concurrent requests never pick up each other's
+   * responses.
+   * @param {string} nodeId - Target node ID (hex)
+   * @param {Object} message - Request message
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Response timeout in ms (default:
+   *   requestTimeout)
+   * @param {AbortSignal} [options.signal] - Aborts the request
+   * @return {Promise<Object|null>} Response message, or null on timeout or if
+   *   the node is unreachable (queries that are not relayed, such as
+   *   ADD_PROVIDER, only reach connected peers). Rejects with the abort
+   *   reason if aborted.
+   * @private
+   */
+  _request(nodeId, message, options = {}) {
+    const { signal } = options;
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    const via = this._routeTo(nodeId);
+    if (!via || !this._peerSupports(nodeId, message.type)) return Promise.resolve(null);
+    if (via.length > 0 && !RELAYABLE_TYPES.has(message.type)) return Promise.resolve(null);
+
+    const rid = `${this.nodeIdHex.substring(0, 8)}-${Date.now().toString(36)}-${(++this._requestCounter).toString(36)}`;
+    const request = { ...message, rid };
+    const firstHop = via.length > 0 ? via[0] : nodeId;
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        clearTimeout(timer);
+        signal?.removeEventListener("abort", onAbort);
+        this._pendingRequests.delete(rid);
+      };
+      const onAbort = () => {
+        cleanup();
+        reject(signal.reason);
+      };
+      const timer = setTimeout(() => {
+        // Forget a relay route that no longer works
+        if (via.length > 0 && this.relayRoutes.get(nodeId) === via) {
+          this.relayRoutes.delete(nodeId);
+        }
+        this.reputation.recordTimeout(nodeId);
+        cleanup();
+        resolve(null);
+      }, options.timeout || this.REQUEST_TIMEOUT);
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this._pendingRequests.set(rid, {
+        nodeId,
+        type: message.type,
+        firstHop,
+        resolve: (response) => {
+          if (response) this.reputation.recordResponse(nodeId);
+          cleanup();
+          resolve(response);
+        },
       });
+      this.reputation.recordRequest(nodeId);
+
+      if (via.length === 0) {
+        this.peers.get(nodeId).send(request);
+      } else {
+        this.peers.get(firstHop).send({
+          type: "RELAY",
+          sender: this.nodeIdHex,
+          rid,
+          path: [this.nodeIdHex, ...via, nodeId],
+          index: 1,
+          payload: request,
+        });
+      }
+    });
+  }
+
+  /**
+   * Hand a response to the request waiting for it
+   * @param {Object} message - Incoming message
+   * @param {string} fromId - Node the response came from
+   * @return {boolean} True if the message answered a pending request
+   * @private
+   */
+  _resolveRequest(message, fromId) {
+    if (typeof message.rid !== "string") return false;
+    const pending = this._pendingRequests.get(message.rid);
+    if (
+      !pending ||
+      pending.nodeId !== fromId ||
+      responseTypeFor(pending.type) !== message.type
+    ) {
+      return false;
     }
+    pending.resolve(message);
+    return true;
   }
-  
+
+  /**
+   * Fail the pending requests sent to or through a peer that disconnected
+   * @param {string} peerId - Disconnected peer ID
+   * @private
+   */
+  _failRequestsVia(peerId) {
+    for (const pending of Array.from(this._pendingRequests.values())) {
+      if (pending.firstHop === peerId) pending.resolve(null);
+    }
+  }
+
+  /**
+   * Get the number of requests awaiting a response
+   * @return {{total: number, byPeer: Object<string, number>, byType: Object<string, number>}}
+   *   In-flight request counts, per target node and per request type
+   */
+  getInFlightRequests() {
+    const byPeer = {};
+    const byType = {};
+    for (const { nodeId, type } of this._pendingRequests.values()) {
+      byPeer[nodeId] = (byPeer[nodeId] || 0) + 1;
+      byType[type] = (byType[type] || 0) + 1;
+    }
+    return { total: this._pendingRequests.size, byPeer, byType };
+  }
+
   /**
    * Handle a SIGNAL message
    * @param {Object} message - Message object
@@ -1851,12 +4646,6 @@ class DHT extends EventEmitter {
   _handleSignal(message, peerId) {
     this._logDebug(`Received SIGNAL message from ${peerId.substring(0, 8)}...`);
     
-    // Add sender to routing table
-    this._addNode({
-      id: hexToBuffer(message.sender),
-      host: null,
-      port: null,
-    });
     
     // Extract the signal data
     const signal = message.signal;
@@ -1949,6 +4738,15 @@ class DHT extends EventEmitter {
         }
         // ROUTE_TEST signals are just to establish routes, no response needed
       } else {
+        // WebRTC signals of a connection set up through the DHT (see
+        // _reconnectContacts) are applied here
+        if (isDhtRouted && ["offer", "answer", "candidate"].includes(signal.type)) {
+          try {
+            this.signal({ id: originalSender, signal, viaDht: true });
+          } catch (err) {
+            this._logDebug(`Failed to apply signal from ${originalSender.substring(0, 8)}...: ${err.message}`);
+          }
+        }
         // For WebRTC signaling and application messages, emit the signal event
         // Use batching for the response if appropriate
         if (this.SIGNAL_BATCH_INTERVAL > 0) {
@@ -1997,6 +4795,116 @@ class DHT extends EventEmitter {
     }
   }
   
+  /**
+   * Reconnect to the contacts saved by a previous session once a first peer
+   * is connected to route signals through, most reliable first. Like
+   * connectPeer in the API, only the node with the lower ID initiates; the
+   * other side answers the offer it receives through the DHT.
+   * @private
+   */
+  _reconnectContacts() {
+    this._contactsReconnected = true;
+    const slots = Math.min(this.K, this.maxPeers - this.peers.size);
+    const contacts = Array.from(this._savedContacts.values())
+      .filter((contact) => this.nodeIdHex < contact.id)
+      .filter((contact) => !this.peers.has(contact.id) && !this._isBanned(contact.id))
+      .sort((a, b) => b.reliability - a.reliability || b.lastSeen - a.lastSeen)
+      .slice(0, Math.max(0, slots));
+    this._logDebug(`Reconnecting to ${contacts.length} saved contacts through the DHT`);
+
+    for (const contact of contacts) {
+      this.connect({ id: contact.id, dhtSignaling: true }).catch((err) => {
+        this._logDebug(`Failed to reconnect to ${contact.id.substring(0, 8)}...: ${err.message}`);
+      });
+    }
+  }
+
+  /**
+   * Send a pending connection's WebRTC signals through the DHT. If it has
+   * not connected after contactSignalTimeout, it is replaced by one
+   * signaled through the server (the answering side just drops it and
+   * waits for the new offer).
+   * @param {Peer} peer - Connection that is not established yet
+   * @param {boolean} initiator - Whether we sent the offer
+   * @private
+   */
+  _preferDhtSignaling(peer, initiator) {
+    peer.dhtSignaling = true;
+    const timer = setTimeout(() => {
+      if (peer.connected || peer.destroyed || this.peers.get(peer.peerIdHex) !== peer) return;
+      this._logDebug(`No connection to ${peer.peerIdHex.substring(0, 8)}... through DHT signaling, falling back to the signaling server`);
+      this._abandonPeer(peer);
+      if (initiator) {
+        this.connect({ id: peer.peerIdHex }).catch((err) => {
+          this._logDebug(`Failed to reconnect to ${peer.peerIdHex.substring(0, 8)}...: ${err.message}`);
+        });
+      }
+    }, this.CONTACT_SIGNAL_TIMEOUT);
+    peer.once("connect", () => clearTimeout(timer));
+    peer.once("destroyed", () => clearTimeout(timer));
+  }
+
+  /**
+   * Drop a connection that never completed, without the disconnect
+   * handling of an established one
+   * @param {Peer} peer - Connection to drop
+   * @private
+   */
+  _abandonPeer(peer) {
+    peer.removeAllListeners();
+    peer.destroy();
+    if (this.peers.get(peer.peerIdHex) === peer) this.peers.delete(peer.peerIdHex);
+  }
+
+  /**
+   * Send a WebRTC signal to a node we are not connected to through one
+   * connected peer: a known route to the node if we have one, otherwise the
+   * connected peer closest to it
+   * @param {string} targetId - Node to signal
+   * @param {Object} signal - WebRTC signal
+   * @return {string|null} ID of the peer the signal went through, or null
+   *   if there is no connected peer to send it through
+   * @private
+   */
+  _sendSignalThroughDht(targetId, signal) {
+    const connected = Array.from(this.peers.entries()).filter(
+      ([id, peer]) => id !== targetId && peer.connected
+    );
+    if (connected.length === 0) return null;
+
+    const routes = this.dhtRoutes.get(targetId);
+    const [routeId, routePeer] =
+      connected.find(([id]) => routes?.has(id)) ||
+      connected.sort(([a], [b]) => {
+        const distA = this._calculateDistance(a, targetId);
+        const distB = this._calculateDistance(b, targetId);
+        return distA < distB ? -1 : distA > distB ? 1 : 0;
+      })[0];
+
+    const sent = routePeer.send({
+      type: "SIGNAL",
+      sender: this.nodeIdHex,
+      originalSender: this.nodeIdHex,
+      signal,
+      target: targetId,
+      ttl: 3,
+      viaDht: true,
+      signalPath: [this.nodeIdHex],
+    });
+    return sent === false ? null : routeId;
+  }
+
+  /**
+   * Remember a peer through which signals reach a node
+   * @param {string} targetId - Node ID
+   * @param {string} routeId - Peer ID
+   * @private
+   */
+  _addDhtRoute(targetId, routeId) {
+    if (!this.dhtRoutes.has(targetId)) this.dhtRoutes.set(targetId, new Set());
+    this.dhtRoutes.get(targetId).add(routeId);
+  }
+
   /**
    * Debug method to log signal forwarding
    * @private
@@ -2181,149 +5089,216 @@ class DHT extends EventEmitter {
   /**
    * Find a node in the DHT
    * @param {string|Buffer} targetId - Target node ID
-   * @return {Promise<Array>} Closest nodes to the target
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Per-request timeout in ms
+   * @param {AbortSignal} [options.signal] - Aborts the lookup
+   * @return {Promise<Array>} Closest nodes to the target. Nodes we are not
+   *   connected to are included when they can be reached through relays.
    */
-  async findNode(targetId) {
-    const targetHex = targetId;
-    const target = targetId;
-    let nodes = [];
+  async findNode(targetId, options = {}) {
+    const targetHex =
+      typeof targetId === "string" ? targetId : bufferToHex(targetId);
+    const { nodes } = await this._lookup(targetHex, {
+      timeout: options.timeout,
+      signal: options.signal,
+    });
+    return nodes
+      .map((id) => ({ id, reputation: this.reputation.score(id) }))
+      .filter((node) => node.reputation >= this.MIN_REPUTATION);
+  }
+
+  /**
+   * Iterative Kademlia lookup. Queries the ALPHA closest unqueried nodes in
+   * rounds until the K closest known nodes have all been asked. Nodes
+   * reported by other nodes are queried through relays when we are not
+   * connected to them.
+   * @param {string} targetHex - Target ID or key hash (hex)
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.findValue] - Send FIND_VALUE and collect the
+   *   records returned along the way
+   * @param {number} [options.maxValues] - Stop once this many records have
+   *   been collected
+   * @param {number} [options.timeout] - Per-request timeout in ms
+   * @param {AbortSignal} [options.signal] - Aborts the lookup
+   * @return {Promise<{nodes: string[], contacted: string[], values: Array<Object>}>}
+   *   The K closest responsive nodes, every responsive node by distance, and
+   *   the records found ({ from, value, meta, expiresAt, seq })
+   * @private
+   */
+  async _lookup(targetHex, options = {}) {
+    const target = hexToBuffer(targetHex);
+    this.buckets[this._getBucketIndex(targetHex)].touch();
+    const type = options.findValue ? "FIND_VALUE" : "FIND_NODE";
+    const candidates = new Set();
+    const queried = new Set();
+    const responded = new Set();
+    const values = [];
+
+    const consider = (id) => {
+      if (id !== this.nodeIdHex && this._routeTo(id)) candidates.add(id);
+    };
+    const byDistance = (a, b) =>
+      compareBuffers(distance(a, target), distance(b, target));
+
     for (let i = 0; i < this.BUCKET_COUNT; i++) {
-      nodes = nodes.concat(this.buckets[i].nodes);
+      for (const node of this.buckets[i].nodes) {
+        consider(typeof node.id === "string" ? node.id : bufferToHex(node.id));
+      }
     }
-    // Ensure unique node IDs and only connected peers
-    const seen = new Set();
-    nodes = nodes.filter((n) => {
-      const nIdHex = typeof n.id === "string" ? n.id : bufferToHex(n.id);
-      if (seen.has(nIdHex)) return false;
-      seen.add(nIdHex);
-      // Only include connected peers (except self)
-      if (nIdHex === this.nodeIdHex) return false;
-      const peer = this.peers.get(nIdHex);
-      return peer && peer.connected;
-    });
-    nodes = nodes
-      .sort((a, b) => {
-        const distA = distance(a.id, target);
-        const distB = distance(b.id, target);
-        return compareBuffers(distA, distB);
-      })
-      .slice(0, this.K);
-    if (nodes.length === 0) {
-      return [];
-    }
-    const queriedNodes = new Set();
-    let closestNodes = [...nodes];
-    while (nodes.length > 0) {
-      const nodesToQuery = [];
-      for (
-        let i = 0;
-        i < nodes.length && nodesToQuery.length < this.ALPHA;
-        i++
-      ) {
-        const node = nodes[i];
-        const nodeIdHex =
-          typeof node.id === "string" ? node.id : bufferToHex(node.id);
-        if (!queriedNodes.has(nodeIdHex)) {
-          nodesToQuery.push(node);
-          queriedNodes.add(nodeIdHex);
-        }
+    for (const id of this.peers.keys()) consider(id);
+
+    const queryNode = async (nodeId) => {
+      queried.add(nodeId);
+      const message = options.findValue
+        ? { type, sender: this.nodeIdHex, owner: this.ownerId, key: targetHex }
+        : { type, sender: this.nodeIdHex, target: targetHex };
+      const response = await this._request(nodeId, message, {
+        timeout: options.timeout,
+        signal: options.signal,
+      });
+      if (!response) return;
+      responded.add(nodeId);
+      this._addNode({ id: nodeId, host: null, port: null });
+
+      if (options.findValue && response.value !== undefined) {
+        values.push({
+          from: nodeId,
+          value: response.value,
+          meta: response.meta || null,
+          expiresAt:
+            typeof response.expiresAt === "number" ? response.expiresAt : null,
+          seq: this._recordSeq(response),
+          publishedAt: this._publishedAtOf(response),
+          tombstone: response.tombstone === true,
+        });
       }
-      if (nodesToQuery.length === 0) break;
-      const promises = nodesToQuery.map(async (node) => {
-        const nodeIdHex =
-          typeof node.id === "string" ? node.id : bufferToHex(node.id);
-        const peer = this.peers.get(nodeIdHex);
-        if (!peer || !peer.connected) {
-          return [];
+
+      // Nodes the responder is connected to are reachable through it
+      const via = [...(this._routeTo(nodeId) || []), nodeId];
+      for (const node of Array.isArray(response.nodes) ? response.nodes : []) {
+        if (!node || typeof node.id !== "string") continue;
+        if (!/^[a-f0-9]{40}$/.test(node.id) || node.id === this.nodeIdHex) {
+          continue;
         }
-        return new Promise((resolve) => {
-          const timeout = setTimeout(() => {
-            resolve([]);
-          }, 5000);
-          const responseHandler = (message, sender) => {
-            if (
-              sender !== nodeIdHex ||
-              message.type !== "FIND_NODE_RESPONSE" ||
-              !message.nodes
-            ) {
-              return;
-            }
-            clearTimeout(timeout);
-            peer.removeListener("message", responseHandler);
-            const responseNodes = message.nodes
-              .filter((n) => n && n.id)
-              .map((n) => ({
-                id: hexToBuffer(n.id),
-                host: null,
-                port: null,
-              }));
-            resolve(responseNodes);
-          };
-          peer.on("message", responseHandler);
-          peer.send({
-            type: "FIND_NODE",
-            sender: this.nodeIdHex,
-            target: targetHex,
-          });
-        });
-      });
-      const results = await Promise.all(promises);
-      let newNodes = results.flat();
-      // Ensure uniqueness and only connected
-      const seenNew = new Set();
-      newNodes = newNodes.filter((n) => {
-        const nIdHex = typeof n.id === "string" ? n.id : bufferToHex(n.id);
-        if (seen.has(nIdHex) || seenNew.has(nIdHex)) return false;
-        seenNew.add(nIdHex);
-        seen.add(nIdHex);
-        if (nIdHex === this.nodeIdHex) return false;
-        const peer = this.peers.get(nIdHex);
-        return peer && peer.connected;
-      });
-      newNodes.forEach((node) => {
-        this._addNode(node);
-      });
-      closestNodes = [...closestNodes, ...newNodes]
-        .filter((n, i, arr) => {
-          const nIdHex = typeof n.id === "string" ? n.id : bufferToHex(n.id);
-          // Only include if we have room for more peers or already connected
-          if (!this.peers.has(nIdHex) && this.peers.size >= this.maxPeers) {
-            return false;
-          }
-          return (
-            arr.findIndex(
-              (x) =>
-                (typeof x.id === "string" ? x.id : bufferToHex(x.id)) === nIdHex
-            ) === i
-          );
-        })
-        .sort((a, b) => {
-          const distA = distance(a.id, target);
-          const distB = distance(b.id, target);
-          return compareBuffers(distA, distB);
-        })
-        .slice(0, this.K);
-      nodes = closestNodes.filter((node) => {
-        const nodeIdHex =
-          typeof node.id === "string" ? node.id : bufferToHex(node.id);
-        return !queriedNodes.has(nodeIdHex);
-      });
+        if (node.connected) this._learnRoute(node.id, via);
+        consider(node.id);
+      }
+    };
+
+    // Next ALPHA unqueried nodes among the K closest still in the running,
+    // most reliable first
+    const nextBatch = () =>
+      Array.from(candidates)
+        .filter((id) => !queried.has(id) || responded.has(id))
+        .sort(byDistance)
+        .slice(0, this.K)
+        .filter((id) => !queried.has(id))
+        .sort((a, b) => this.reputation.score(b) - this.reputation.score(a))
+        .slice(0, this.ALPHA);
+
+    const enoughValues = () =>
+      Number.isInteger(options.maxValues) && values.length >= options.maxValues;
+
+    let batch = nextBatch();
+    while (batch.length > 0 && !enoughValues()) {
+      await Promise.all(batch.map(queryNode));
+      batch = nextBatch();
     }
-    return closestNodes.map((node) => ({
-      id: typeof node.id === "string" ? node.id : bufferToHex(node.id),
-    }));
+
+    const contacted = Array.from(responded).sort(byDistance);
+    return { nodes: contacted.slice(0, this.K), contacted, values };
   }
 
   /**
    * Store a value in the DHT
    * @param {string} key - Key to store
    * @param {*} value - Value to store
-   * @return {Promise<boolean>} Success flag
+   * @param {Object} [options] - Put options
+   * @param {number} [options.ttl] - Time to live in ms
+   * @param {number} [options.expiresAt] - Absolute expiry timestamp (ms)
+   * @param {number} [options.seq] - Explicit sequence number (defaults to
+   *   the local sequence number + 1)
+   * @param {number} [options.cas] - Expected current sequence number; the
+   *   write is rejected by replicas holding a different version
+   * @param {number} [options.w] - Write quorum: resolve once this many
+   *   replicas have acknowledged the write
+   * @param {number} [options.timeout] - Per-request timeout in ms
+   * @param {AbortSignal} [options.signal] - Aborts the network requests
+   * @return {Promise<boolean|Object>} Success flag. With `w`, an object
+   *   { success, consistency: { required, replicas, agreed } } where
+   *   `agreed` replicas out of the `replicas` asked acknowledged the write
+   *   and success means at least `required` did.
+   */
+  async put(key, value, options = {}) {
+    const quorum = this._quorumSize(options.w);
+    const prepared = await this._prepareLocalPut(key, value, options);
+    if (!prepared) {
+      return quorum ? this._writeQuorumResult(quorum, 0, 0) : false;
+    }
+    const { keyStr, keyHashHex, previous, message } = prepared;
+    // A replica holding a newer version means this write lost: drop it
+    // locally too, so that the next get fetches the newer version and the
+    // lost one is not republished
+    const written = this.storage.get(keyHashHex);
+    const rollback = () => this._rollbackWrite(keyHashHex, written, previous);
+
+    // Find K closest nodes to the key
+    const requestOptions = { timeout: options.timeout, signal: options.signal };
+    const nodes = await this.findNode(keyHashHex, requestOptions);
+    this._logDebug(
+      "put - Closest nodes for key:",
+      nodes.map((n) => n.id)
+    );
+
+    if (nodes.length === 0) {
+      this._logDebug("put - No nodes found, storing locally only.");
+      return quorum ? this._writeQuorumResult(quorum, 0, 0) : true;
+    }
+
+    if (quorum) {
+      // Resolve as soon as the quorum acknowledges; the remaining STOREs
+      // carry on in the background
+      const acks = await this._awaitAcks(
+        this._storeRequests(nodes, keyHashHex, message, requestOptions, rollback),
+        quorum,
+        options.signal
+      );
+      this._logDebug(`put - ${acks} of ${nodes.length} replicas acknowledged (w=${quorum})`);
+      if (acks === 0 && Number.isInteger(options.cas)) {
+        await rollback();
+      }
+      return this._writeQuorumResult(quorum, nodes.length, acks);
+    }
+
+    // Send STORE to all K closest nodes
+    const results = await this._storeAt(nodes, keyHashHex, message, requestOptions, rollback);
+    const successCount = results.filter(Boolean).length;
+    this._logDebug(
+      "put - STORE operation completed. Success count:",
+      successCount,
+      "out of",
+      nodes.length
+    );
+    if (successCount === 0 && Number.isInteger(options.cas)) {
+      await rollback();
+    }
+    return successCount > 0;
+  }
+
+  /**
+   * Validate a put, write the record locally and build its STORE message
+   * @param {string} key - Key
+   * @param {any} value - Value
+   * @param {Object} options - put options ({ ttl, expiresAt, seq, cas })
+   * @return {Promise<Object|null>} { keyStr, keyHashHex, previous, message },
+   *   or null if the local compare-and-swap check fails
+   * @throws {Error} If the key or value is too large
+   * @private
    */
-  async put(key, value) {
+  async _prepareLocalPut(key, value, options = {}) {
     // Validate input sizes
     const keySize = Buffer.from(key).length;
-    const valueSize = Buffer.from(value).length;
+    const valueSize = valueByteLength(value);
 
     if (keySize > this.MAX_KEY_SIZE) {
       throw new Error(`Key size exceeds maximum (${this.MAX_KEY_SIZE} bytes)`);
@@ -2353,284 +5328,943 @@ class DHT extends EventEmitter {
     const keyHashHex = bufferToHex(keyHash);
     this._logDebug("put - key:", keyStr, "keyHashHex:", keyHashHex);
 
+    // Compare-and-swap against our local copy first; replicas enforce it too
+    const previous = this.storage.get(keyHashHex);
+    if (this._failsLocalCas(previous, options)) {
+      this._logDebug("put - CAS mismatch for key:", keyStr);
+      return null;
+    }
+
     // Store the value with metadata
     const timestamp = Date.now();
+    const expiresAt = this._resolveExpiry(options);
+    const seq = this._nextSeq(keyHashHex, options);
     this.storage.set(keyHashHex, {
       value,
       timestamp,
       replicatedTo: new Set(),
+      expiresAt,
+      seq,
+      published: true,
+      publishedAt: timestamp,
     });
     this.storageTimestamps.set(keyHashHex, timestamp);
     this.keyMapping.set(keyHashHex, keyStr); // Store original key name
     await this._persistRecord(keyHashHex);
 
-    // Find K closest nodes to the key
-    const nodes = await this.findNode(keyHashHex);
+    const message = {
+      type: "STORE",
+      sender: this.nodeIdHex,
+      key: keyStr,
+      value: value,
+      ...(expiresAt ? { expiresAt } : {}),
+      seq,
+      publishedAt: timestamp,
+      ...(Number.isInteger(options.cas) ? { cas: options.cas } : {}),
+    };
+    return { keyStr, keyHashHex, previous, message };
+  }
+
+  /**
+   * Send a STORE to each node and record which replicas accepted it
+   * @param {Array<{id: string}>} nodes - Target nodes
+   * @param {string} keyHashHex - Hashed record key
+   * @param {Object} message - STORE message
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {Function} [onStale] - Called when a node holds a newer version
+   * @return {Promise<boolean[]>} Per-node success flags. Rejects with the
+   *   abort reason if aborted.
+   * @private
+   */
+  async _storeAt(nodes, keyHashHex, message, options = {}, onStale = null) {
+    const results = await Promise.all(
+      this._storeRequests(nodes, keyHashHex, message, options, onStale)
+    );
+    if (options.signal?.aborted) throw options.signal.reason;
+    return results;
+  }
+
+  /**
+   * Start a STORE to each node (see _storeAt)
+   * @param {Array<{id: string}>} nodes - Target nodes
+   * @param {string} keyHashHex - Hashed record key
+   * @param {Object} message - STORE message
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {Function} [onStale] - Called (and awaited) when a node refuses
+   *   the record because it holds a newer version
+   * @return {Array<Promise<boolean>>} Per-node success promises; they
+   *   never reject
+   * @private
+   */
+  _storeRequests(nodes, keyHashHex, message, options = {}, onStale = null) {
+    return nodes.map(async (node) => {
+      if (!this._peerAcceptsStore(node.id, message)) {
+        this._logDebug("put - Peer cannot accept STORE:", node.id);
+        return false;
+      }
+      this._logDebug("put - Sending STORE to peer:", node.id, "key:", message.key);
+      let response;
+      try {
+        response = await this._request(node.id, message, options);
+      } catch {
+        // Aborted: counts as a failed acknowledgement
+        this._logDebug("put - STORE aborted for peer:", node.id);
+        return false;
+      }
+      if (!response) {
+        this._logDebug("put - STORE timeout for peer:", node.id);
+        return false;
+      }
+      if (response.success) {
+        // Track successful replication
+        const stored = this.storage.get(keyHashHex);
+        if (stored) stored.replicatedTo.add(node.id);
+      } else if (response.error === STALE_SEQ && onStale) {
+        await onStale();
+      }
+      this._logDebug(
+        "put - STORE response from peer:",
+        node.id,
+        "success:",
+        response.success
+      );
+      return Boolean(response.success);
+    });
+  }
+
+  /**
+   * Wait until `needed` of the promises resolve truthy, or all settle
+   * @param {Array<Promise<boolean>>} promises - Acknowledgement promises
+   *   (they must never reject)
+   * @param {number} needed - Acknowledgements to wait for
+   * @param {AbortSignal} [signal] - Stops waiting
+   * @return {Promise<number>} Acknowledgements received by then. Rejects
+   *   with the abort reason if aborted first.
+   * @private
+   */
+  _awaitAcks(promises, needed, signal) {
+    if (signal?.aborted) return Promise.reject(signal.reason);
+    return new Promise((resolve, reject) => {
+      let acks = 0;
+      let pending = promises.length;
+      const onAbort = () => reject(signal.reason);
+      const done = (count) => {
+        signal?.removeEventListener("abort", onAbort);
+        resolve(count);
+      };
+      signal?.addEventListener("abort", onAbort, { once: true });
+      if (pending === 0) done(0);
+      for (const promise of promises) {
+        promise.then((ok) => {
+          if (ok) acks++;
+          pending--;
+          if (acks >= needed || pending === 0) done(acks);
+        });
+      }
+    });
+  }
+
+  /**
+   * Validate a quorum option
+   * @param {number} [size] - Requested quorum (w or r)
+   * @return {number|null} Quorum size, or null if not requested
+   * @throws {Error} If the quorum is not a positive integer
+   * @private
+   */
+  _quorumSize(size) {
+    if (size === undefined || size === null) return null;
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error("Quorum size must be a positive integer");
+    }
+    return size;
+  }
+
+  /**
+   * Build the result of a put with a write quorum
+   * @param {number} required - Write quorum
+   * @param {number} replicas - Replicas the write was sent to
+   * @param {number} agreed - Replicas that acknowledged it
+   * @return {Object} { success, consistency }
+   * @private
+   */
+  _writeQuorumResult(required, replicas, agreed) {
+    return {
+      success: agreed >= required,
+      consistency: { required, replicas, agreed },
+    };
+  }
+
+  /**
+   * Get a value from the DHT. The K closest nodes are queried and the
+   * version with the highest sequence number (local copy included) wins.
+   * @param {string} key - Key to look up
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.immutable] - Only accept a content-addressed
+   *   record whose value hashes to `key` (see getImmutable)
+   * @param {number} [options.r] - Read quorum: stop the lookup once this
+   *   many replicas have returned the record, and compare their versions
+   * @param {number} [options.timeout] - Per-request timeout in ms
+   * @param {AbortSignal} [options.signal] - Aborts the lookup
+   * @return {Promise<any>} Retrieved value. With `r`, an object
+   *   { value, consistency: { required, replicas, agreed } } where `agreed`
+   *   of the `replicas` that returned a valid, unexpired copy of the record
+   *   hold the version returned.
+   */
+  async get(key, options = {}) {
+    const quorum = this._quorumSize(options.r);
+
+    // Hash the key unless it's already a hash
+    const keyHashHex = /^[a-fA-F0-9]{40}$/.test(key)
+      ? key
+      : bufferToHex(await sha1(key));
+
+    this._logDebug(`get - Looking up key: ${key}, hash: ${keyHashHex}`);
+
+    const local = await this._readLocalRecord(key, keyHashHex, options);
+
+    this._logDebug(`get - Querying DHT for newer versions of key: ${key}`);
+
+    // Iterative lookup, collecting the records held by the closest nodes
+    const lookup = await this._lookup(keyHashHex, {
+      findValue: true,
+      ...(quorum ? { maxValues: quorum } : {}),
+      timeout: options.timeout,
+      signal: options.signal,
+    });
+    const results = lookup.values;
+    this._logDebug(`get - Lookup returned ${results.length} records for key: ${key}`);
+
+    const { value, agreed, accepted } = await this._resolveGetResults(
+      key,
+      keyHashHex,
+      results,
+      local,
+      options
+    );
+    if (value !== null || this.storage.get(keyHashHex)?.tombstone) {
+      // Repair in the background; the caller has its value, so aborting
+      // the get does not stop the repair. Replicas whose copy we refused
+      // count as not holding the record.
+      const repair = { ...lookup, values: accepted };
+      this._repairReplicas(keyHashHex, repair, { timeout: options.timeout }).catch((err) => {
+        this._logDebug(`get - Read repair of ${keyHashHex.substring(0, 8)} failed:`, err.message);
+      });
+    }
+    if (!quorum) return value;
+    return {
+      value,
+      consistency: { required: quorum, replicas: accepted.length, agreed },
+    };
+  }
+
+  /**
+   * Read repair after a get: send our (now newest) copy of a record to the
+   * closest nodes that returned an older version or none, and cache it at
+   * the closest node on the lookup path that did not have it, so later
+   * lookups find it sooner
+   * @param {string} keyHashHex - Hashed key
+   * @param {Object} lookup - Result of _lookup, with only the values that
+   *   passed verification
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @return {Promise<void>}
+   * @private
+   */
+  async _repairReplicas(keyHashHex, lookup, options = {}) {
+    const stored = this.storage.get(keyHashHex);
+    if (!stored || this._isExpired(stored)) return;
+    if (!(await this._isRecordAuthentic(keyHashHex, stored))) return;
+    const seq = this._recordSeq(stored);
+
+    const held = new Map(); // nodeId -> newest seq it returned
+    for (const result of lookup.values) {
+      held.set(result.from, Math.max(held.get(result.from) ?? -1, result.seq));
+    }
+    const targets = lookup.nodes.filter((id) => !(held.get(id) >= seq));
+    const cacheAt = lookup.contacted.find(
+      (id) => !held.has(id) && !lookup.nodes.includes(id)
+    );
+    if (cacheAt) targets.push(cacheAt);
+    if (targets.length === 0) return;
+
     this._logDebug(
-      "put - Closest nodes for key:",
-      nodes.map((n) => n.id)
+      `get - Repairing ${targets.length} replicas of key ${keyHashHex.substring(0, 8)} to seq ${seq}`
+    );
+    await this._storeAt(
+      targets.map((id) => ({ id })),
+      keyHashHex,
+      {
+        type: "STORE",
+        sender: this.nodeIdHex,
+        key: this.keyMapping.get(keyHashHex) || keyHashHex,
+        value: stored.value,
+        ...(stored.meta ? { meta: stored.meta } : {}),
+        ...(stored.expiresAt ? { expiresAt: stored.expiresAt } : {}),
+        seq,
+        ...(stored.publishedAt ? { publishedAt: stored.publishedAt } : {}),
+        ...(stored.tombstone ? { tombstone: true } : {}),
+      },
+      options
+    );
+  }
+
+  /**
+   * Read the local copy of a record for get, dropping it if it has expired
+   * or is invalid
+   * @param {string} key - Original key
+   * @param {string} keyHashHex - Hashed key
+   * @param {Object} options - get options ({ immutable })
+   * @return {Promise<Object>} { localSeq, localValue }; localSeq is null without a usable copy
+   * @private
+   */
+  async _readLocalRecord(key, keyHashHex, options = {}) {
+    // Check local storage first
+    let localSeq = null;
+    let localValue = null;
+    if (this.storage.has(keyHashHex)) {
+      const storedData = this.storage.get(keyHashHex);
+      // Return just the value, not the metadata
+      if (this._isExpired(storedData)) {
+        this._logDebug(`get - Local value for key: ${key} has expired`);
+        await this._expireRecord(keyHashHex);
+      } else if (
+        options.immutable &&
+        !(await this._verifyLookupResult(key, keyHashHex, storedData, true))
+      ) {
+        this._logDebug(`get - Local value for key: ${key} is not a valid immutable record`);
+      } else if (storedData.value !== undefined) {
+        this._logDebug(`get - Found value in local storage for key: ${key}`);
+        localSeq = this._recordSeq(storedData);
+        localValue = storedData.value;
+      } else {
+        this._logDebug(`get - Found undefined value in local storage for key: ${key}, removing invalid entry`);
+        // Remove invalid entry
+        this.storage.delete(keyHashHex);
+        this.storageTimestamps.delete(keyHashHex);
+        this.keyMapping.delete(keyHashHex); // Clean up key mapping
+        await this._persistRecord(keyHashHex);
+      }
+    }
+
+    return { localSeq, localValue };
+  }
+
+  /**
+   * Pick the authentic lookup result with the highest sequence number and
+   * keep it locally if it is newer than our copy
+   * @param {string} key - Original key
+   * @param {string} keyHashHex - Hashed key
+   * @param {Object[]} results - Records returned by replicas ({ from, value, meta, expiresAt, seq })
+   * @param {Object} local - Result of _readLocalRecord
+   * @param {Object} options - get options ({ immutable })
+   * @return {Promise<Object>} { value, agreed, accepted }: the value (null
+   *   if not found), how many replicas returned that version, and the
+   *   results that were unexpired and authentic
+   * @private
+   */
+  async _resolveGetResults(key, keyHashHex, results, local, options = {}) {
+    const { localSeq, localValue } = local;
+    // Pick the authentic result with the highest sequence number, counting
+    // the replicas that returned that version
+    let newest = null;
+    let agreed = 0;
+    const accepted = [];
+    for (const result of results) {
+      if (result !== null && result !== undefined) {
+        if (this._isExpired(result)) {
+          this._logDebug(`get - Ignoring expired value for key: ${key}`);
+          continue;
+        }
+        if (
+          !(await this._verifyLookupResult(
+            key,
+            keyHashHex,
+            result,
+            !!options.immutable
+          ))
+        ) {
+          this._logDebug(`get - Rejected unauthenticated value for key: ${key}`);
+          this.reputation.recordInvalid(result.from);
+          continue;
+        }
+        this.reputation.recordValid(result.from);
+        accepted.push(result);
+        if (newest && result.seq === newest.seq) {
+          agreed++;
+        } else if (!newest || result.seq > newest.seq) {
+          newest = result;
+          agreed = 1;
+        }
+      }
+    }
+
+    if (newest && (localSeq === null || newest.seq > localSeq)) {
+      // Store result locally for future use with metadata structure
+      const timestamp = Date.now();
+      this._logDebug(`get - Found value for key: ${key} (seq ${newest.seq}), storing locally`);
+      this.storage.set(keyHashHex, {
+        value: newest.value,
+        timestamp,
+        replicatedTo: new Set(),
+        expiresAt: newest.expiresAt,
+        seq: newest.seq,
+        ...(newest.meta ? { meta: newest.meta } : {}),
+        ...(newest.publishedAt ? { publishedAt: newest.publishedAt } : {}),
+        ...(newest.tombstone ? { tombstone: true } : {}),
+      });
+      this.storageTimestamps.set(keyHashHex, timestamp);
+      this.keyMapping.set(keyHashHex, key); // Store original key name
+      await this._persistRecord(keyHashHex);
+      return { value: newest.value, agreed, accepted };
+    }
+
+    if (localSeq !== null) {
+      return {
+        value: localValue,
+        agreed: newest && newest.seq === localSeq ? agreed : 0,
+        accepted,
+      };
+    }
+
+    this._logDebug(`get - No value found for key: ${key} in DHT`);
+    return { value: null, agreed: 0, accepted };
+  }
+
+  /**
+   * Delete a value from the DHT by writing a tombstone: a record with a
+   * higher sequence number that replaces the value on its replicas until it
+   * expires (see tombstoneTtl). Owned-space tombstones are signed, so only
+   * the owner can delete; frozen and immutable records cannot be deleted.
+   * @param {string} key - Key to delete
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Per-request timeout in ms
+   * @param {AbortSignal} [options.signal] - Aborts the network requests
+   * @return {Promise<boolean>} True if a replica stored the tombstone (or
+   *   there were no replicas to reach); false if this node may not delete
+   *   the record or every replica refused
+   */
+  async delete(key, options = {}) {
+    const prepared = await this._prepareLocalDelete(key, options);
+    if (!prepared) return false;
+    const { keyHashHex, message } = prepared;
+
+    const requestOptions = { timeout: options.timeout, signal: options.signal };
+    const nodes = await this.findNode(keyHashHex, requestOptions);
+    this._logDebug(`delete - Sending tombstone for key: ${key} to ${nodes.length} nodes`);
+    if (nodes.length === 0) return true;
+
+    const results = await Promise.all(
+      nodes.map(async (node) => {
+        const response = await this._request(node.id, message, requestOptions);
+        if (response && !response.success) {
+          this._logDebug(`delete - ${node.id.substring(0, 8)}... refused: ${response.error}`);
+        }
+        return Boolean(response?.success);
+      })
+    );
+    return results.some(Boolean);
+  }
+
+  /**
+   * Check that this node may delete a key, write the tombstone locally and
+   * build the DELETE message. Without a local copy, the current version is
+   * looked up first so that the tombstone supersedes it.
+   * @param {string} key - Key to delete
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @return {Promise<Object|null>} { keyHashHex, message }, or null if the
+   *   record cannot be deleted by this node
+   * @private
+   */
+  async _prepareLocalDelete(key, options = {}) {
+    const keyStr = String(key);
+    const keyHashHex = /^[a-fA-F0-9]{40}$/.test(keyStr)
+      ? keyStr
+      : bufferToHex(await sha1(keyStr));
+    this._logDebug(`delete - Attempting to delete key: ${keyStr}, hash: ${keyHashHex}`);
+
+    const stored = this.storage.get(keyHashHex);
+    let current = stored && !this._isExpired(stored) ? stored : null;
+    if (!current) {
+      const { values } = await this._lookup(keyHashHex, {
+        findValue: true,
+        timeout: options.timeout,
+        signal: options.signal,
+      });
+      for (const result of values) {
+        if (this._isExpired(result) || (current && result.seq <= current.seq)) continue;
+        if (await this._verifyLookupResult(keyStr, keyHashHex, result)) current = result;
+      }
+    }
+
+    const space =
+      current?.meta?.space ||
+      this._ownedSpaceForKey(keyStr) ||
+      (keyStr.startsWith("frozen:") ? "frozen" : "public");
+    if (space === "frozen" || space === IMMUTABLE_SPACE) {
+      this._logDebug(`delete - Records in the ${space} space cannot be deleted: ${keyStr}`);
+      return null;
+    }
+    const owner = current?.meta?.owner ?? keyStr.split(":")[1];
+    if (OWNED_SPACES.has(space) && owner !== this.ownerId) {
+      this._logDebug(`delete - Not the owner of key: ${keyStr}`);
+      return null;
+    }
+
+    const timestamp = Date.now();
+    const expiresAt = timestamp + this.TOMBSTONE_TTL;
+    const seq = (current ? this._recordSeq(current) : 0) + 1;
+    const meta = OWNED_SPACES.has(space)
+      ? await signRecord(
+          { key: keyHashHex, value: null, meta: { space, owner: this.ownerId }, expiresAt, seq },
+          this.keyPair
+        )
+      : null;
+
+    this.storage.set(keyHashHex, {
+      value: null,
+      tombstone: true,
+      timestamp,
+      replicatedTo: new Set(),
+      expiresAt,
+      seq,
+      ...(meta ? { meta } : {}),
+      published: true,
+      publishedAt: timestamp,
+    });
+    this.storageTimestamps.set(keyHashHex, timestamp);
+    this.keyMapping.set(
+      keyHashHex,
+      keyStr === keyHashHex ? this.keyMapping.get(keyHashHex) || keyStr : keyStr
+    );
+    await this._persistRecord(keyHashHex);
+    this._notifyWatchers(keyHashHex, "delete");
+
+    return {
+      keyHashHex,
+      message: {
+        type: "DELETE",
+        sender: this.nodeIdHex,
+        key: keyHashHex,
+        expiresAt,
+        seq,
+        ...(meta ? { meta } : {}),
+        publishedAt: timestamp,
+      },
+    };
+  }
+
+
+  /**
+   * Store several values at once. Keys are grouped by their closest nodes,
+   * which are found with one lookup per group rather than one per key, and
+   * each node receives its records in STORE_BATCH messages.
+   * @param {Array<[string, any]>|Object} entries - [key, value] pairs, or an
+   *   object mapping keys to values
+   * @param {Object} [options] - Put options
+   * @param {number} [options.ttl] - Time to live in ms, for every record
+   * @param {number} [options.expiresAt] - Absolute expiry timestamp (ms),
+   *   for every record
+   * @param {number} [options.timeout] - Per-request timeout in ms
+   * @param {AbortSignal} [options.signal] - Aborts the network requests
+   * @return {Promise<Map<string, boolean>>} Success flag by key; invalid
+   *   entries (e.g. values that are too large) fail without throwing
+   */
+  async putMany(entries, options = {}) {
+    const pairs = Array.isArray(entries) ? entries : Object.entries(entries);
+    const requestOptions = { timeout: options.timeout, signal: options.signal };
+    const results = new Map();
+    const prepared = new Map(); // keyHashHex -> { key, message, rollback, stored }
+
+    for (const [key, value] of pairs) {
+      try {
+        const item = await this._prepareLocalPut(key, value, {
+          ttl: options.ttl,
+          expiresAt: options.expiresAt,
+        });
+        // As in put, a write that lost to a newer version is dropped locally
+        const written = this.storage.get(item.keyHashHex);
+        const rollback = () => this._rollbackWrite(item.keyHashHex, written, item.previous);
+        prepared.set(item.keyHashHex, { key, message: item.message, rollback, stored: 0 });
+      } catch (err) {
+        this._logDebug(`putMany - Skipping key ${key}: ${err.message}`);
+        results.set(key, false);
+      }
+    }
+
+    const closest = await this._closestNodesForKeys(Array.from(prepared.keys()), requestOptions);
+    const byNode = this._groupKeysByNode(closest);
+    this._logDebug(`putMany - Storing ${prepared.size} records at ${byNode.size} nodes`);
+
+    await Promise.all(
+      Array.from(byNode.entries()).map(async ([nodeId, keyHashes]) => {
+        const stored = await this._storeBatchAt(
+          nodeId,
+          new Map(keyHashes.map((keyHashHex) => [keyHashHex, prepared.get(keyHashHex).message])),
+          requestOptions,
+          (keyHashHex) => prepared.get(keyHashHex).rollback()
+        );
+        for (const keyHashHex of stored) prepared.get(keyHashHex).stored++;
+      })
     );
 
-    if (nodes.length === 0) {
-      this._logDebug("put - No nodes found, storing locally only.");
-      return true;
+    for (const [keyHashHex, { key, stored }] of prepared) {
+      // Like put, a record with no nodes to go to is stored locally only
+      results.set(key, stored > 0 || closest.get(keyHashHex).length === 0);
     }
+    return results;
+  }
 
-    // Send STORE to all K closest nodes
-    const promises = nodes.map(async (node) => {
-      const peer = this.peers.get(node.id);
-      if (!peer || !peer.connected) {
-        this._logDebug("put - Peer not connected:", node.id);
-        return false;
+  /**
+   * Get several values at once. Keys are grouped by their closest nodes and
+   * each node is asked for its keys in FIND_VALUE_BATCH messages. As with
+   * get, the version with the highest sequence number wins.
+   * @param {string[]} keys - Keys to look up
+   * @param {Object} [options] - Lookup options
+   * @param {boolean} [options.immutable] - Only accept content-addressed
+   *   records (see getImmutable)
+   * @param {number} [options.timeout] - Per-request timeout in ms
+   * @param {AbortSignal} [options.signal] - Aborts the lookups
+   * @return {Promise<Map<string, any>>} Value by key, null if not found
+   */
+  async getMany(keys, options = {}) {
+    const requestOptions = { timeout: options.timeout, signal: options.signal };
+    const lookups = new Map(); // keyHashHex -> { keys, local, results }
+
+    for (const key of keys) {
+      const keyHashHex = /^[a-fA-F0-9]{40}$/.test(key)
+        ? key
+        : bufferToHex(await sha1(key));
+      const lookup = lookups.get(keyHashHex);
+      if (lookup) {
+        lookup.keys.push(key);
+        continue;
       }
+      const local = await this._readLocalRecord(key, keyHashHex, options);
+      lookups.set(keyHashHex, { keys: [key], local, results: [] });
+    }
 
-      return new Promise((resolve) => {
-        const timeout = setTimeout(() => {
-          this._logDebug("put - STORE timeout for peer:", node.id);
-          resolve(false);
-        }, 5000);
+    const collect = (nodeId, record) => {
+      const lookup = lookups.get(record?.key);
+      if (!lookup || record.value === undefined) return;
+      lookup.results.push({
+        from: nodeId,
+        value: record.value,
+        meta: record.meta || null,
+        expiresAt: typeof record.expiresAt === "number" ? record.expiresAt : null,
+        seq: this._recordSeq(record),
+        publishedAt: this._publishedAtOf(record),
+        tombstone: record.tombstone === true,
+      });
+    };
 
-        const responseHandler = (message, sender) => {
-          if (
-            sender !== node.id ||
-            message.type !== "STORE_RESPONSE" ||
-            message.key !== keyStr
-          ) {
-            return;
+    const closest = await this._closestNodesForKeys(Array.from(lookups.keys()), requestOptions);
+    const byNode = this._groupKeysByNode(closest);
+    this._logDebug(`getMany - Querying ${byNode.size} nodes for ${lookups.size} keys`);
+
+    await Promise.all(
+      Array.from(byNode.entries()).map(async ([nodeId, keyHashes]) => {
+        if (!this._peerSupports(nodeId, "FIND_VALUE_BATCH")) {
+          for (const keyHashHex of keyHashes) {
+            const response = await this._request(
+              nodeId,
+              { type: "FIND_VALUE", sender: this.nodeIdHex, owner: this.ownerId, key: keyHashHex },
+              requestOptions
+            );
+            if (response) collect(nodeId, { ...response, key: keyHashHex });
           }
-          clearTimeout(timeout);
-          peer.removeListener("message", responseHandler);
-
-          if (message.success) {
-            // Track successful replication
-            const stored = this.storage.get(keyHashHex);
-            if (stored) {
-              stored.replicatedTo.add(node.id);
+          return;
+        }
+        for (const chunk of this._chunkBatch(keyHashes)) {
+          // Values that did not fit in one response come back as `pending`
+          let pending = chunk;
+          while (pending.length > 0) {
+            const response = await this._request(
+              nodeId,
+              { type: "FIND_VALUE_BATCH", sender: this.nodeIdHex, owner: this.ownerId, keys: pending },
+              requestOptions
+            );
+            if (!response || !Array.isArray(response.results)) break;
+            for (const record of response.results) {
+              if (pending.includes(record?.key)) collect(nodeId, record);
             }
+            const next = Array.isArray(response.pending)
+              ? pending.filter((keyHashHex) => response.pending.includes(keyHashHex))
+              : [];
+            if (next.length >= pending.length) break;
+            pending = next;
           }
-
-          this._logDebug(
-            "put - STORE response from peer:",
-            node.id,
-            "success:",
-            message.success
-          );
-          resolve(message.success);
-        };
-
-        peer.on("message", responseHandler);
-        this._logDebug("put - Sending STORE to peer:", node.id, "key:", keyStr);
-        peer.send({
-          type: "STORE",
-          sender: this.nodeIdHex,
-          key: keyStr,
-          value: value,
-        });
-      });
-    });
-
-    const results = await Promise.all(promises);
-    const successCount = results.filter(Boolean).length;
-    this._logDebug(
-      "put - STORE operation completed. Success count:",
-      successCount,
-      "out of",
-      nodes.length
+        }
+      })
     );
-    return successCount > 0;
+
+    const values = new Map();
+    for (const [keyHashHex, { keys: originals, local, results }] of lookups) {
+      const { value } = await this._resolveGetResults(
+        originals[0],
+        keyHashHex,
+        results,
+        local,
+        options
+      );
+      for (const key of originals) values.set(key, value);
+    }
+    return values;
   }
 
   /**
-   * Get a value from the DHT
-   * @param {string} key - Key to look up
-   * @return {Promise<any>} Retrieved value
+   * Delete several values at once. Like delete, each key gets a tombstone;
+   * keys are grouped by their closest nodes, which receive their tombstones
+   * in DELETE_BATCH messages.
+   * @param {string[]} keys - Keys to delete
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Per-request timeout in ms
+   * @param {AbortSignal} [options.signal] - Aborts the network requests
+   * @return {Promise<Map<string, boolean>>} Success flag by key (see delete)
    */
-  async get(key) {
-    // Hash the key unless it's already a hash
-    const keyHashHex = /^[a-fA-F0-9]{40}$/.test(key)
-      ? key
-      : bufferToHex(await sha1(key));
-
-    this._logDebug(`get - Looking up key: ${key}, hash: ${keyHashHex}`);
-
-    // Check local storage first
-    if (this.storage.has(keyHashHex)) {
-      const storedData = this.storage.get(keyHashHex);
-      // Return just the value, not the metadata
-      if (storedData.value !== undefined) {
-        this._logDebug(`get - Found value in local storage for key: ${key}`);
-        return storedData.value;
-      } else {
-        this._logDebug(`get - Found undefined value in local storage for key: ${key}, removing invalid entry`);
-        // Remove invalid entry
-        this.storage.delete(keyHashHex);
-        this.storageTimestamps.delete(keyHashHex);
-        this.keyMapping.delete(keyHashHex); // Clean up key mapping
-        await this._persistRecord(keyHashHex);
-      }
+  async deleteMany(keys, options = {}) {
+    const requestOptions = { timeout: options.timeout, signal: options.signal };
+    const results = new Map();
+    const prepared = new Map(); // keyHashHex -> { key, message, stored }
+
+    for (const key of keys) {
+      results.set(key, false);
+      const item = await this._prepareLocalDelete(key, requestOptions);
+      if (item) prepared.set(item.keyHashHex, { key, message: item.message, stored: 0 });
     }
 
-    this._logDebug(`get - Value not found locally, querying DHT for key: ${key}`);
-
-    // Find closest nodes to the key
-    const keyBuffer = hexToBuffer(keyHashHex);
-    let closestNodes = [];
+    const closest = await this._closestNodesForKeys(Array.from(prepared.keys()), requestOptions);
+    const byNode = this._groupKeysByNode(closest);
+    this._logDebug(`deleteMany - Sending ${prepared.size} tombstones to ${byNode.size} nodes`);
+
+    await Promise.all(
+      Array.from(byNode.entries()).map(async ([nodeId, keyHashes]) => {
+        if (!this._peerSupports(nodeId, "DELETE_BATCH")) {
+          for (const keyHashHex of keyHashes) {
+            const item = prepared.get(keyHashHex);
+            const response = await this._request(nodeId, item.message, requestOptions);
+            if (response?.success) item.stored++;
+          }
+          return;
+        }
+        for (const chunk of this._chunkBatch(keyHashes)) {
+          const response = await this._request(
+            nodeId,
+            {
+              type: "DELETE_BATCH",
+              sender: this.nodeIdHex,
+              records: chunk.map((keyHashHex) => {
+                const { type, sender, ...record } = prepared.get(keyHashHex).message;
+                return record;
+              }),
+            },
+            requestOptions
+          );
+          if (!response || !Array.isArray(response.results)) continue;
+          chunk.forEach((keyHashHex, i) => {
+            if (response.results[i]?.success) prepared.get(keyHashHex).stored++;
+          });
+        }
+      })
+    );
 
-    for (let i = 0; i < this.BUCKET_COUNT; i++) {
-      closestNodes = closestNodes.concat(this.buckets[i].nodes);
+    for (const [keyHashHex, { key, stored }] of prepared) {
+      results.set(key, stored > 0 || closest.get(keyHashHex).length === 0);
     }
+    return results;
+  }
 
-    closestNodes = closestNodes
-      .filter((n) => {
-        const nIdHex = typeof n.id === "string" ? n.id : bufferToHex(n.id);
-        return nIdHex !== this.nodeIdHex && this.peers.has(nIdHex);
-      })
-      .sort((a, b) => {
-        const distA = distance(a.id, keyBuffer);
-        const distB = distance(b.id, keyBuffer);
-        return compareBuffers(distA, distB);
-      })
-      .slice(0, this.K);
-
-    this._logDebug(`get - Found ${closestNodes.length} nodes to query for key: ${key}`);
 
-    // Query nodes in parallel with timeout
-    const queryNode = async (node) => {
-      const nodeIdHex =
-        typeof node.id === "string" ? node.id : bufferToHex(node.id);
-      const peer = this.peers.get(nodeIdHex);
+  /**
+   * List the records this node originally published and keeps republishing.
+   * Deleting a record, or a newer version written by another node, takes it
+   * off the list.
+   * @return {Array<{key: string, hash: string, seq: number, publishedAt: number, expiresAt: number|null}>}
+   *   Published records
+   */
+  getPublished() {
+    const published = [];
+    for (const [keyHashHex, stored] of this.storage.entries()) {
+      if (!stored.published || stored.tombstone || this._isExpired(stored)) continue;
+      published.push({
+        key: this.keyMapping.get(keyHashHex) || keyHashHex,
+        hash: keyHashHex,
+        seq: this._recordSeq(stored),
+        publishedAt: stored.publishedAt,
+        expiresAt: stored.expiresAt ?? null,
+      });
+    }
+    return published;
+  }
 
-      if (!peer || !peer.connected) {
-        this._logDebug(`get - Peer ${nodeIdHex.substring(0, 8)}... not connected, skipping`);
-        return null;
+  /**
+   * Send STORE messages to one node, in STORE_BATCH messages when it
+   * supports them, and record which replicas accepted them
+   * @param {string} nodeId - Target node
+   * @param {Map<string, Object>} messages - STORE message by hashed key
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @param {Function} [onStale] - Called (and awaited) with the hashed key
+   *   of each record the node refuses because it holds a newer version
+   * @return {Promise<string[]>} Hashed keys the node stored
+   * @private
+   */
+  async _storeBatchAt(nodeId, messages, options = {}, onStale = null) {
+    const accepted = Array.from(messages.keys()).filter((keyHashHex) =>
+      this._peerAcceptsStore(nodeId, messages.get(keyHashHex))
+    );
+    const stored = [];
+    if (!this._peerSupports(nodeId, "STORE_BATCH")) {
+      for (const keyHashHex of accepted) {
+        const [ok] = await this._storeAt(
+          [{ id: nodeId }],
+          keyHashHex,
+          messages.get(keyHashHex),
+          options,
+          onStale && (() => onStale(keyHashHex))
+        );
+        if (ok) stored.push(keyHashHex);
       }
-
-      this._logDebug(`get - Querying peer ${nodeIdHex.substring(0, 8)}... for key: ${key}`);
-
-      return new Promise((resolve) => {
-        const timeout = setTimeout(() => {
-          this._logDebug(`get - Timeout querying peer ${nodeIdHex.substring(0, 8)}... for key: ${key}`);
-          resolve(null);
-        }, 5000); // 5s timeout
-
-        const messageHandler = (msg) => {
-          if (msg.type === "FIND_VALUE_RESPONSE" && msg.key === keyHashHex) {
-            clearTimeout(timeout);
-            peer.removeListener("message", messageHandler);
-            
-            if (msg.value === undefined) {
-              this._logDebug(`get - Peer ${nodeIdHex.substring(0, 8)}... returned undefined for key: ${key}`);
-              resolve(null);
-            } else {
-              this._logDebug(`get - Peer ${nodeIdHex.substring(0, 8)}... returned value for key: ${key}`);
-              resolve(msg.value);
-            }
-          }
-        };
-
-        peer.on("message", messageHandler);
-        peer.send({
-          type: "FIND_VALUE",
+      return stored;
+    }
+    const chunks = this._chunkBatch(accepted, (keyHashHex) =>
+      valueByteLength(messages.get(keyHashHex).value)
+    );
+    for (const chunk of chunks) {
+      const response = await this._request(
+        nodeId,
+        {
+          type: "STORE_BATCH",
           sender: this.nodeIdHex,
-          key: keyHashHex,
-        });
-      });
-    };
-
-    // Query nodes in parallel
-    const results = await Promise.all(closestNodes.map(queryNode));
-
-    // Return first non-null result
-    for (const result of results) {
-      if (result !== null && result !== undefined) {
-        // Store result locally for future use with metadata structure
-        const timestamp = Date.now();
-        this._logDebug(`get - Found value for key: ${key}, storing locally`);
-        this.storage.set(keyHashHex, {
-          value: result,
-          timestamp,
-          replicatedTo: new Set(),
-        });
-        this.storageTimestamps.set(keyHashHex, timestamp);
-        this.keyMapping.set(keyHashHex, key); // Store original key name
-        await this._persistRecord(keyHashHex);
-        return result;
+          records: chunk.map((keyHashHex) => {
+            const { type, sender, ...record } = messages.get(keyHashHex);
+            return record;
+          }),
+        },
+        options
+      );
+      if (!response || !Array.isArray(response.results)) {
+        this._logDebug(`STORE_BATCH to ${nodeId.substring(0, 8)}... failed`);
+        continue;
+      }
+      for (const [i, keyHashHex] of chunk.entries()) {
+        const result = response.results[i];
+        if (result?.success) {
+          stored.push(keyHashHex);
+          this.storage.get(keyHashHex)?.replicatedTo.add(nodeId);
+        } else if (result?.error === STALE_SEQ && onStale) {
+          await onStale(keyHashHex);
+        }
       }
     }
-
-    this._logDebug(`get - No value found for key: ${key} in DHT`);
-    return null;
+    return stored;
   }
 
   /**
-   * Delete a value from the DHT
-   * @param {string} key - Key to delete
-   * @return {Promise<boolean>} True if deletion was successful
+   * Find the K closest nodes of many keys with few lookups. Keys sharing
+   * a prefix long enough to fall in the same neighbourhood (judging by the
+   * size of our routing table) share one lookup; each key then gets the K
+   * closest of all the nodes found.
+   * @param {string[]} keyHashes - Hashed keys
+   * @param {Object} [options] - Request options ({ timeout, signal })
+   * @return {Promise<Map<string, Array<{id: string, reputation: number}>>>}
+   *   Closest nodes by key
+   * @private
    */
-  async delete(key) {
-    // Hash the key unless it's already a hash
-    const keyHashHex = /^[a-fA-F0-9]{40}$/.test(key)
-      ? key
-      : bufferToHex(await sha1(key));
-
-    this._logDebug(`delete - Attempting to delete key: ${key}, hash: ${keyHashHex}`);
-
-    // Remove from local storage
-    const existed = this.storage.has(keyHashHex);
-    this.storage.delete(keyHashHex);
-    this.storageTimestamps.delete(keyHashHex);
-    this.keyMapping.delete(keyHashHex);
-
-    // Persist deletion
-    await this._persistRecord(keyHashHex);
-
-    // Notify K closest nodes to delete this key
-    const keyBuffer = hexToBuffer(keyHashHex);
-    let closestNodes = [];
-
+  async _closestNodesForKeys(keyHashes, options = {}) {
+    const known = new Set(this.peers.keys());
     for (let i = 0; i < this.BUCKET_COUNT; i++) {
-      closestNodes = closestNodes.concat(this.buckets[i].nodes);
+      for (const node of this.buckets[i].nodes) {
+        known.add(typeof node.id === "string" ? node.id : bufferToHex(node.id));
+      }
     }
+    known.delete(this.nodeIdHex);
+    const prefixBits = Math.min(
+      32,
+      Math.max(0, Math.floor(Math.log2(known.size / this.K)))
+    );
 
-    closestNodes = closestNodes
-      .filter((n) => {
-        const nIdHex = typeof n.id === "string" ? n.id : bufferToHex(n.id);
-        return nIdHex !== this.nodeIdHex && this.peers.has(nIdHex);
-      })
-      .sort((a, b) => {
-        const distA = distance(a.id, keyBuffer);
-        const distB = distance(b.id, keyBuffer);
-        return compareBuffers(distA, distB);
-      })
-      .slice(0, this.K);
+    const groups = new Map(); // key prefix -> representative key
+    for (const keyHashHex of keyHashes) {
+      const prefix =
+        prefixBits === 0 ? 0 : parseInt(keyHashHex.slice(0, 8), 16) >>> (32 - prefixBits);
+      if (!groups.has(prefix)) groups.set(prefix, keyHashHex);
+    }
 
-    this._logDebug(`delete - Notifying ${closestNodes.length} nodes to delete key: ${key}`);
+    const found = await this._mapWithConcurrency(
+      Array.from(groups.values()),
+      this.ALPHA,
+      (keyHashHex) => this.findNode(keyHashHex, options)
+    );
+    const candidates = new Set();
+    for (const nodes of found) {
+      for (const node of nodes) candidates.add(node.id);
+    }
+    for (const id of known) {
+      if (this._routeTo(id) && this.reputation.score(id) >= this.MIN_REPUTATION) {
+        candidates.add(id);
+      }
+    }
 
-    // Send DELETE message to all K closest nodes
-    closestNodes.forEach((node) => {
-      const nodeIdHex = typeof node.id === "string" ? node.id : bufferToHex(node.id);
-      const peer = this.peers.get(nodeIdHex);
+    const closest = new Map();
+    for (const keyHashHex of keyHashes) {
+      const target = hexToBuffer(keyHashHex);
+      closest.set(
+        keyHashHex,
+        Array.from(candidates)
+          .sort((a, b) => compareBuffers(distance(a, target), distance(b, target)))
+          .slice(0, this.K)
+          .map((id) => ({ id, reputation: this.reputation.score(id) }))
+      );
+    }
+    return closest;
+  }
 
-      if (peer && peer.connected) {
-        peer.send({
-          type: "DELETE",
-          sender: this.nodeIdHex,
-          key: keyHashHex,
-        });
+  /**
+   * Invert a map of key -> nodes into node ID -> keys
+   * @param {Map<string, Array<{id: string}>>} closest - Nodes by key
+   * @return {Map<string, string[]>} Keys by node ID
+   * @private
+   */
+  _groupKeysByNode(closest) {
+    const byNode = new Map();
+    for (const [keyHashHex, nodes] of closest) {
+      for (const node of nodes) {
+        if (!byNode.has(node.id)) byNode.set(node.id, []);
+        byNode.get(node.id).push(keyHashHex);
       }
-    });
-
-    if (existed) {
-      this._logDebug(`delete - Successfully deleted key: ${key}`);
-    } else {
-      this._logDebug(`delete - Key not found in storage: ${key}`);
     }
+    return byNode;
+  }
 
-    return existed;
+  /**
+   * Split items into batches of at most MAX_BATCH_SIZE items and, when
+   * sized, MAX_VALUE_SIZE bytes. An oversized item gets a batch of its own.
+   * @param {Array} items - Items to split
+   * @param {Function} [sizeOf] - Byte size of an item
+   * @return {Array<Array>} Batches
+   * @private
+   */
+  _chunkBatch(items, sizeOf = () => 0) {
+    const batches = [];
+    let batch = [];
+    let bytes = 0;
+    for (const item of items) {
+      const size = sizeOf(item);
+      if (
+        batch.length > 0 &&
+        (batch.length >= MAX_BATCH_SIZE || bytes + size > this.MAX_VALUE_SIZE)
+      ) {
+        batches.push(batch);
+        batch = [];
+        bytes = 0;
+      }
+      batch.push(item);
+      bytes += size;
+    }
+    if (batch.length > 0) batches.push(batch);
+    return batches;
   }
 
   /**
-   * Update a value in the DHT (shorthand for put with existing TTL)
+   * Update a value in the DHT (shorthand for put with existing expiry)
    * @param {string} key - Key to update
    * @param {any} value - New value
    * @return {Promise<boolean>} True if update was successful
@@ -2644,10 +6278,10 @@ class DHT extends EventEmitter {
       : bufferToHex(await sha1(key));
 
     const existingRecord = this.storage.get(keyHashHex);
-    const existingTtl = existingRecord?.ttl || null;
+    const expiresAt = existingRecord?.expiresAt ?? null;
 
     // Use put() which handles replication
-    const result = await this.put(key, value);
+    const result = await this.put(key, value, expiresAt ? { expiresAt } : {});
 
     if (result) {
       this._logDebug(`update - Successfully updated key: ${key}`);
@@ -2669,163 +6303,354 @@ class DHT extends EventEmitter {
       : bufferToHex(await sha1(key));
 
     // Check local storage first
-    if (this.storage.has(keyHashHex)) {
-      return this.storage.get(keyHashHex).value !== undefined;
+    const stored = this.storage.get(keyHashHex);
+    if (stored && !this._isExpired(stored)) {
+      return stored.value !== undefined;
+    }
+
+    // Try to get from DHT
+    const value = await this.get(key);
+    return value !== null && value !== undefined;
+  }
+
+  /**
+   * Get all keys currently stored
+   * @return {Promise<string[]>} Array of original key names
+   */
+  async keys() {
+    const allKeys = [];
+    for (const [keyHashHex, storedData] of this.storage.entries()) {
+      if (storedData.value !== undefined && !this._isExpired(storedData)) {
+        const originalKey = this.keyMapping.get(keyHashHex) || keyHashHex;
+        allKeys.push(originalKey);
+      }
+    }
+    return allKeys;
+  }
+
+  /**
+   * Get all key-value pairs currently stored
+   * @return {Promise<Object>} Object with all key-value pairs
+   */
+  async entries() {
+    const allEntries = {};
+    for (const [keyHashHex, storedData] of this.storage.entries()) {
+      if (storedData.value !== undefined && !this._isExpired(storedData)) {
+        const originalKey = this.keyMapping.get(keyHashHex) || keyHashHex;
+        allEntries[originalKey] = storedData.value;
+      }
+    }
+    return allEntries;
+  }
+
+  /**
+   * Clear all data from local storage (doesn't affect network)
+   * @return {Promise<void>}
+   */
+  async clear() {
+    this._logDebug('clear - Clearing all local storage');
+    const keysToDelete = Array.from(this.storage.keys());
+    
+    this.storage.clear();
+    this.storageTimestamps.clear();
+    this.keyMapping.clear();
+
+    // Clear from the storage backend
+    for (const keyHashHex of keysToDelete) {
+      await this.store.delete(STORES.RECORDS, keyHashHex);
+    }
+  }
+  
+  /**
+   * Anti-entropy: reconcile the records we share with each connected
+   * neighbour (see _syncWithPeer)
+   * @return {Promise<void>}
+   * @private
+   */
+  async _syncReplicas() {
+    this._logDebug("Starting replica sync...");
+    const peerIds = Array.from(this.peers.entries())
+      .filter(([id, peer]) => peer.connected && this.nodeIdHex < id)
+      .map(([id]) => id);
+    await this._mapWithConcurrency(peerIds, this.ALPHA, (peerId) =>
+      this._syncWithPeer(peerId)
+    );
+  }
+
+  /**
+   * Reconcile the records we share with a neighbour. Both sides summarize
+   * their shared records as hashes of key ranges (hex prefixes); ranges
+   * whose hashes differ are split 16 ways until they are small enough to
+   * compare key by key, and only records missing or outdated on one side
+   * are then sent, each way.
+   * @param {string} peerId - Connected peer ID
+   * @return {Promise<void>}
+   * @private
+   */
+  async _syncWithPeer(peerId) {
+    if (!this.peers.get(peerId)?.connected || !this._peerSupports(peerId, "SYNC")) {
+      return;
+    }
+    const records = this._sharedRecords(peerId);
+    const snapshot = { records, keys: Array.from(records.keys()), summaries: new Map() };
+    let prefixes = [""];
+    let transferred = 0;
+
+    while (prefixes.length > 0) {
+      const next = [];
+      for (const batch of this._chunkBatch(prefixes)) {
+        const ours = await this._rangeSummaries(snapshot, batch);
+        const response = await this._request(peerId, {
+          type: "SYNC",
+          sender: this.nodeIdHex,
+          ranges: ours,
+        });
+        if (!response || !Array.isArray(response.ranges)) return;
+
+        for (const theirs of response.ranges) {
+          const range = ours.find((r) => r.prefix === theirs?.prefix);
+          if (!range) continue;
+          if (
+            Math.max(range.count, theirs.count) <= SYNC_LEAF_SIZE ||
+            range.prefix.length >= 40
+          ) {
+            const sent = await this._syncRangeKeys(peerId, snapshot, range.prefix);
+            // A peer that stops answering (e.g. rate limiting us) is left
+            // alone until the next round
+            if (sent === null) return;
+            transferred += sent;
+          } else {
+            for (const digit of "0123456789abcdef") next.push(range.prefix + digit);
+          }
+        }
+      }
+      prefixes = next;
+    }
+
+    this._logDebug(
+      `Synced ${records.size} shared records with ${peerId.substring(0, 8)}..., ${transferred} sent`
+    );
+  }
+
+  /**
+   * Compare one small key range with a neighbour key by key, send the
+   * records it lacks or holds older versions of; it does the same in return
+   * @param {string} peerId - Peer ID
+   * @param {Object} snapshot - Our shared records (see _syncSnapshot)
+   * @param {string} prefix - Hex prefix of the range
+   * @return {Promise<number|null>} Number of records sent, or null if the
+   *   peer did not answer
+   * @private
+   */
+  async _syncRangeKeys(peerId, snapshot, prefix) {
+    const { records, keys } = snapshot;
+    const entries = this._keysInRange(keys, prefix).map((keyHashHex) => [
+      keyHashHex,
+      records.get(keyHashHex),
+    ]);
+    const response = await this._request(peerId, {
+      type: "SYNC_KEYS",
+      sender: this.nodeIdHex,
+      prefix,
+      entries,
+    });
+    if (!response || !Array.isArray(response.want)) return null;
+    const wanted = response.want.filter((keyHashHex) => records.has(keyHashHex));
+    return (await this._pushRecords(peerId, wanted)).length;
+  }
+
+  /**
+   * Send our copies of records to a neighbour
+   * @param {string} peerId - Peer ID
+   * @param {string[]} keyHashes - Hashed keys
+   * @return {Promise<string[]>} Hashed keys the peer stored
+   * @private
+   */
+  async _pushRecords(peerId, keyHashes) {
+    const messages = new Map();
+    for (const keyHashHex of keyHashes) {
+      const stored = this.storage.get(keyHashHex);
+      if (!stored || this._isExpired(stored)) continue;
+      if (!(await this._isRecordAuthentic(keyHashHex, stored))) continue;
+      messages.set(keyHashHex, {
+        type: "STORE",
+        sender: this.nodeIdHex,
+        key: this.keyMapping.get(keyHashHex) || keyHashHex,
+        value: stored.value,
+        ...(stored.meta ? { meta: stored.meta } : {}),
+        ...(stored.expiresAt ? { expiresAt: stored.expiresAt } : {}),
+        seq: this._recordSeq(stored),
+        ...(stored.publishedAt ? { publishedAt: stored.publishedAt } : {}),
+        ...(stored.tombstone ? { tombstone: true } : {}),
+      });
     }
-
-    // Try to get from DHT
-    const value = await this.get(key);
-    return value !== null && value !== undefined;
+    if (messages.size === 0) return [];
+    return await this._storeBatchAt(peerId, messages);
   }
 
   /**
-   * Get all keys currently stored
-   * @return {Promise<string[]>} Array of original key names
+   * Get the records we share with a neighbour, for answering its SYNC and
+   * SYNC_KEYS messages. Finding them scans our whole storage, so the result
+   * is reused for SYNC_SNAPSHOT_TTL along with the range hashes computed
+   * from it: a sync round, or a peer repeating its messages, costs one scan.
+   * A write in the meantime is reconciled in the next round.
+   * @param {string} peerId - Peer ID
+   * @param {number} [now] - Current time (ms)
+   * @return {Object} { records, keys, summaries, expiresAt }: shared records
+   *   (see _sharedRecords), their keys in order and the range summaries
+   *   computed so far by prefix
+   * @private
    */
-  async keys() {
-    const allKeys = [];
-    for (const [keyHashHex, storedData] of this.storage.entries()) {
-      if (storedData.value !== undefined) {
-        const originalKey = this.keyMapping.get(keyHashHex) || keyHashHex;
-        allKeys.push(originalKey);
-      }
+  _syncSnapshot(peerId, now = Date.now()) {
+    let snapshot = this._syncSnapshots.get(peerId);
+    if (!snapshot || snapshot.expiresAt <= now) {
+      const records = this._sharedRecords(peerId);
+      snapshot = {
+        records,
+        keys: Array.from(records.keys()),
+        summaries: new Map(),
+        expiresAt: now + SYNC_SNAPSHOT_TTL,
+      };
+      this._syncSnapshots.set(peerId, snapshot);
     }
-    return allKeys;
+    return snapshot;
   }
 
   /**
-   * Get all key-value pairs currently stored
-   * @return {Promise<Object>} Object with all key-value pairs
+   * Get the keys in a key range
+   * @param {string[]} keys - Hashed keys, in order
+   * @param {string} prefix - Hex prefix of the range
+   * @return {string[]} Keys starting with the prefix
+   * @private
    */
-  async entries() {
-    const allEntries = {};
-    for (const [keyHashHex, storedData] of this.storage.entries()) {
-      if (storedData.value !== undefined) {
-        const originalKey = this.keyMapping.get(keyHashHex) || keyHashHex;
-        allEntries[originalKey] = storedData.value;
+  _keysInRange(keys, prefix) {
+    // Keys with the prefix sort from the prefix itself up to the prefix
+    // followed by a character above every hex digit
+    const lowerBound = (bound) => {
+      let low = 0;
+      let high = keys.length;
+      while (low < high) {
+        const mid = (low + high) >>> 1;
+        if (keys[mid] < bound) low = mid + 1;
+        else high = mid;
       }
-    }
-    return allEntries;
+      return low;
+    };
+    return keys.slice(lowerBound(prefix), lowerBound(`${prefix}g`));
   }
 
   /**
-   * Clear all data from local storage (doesn't affect network)
-   * @return {Promise<void>}
+   * Get the records we hold that a neighbour should hold too: unexpired
+   * records whose K closest known nodes include both of us. Each side of a
+   * sync applies the same rule, so their summaries match when they agree on
+   * the neighbourhood and hold the same versions.
+   * @param {string} peerId - Peer ID
+   * @return {Map<string, number>} Sequence number by hashed key, in key order
+   * @private
    */
-  async clear() {
-    this._logDebug('clear - Clearing all local storage');
-    const keysToDelete = Array.from(this.storage.keys());
-    
-    this.storage.clear();
-    this.storageTimestamps.clear();
-    this.keyMapping.clear();
-
-    // Clear from IndexedDB
-    if (isIndexedDbAvailable()) {
-      for (const keyHashHex of keysToDelete) {
-        await idbDelete(IDB_STORES.DHT, keyHashHex);
+  _sharedRecords(peerId) {
+    const contacts = new Set();
+    for (let i = 0; i < this.BUCKET_COUNT; i++) {
+      for (const node of this.buckets[i].nodes) {
+        contacts.add(typeof node.id === "string" ? node.id : bufferToHex(node.id));
       }
     }
-  }
-  
-  _replicateData() {
-    this._logDebug("Starting data replication..."); // Use _logDebug
-    this.storage.forEach(async (storedData, keyHashHex) => {
-      const keyHash = hexToBuffer(keyHashHex);
-      const nodes = await this.findNode(keyHashHex); // Find current K closest
-      const originalKey = this.keyMapping.get(keyHashHex) || keyHashHex; // Get original key name
-      this._logDebug(
-        `Replicating key ${keyHashHex.substring(0, 4)} to ${nodes.length} nodes`
-      ); // Use _logDebug
-      nodes.forEach((node) => {
-        const peer = this.peers.get(node.id);
-        if (peer && peer.connected && node.id !== this.nodeIdHex) {
-          // Don't send to self
-          this._logDebug(
-            `Sending STORE (replication) for ${keyHashHex.substring(
-              0,
-              4
-            )} to ${node.id.substring(0, 4)}`
-          );
-          peer.send({
-            type: "STORE",
-            sender: this.nodeIdHex,
-            key: originalKey, // Use original key name for replication
-            value: storedData.value, // Send only the value, not the metadata
-            ...(storedData.meta ? { meta: storedData.meta } : {}),
-          });
-        }
-      });
-    });
+    for (const [id, peer] of this.peers.entries()) {
+      if (peer.connected) contacts.add(id);
+    }
+    contacts.delete(this.nodeIdHex);
+    contacts.delete(peerId);
+
+    const shared = [];
+    for (const [keyHashHex, stored] of this.storage.entries()) {
+      if (this._isExpired(stored)) continue;
+      const key = hexToBuffer(keyHashHex);
+      const toSelf = distance(this.nodeIdHex, key);
+      const toPeer = distance(peerId, key);
+      // Count the nodes closer to the key than each of us, stopping as soon
+      // as one of us is out of the K closest
+      let closerThanSelf = compareBuffers(toPeer, toSelf) < 0 ? 1 : 0;
+      let closerThanPeer = 1 - closerThanSelf;
+      for (const id of contacts) {
+        if (closerThanSelf >= this.K || closerThanPeer >= this.K) break;
+        const toContact = distance(id, key);
+        if (compareBuffers(toContact, toSelf) < 0) closerThanSelf++;
+        if (compareBuffers(toContact, toPeer) < 0) closerThanPeer++;
+      }
+      if (closerThanSelf < this.K && closerThanPeer < this.K) {
+        shared.push([keyHashHex, this._recordSeq(stored)]);
+      }
+    }
+    return new Map(shared.sort((a, b) => (a[0] < b[0] ? -1 : 1)));
   }
 
   /**
-   * Republish data originally stored by this node
+   * Summarize shared records by key range. Summaries of ranges too large to
+   * compare key by key are kept in the snapshot, so each is hashed once.
+   * @param {Object} snapshot - Shared records (see _syncSnapshot)
+   * @param {string[]} prefixes - Hex prefixes of the ranges
+   * @return {Promise<Array<{prefix: string, count: number, hash: string}>>}
+   *   Record count and hash of the keys and sequence numbers in each range
    * @private
    */
-  _republishData() {
-    this._logDebug("Starting data republication..."); // Use _logDebug
-    this.storage.forEach(async (storedData, keyHashHex) => {
-      const originalKey = this.keyMapping.get(keyHashHex) || keyHashHex; // Get original key name
-      this._logDebug(`Republishing key ${keyHashHex.substring(0, 4)}`);
-      const nodes = await this.findNode(keyHashHex);
-      nodes.forEach((node) => {
-        const peer = this.peers.get(node.id);
-        if (peer && peer.connected && node.id !== this.nodeIdHex) {
-          peer.send({
-            type: "STORE",
-            sender: this.nodeIdHex,
-            key: originalKey, // Use original key name for republication
-            value: storedData.value, // Send only the value, not the metadata
-            ...(storedData.meta ? { meta: storedData.meta } : {}),
-          });
-        }
-      });
-    });
+  async _rangeSummaries(snapshot, prefixes) {
+    const { records, keys, summaries } = snapshot;
+    return await Promise.all(
+      prefixes.map(async (prefix) => {
+        if (summaries.has(prefix)) return summaries.get(prefix);
+        const range = this._keysInRange(keys, prefix);
+        const hash = range.length
+          ? bufferToHex(await sha1(range.map((k) => `${k}:${records.get(k)}`).join(",")))
+          : "";
+        const summary = { prefix, count: range.length, hash };
+        if (range.length > SYNC_LEAF_SIZE) summaries.set(prefix, summary);
+        return summary;
+      })
+    );
   }
 
   /**
-   * Replicate relevant data to a newly connected peer
-   * @param {string} newPeerIdHex - The ID of the newly connected peer
+   * Republish the records this node originally published, so their replicas
+   * (and new closest nodes) keep them. Records we only replicate are left
+   * to their own originators.
+   * @return {Promise<void>}
    * @private
    */
-  async _replicateToNewPeer(newPeerIdHex) {
-    this._logDebug(
-      `Checking replication needs for new peer: ${newPeerIdHex.substring(0, 4)}`
-    ); // Use _logDebug
-    const newPeerIdBuffer = hexToBuffer(newPeerIdHex);
-
-    for (const [keyHashHex, storedData] of this.storage.entries()) {
-      const keyHashBuffer = hexToBuffer(keyHashHex);
-      const closestNodes = await this.findNode(keyHashHex); // Find K closest nodes *now*
-
-      // Check if the new peer is among the K closest for this key
-      const isNewPeerClosest = closestNodes.some(
-        (node) => node.id === newPeerIdHex
-      );
-
-      if (isNewPeerClosest) {
-        const peer = this.peers.get(newPeerIdHex);
-        if (peer && peer.connected) {
-          const originalKey = this.keyMapping.get(keyHashHex) || keyHashHex; // Get original key name
-          this._logDebug(
-            `New peer ${newPeerIdHex.substring(
-              0,
-              4
-            )} is close to key ${keyHashHex.substring(0, 4)}, replicating...`
-          );
-          peer.send({
-            type: "STORE",
-            sender: this.nodeIdHex,
-            key: originalKey, // Use original key name for replication
-            value: storedData.value, // Send only the value, not the metadata
-            ...(storedData.meta ? { meta: storedData.meta } : {}),
-          });
-        }
-      }
+  async _republishData() {
+    const now = Date.now();
+    const messages = new Map();
+    for (const [keyHashHex, stored] of Array.from(this.storage.entries())) {
+      if (!stored.published || this._isExpired(stored, now)) continue;
+      if (!(await this._isRecordAuthentic(keyHashHex, stored))) continue;
+      stored.publishedAt = now;
+      await this._persistRecord(keyHashHex);
+      messages.set(keyHashHex, {
+        type: "STORE",
+        sender: this.nodeIdHex,
+        key: this.keyMapping.get(keyHashHex) || keyHashHex, // Original key name
+        value: stored.value,
+        ...(stored.meta ? { meta: stored.meta } : {}),
+        ...(stored.expiresAt ? { expiresAt: stored.expiresAt } : {}),
+        seq: this._recordSeq(stored),
+        publishedAt: now,
+        ...(stored.tombstone ? { tombstone: true } : {}),
+      });
     }
+    if (messages.size === 0) return;
+    this._logDebug(`Republishing ${messages.size} records`);
+
+    const closest = await this._closestNodesForKeys(Array.from(messages.keys()));
+    await Promise.all(
+      Array.from(this._groupKeysByNode(closest).entries()).map(([nodeId, keyHashes]) =>
+        this._storeBatchAt(
+          nodeId,
+          new Map(keyHashes.map((keyHashHex) => [keyHashHex, messages.get(keyHashHex)]))
+        )
+      )
+    );
   }
 
+
   /**
    * Build a deterministic, namespaced key for a storage space.
    * This is intentionally simple and compatible with existing SHA1 hashing.
@@ -2834,7 +6659,7 @@ class DHT extends EventEmitter {
   _canonicalKeyForSpace(space, key, owner = null) {
     const s = String(space || "public");
     const k = String(key);
-    const o = owner || this.nodeIdHex;
+    const o = owner || this.ownerId;
 
     if (!this.STORAGE_SPACES.has(s)) {
       throw new Error(`Unknown storage space: ${s}`);
@@ -2849,6 +6674,9 @@ class DHT extends EventEmitter {
         return `private:${o}:${k}`;
       case "frozen":
         return `frozen:${k}`;
+      case IMMUTABLE_SPACE:
+        // The key is the content hash and is used as-is
+        return k.toLowerCase();
       default:
         return `public:${k}`;
     }
@@ -2857,27 +6685,55 @@ class DHT extends EventEmitter {
   /**
    * Store a value in a named storage space.
    * - public: readable/writable by anyone
-   * - user: readable/writable only by owner (best-effort)
-   * - private: readable/writable only by owner (best-effort)
+   * - user: writable only by owner (signed), readable by owner (best-effort)
+   * - private: writable only by owner (signed), encrypted to the owner and
+   *   `options.recipients` (epubs), so replicas only ever store ciphertext
    * - frozen: first write wins (immutable)
+   * - immutable: content-addressed, the key must be the hash of the value
+   *   (see putImmutable)
+   *
+   * Owned-space records are signed with this node's key pair and verified by
+   * every replica, so the owner is always `this.ownerId`.
+   * `options.ttl` / `options.expiresAt` set an expiry, `options.seq` /
+   * `options.cas` control versioning and `options.timeout` /
+   * `options.signal` apply to the network requests, as for put().
+   * `options.nodes` skips the lookup when the closest nodes are already
+   * known (putBlob looks them up for all its chunks at once).
    */
   async putInSpace(space, key, value, options = {}) {
-    const owner = options.owner || this.nodeIdHex;
+    const owner = options.owner || this.ownerId;
     const canonicalKey = this._canonicalKeyForSpace(space, key, owner);
 
+    if (OWNED_SPACES.has(String(space)) && owner !== this.ownerId) {
+      throw new Error(`Cannot write to another owner's ${space} space`);
+    }
+
+    if (String(space) === IMMUTABLE_SPACE) {
+      if (!(await verifyImmutableRecord(canonicalKey, value))) {
+        throw new Error("Immutable key must be the content hash of the value");
+      }
+      // Immutable records have exactly one version
+      options = { ...options, seq: 0, cas: undefined };
+    }
+
+    if (String(space) === "private") {
+      const recipients = [this.keyPair.epub, ...(options.recipients || [])];
+      value = await encryptValue(value, recipients);
+    }
+
     // Enforce frozen locally (first write wins)
     if (String(space) === "frozen") {
       const keyHashHex = bufferToHex(await sha1(canonicalKey));
       const existing = this.storage.get(keyHashHex);
-      if (existing && existing.value !== undefined) {
+      if (existing && existing.value !== undefined && !this._isExpired(existing)) {
         const sameValue = (() => {
           try {
             if (existing.value === value) return true;
             const a =
               typeof existing.value === "string"
                 ? existing.value
-                : JSON.stringify(existing.value);
-            const b = typeof value === "string" ? value : JSON.stringify(value);
+                : encodeJson(existing.value);
+            const b = typeof value === "string" ? value : encodeJson(value);
             return a === b;
           } catch {
             return false;
@@ -2890,10 +6746,7 @@ class DHT extends EventEmitter {
     // Use existing put logic but include metadata in the STORE messages.
     // We do this by performing a minimal inline variant here.
     const keySize = Buffer.from(canonicalKey).length;
-    const valueSize =
-      typeof value === "string"
-        ? Buffer.from(value).length
-        : Buffer.from(JSON.stringify(value)).length;
+    const valueSize = valueByteLength(value);
 
     if (keySize > this.MAX_KEY_SIZE) {
       throw new Error(`Key size exceeds maximum (${this.MAX_KEY_SIZE} bytes)`);
@@ -2914,71 +6767,537 @@ class DHT extends EventEmitter {
       }
     }
 
-    const keyHashHex = bufferToHex(await sha1(canonicalKey));
+    const keyHashHex =
+      String(space) === IMMUTABLE_SPACE
+        ? canonicalKey
+        : bufferToHex(await sha1(canonicalKey));
+    const previous = this.storage.get(keyHashHex);
+    if (this._failsLocalCas(previous, options)) return false;
+
     const timestamp = Date.now();
-    const meta = {
+    const expiresAt = this._resolveExpiry(options);
+    const seq = this._nextSeq(keyHashHex, options);
+    const baseMeta = {
       space: String(space || "public"),
       owner,
     };
-
-    this.storage.set(keyHashHex, {
+    const meta = OWNED_SPACES.has(baseMeta.space)
+      ? await signRecord(
+          { key: keyHashHex, value, meta: baseMeta, expiresAt, seq },
+          this.keyPair
+        )
+      : baseMeta;
+
+    const written = {
       value,
       timestamp,
       replicatedTo: new Set(),
+      expiresAt,
+      seq,
       meta,
-    });
+      published: true,
+      publishedAt: timestamp,
+    };
+    this.storage.set(keyHashHex, written);
     this.storageTimestamps.set(keyHashHex, timestamp);
     this.keyMapping.set(keyHashHex, canonicalKey);
     await this._persistRecord(keyHashHex);
+    const rollback = () => this._rollbackWrite(keyHashHex, written, previous);
 
-    const nodes = await this.findNode(keyHashHex);
+    const requestOptions = { timeout: options.timeout, signal: options.signal };
+    const nodes = Array.isArray(options.nodes)
+      ? options.nodes
+      : await this.findNode(keyHashHex, requestOptions);
     if (nodes.length === 0) return true;
 
-    const promises = nodes.map(async (node) => {
-      const peer = this.peers.get(node.id);
-      if (!peer || !peer.connected) return false;
+    const results = await this._storeAt(
+      nodes,
+      keyHashHex,
+      {
+        type: "STORE",
+        sender: this.nodeIdHex,
+        key: canonicalKey,
+        value,
+        meta,
+        ...(expiresAt ? { expiresAt } : {}),
+        seq,
+        publishedAt: timestamp,
+        ...(Number.isInteger(options.cas) ? { cas: options.cas } : {}),
+      },
+      requestOptions,
+      rollback
+    );
+    if (!results.some(Boolean) && Number.isInteger(options.cas)) {
+      await rollback();
+    }
+    return results.some(Boolean);
+  }
+
+  /**
+   * Retrieve a value from a named storage space.
+   * Owned-space values are only returned if signed by `options.owner`.
+   * `private` values are decrypted with this node's key pair; null is
+   * returned if this node is not a recipient.
+   */
+  async getFromSpace(space, key, options = {}) {
+    const owner = options.owner || this.ownerId;
+    const canonicalKey = this._canonicalKeyForSpace(space, key, owner);
+    const value = await this.get(canonicalKey, {
+      immutable: String(space) === IMMUTABLE_SPACE,
+    });
+    if (String(space) !== "private" || value === null) return value;
+
+    if (!isEncryptedValue(value)) {
+      this._logDebug(`getFromSpace - Ignoring unencrypted private value for key: ${canonicalKey}`);
+      return null;
+    }
+    try {
+      return await decryptValue(value, this.keyPair);
+    } catch (err) {
+      this._logDebug(`getFromSpace - Cannot decrypt private value for key: ${canonicalKey}: ${err.message}`);
+      return null;
+    }
+  }
 
-      return new Promise((resolve) => {
-        const timeout = setTimeout(() => resolve(false), 5000);
+  /**
+   * Store a content-addressed immutable value. The key is the SHA1 of the
+   * value's canonical JSON, and every replica checks it before storing or
+   * serving the record, so nobody can squat a key with a different value.
+   * @param {any} value - JSON-serializable value
+   * @param {Object} [options] - Options ({ ttl, expiresAt } as for put())
+   * @return {Promise<string|null>} Content hash to pass to getImmutable, or
+   *   null if no node stored the value
+   */
+  async putImmutable(value, options = {}) {
+    const hash = await immutableKeyForValue(value);
+    const ok = await this.putInSpace(IMMUTABLE_SPACE, hash, value, options);
+    return ok ? hash : null;
+  }
 
-        const responseHandler = (message, sender) => {
-          if (
-            sender !== node.id ||
-            message.type !== "STORE_RESPONSE" ||
-            message.key !== canonicalKey
-          ) {
-            return;
-          }
-          clearTimeout(timeout);
-          peer.removeListener("message", responseHandler);
+  /**
+   * Retrieve an immutable value by its content hash. Responses whose value
+   * does not hash to `hash` are discarded.
+   * @param {string} hash - Content hash returned by putImmutable
+   * @return {Promise<any>} Value, or null if not found
+   */
+  async getImmutable(hash) {
+    if (typeof hash !== "string" || !/^[a-fA-F0-9]{40}$/.test(hash)) {
+      throw new Error("Immutable key must be a 40 character hex hash");
+    }
+    return await this.get(hash.toLowerCase(), { immutable: true });
+  }
 
-          if (message.success) {
-            const stored = this.storage.get(keyHashHex);
-            if (stored) stored.replicatedTo.add(node.id);
-          }
-          resolve(Boolean(message.success));
-        };
+  /**
+   * Store a large binary value. The data is split into chunks that are
+   * stored across the DHT as immutable (content-addressed) records, and a
+   * manifest listing the chunk hashes is written to the `user` space under
+   * `key`.
+   * @param {string} key - Blob key within this node's user space
+   * @param {Uint8Array|ArrayBuffer|string} data - Blob contents
+   * @param {Object} [options] - Options
+   * @param {number} [options.chunkSize] - Chunk size in bytes
+   * @param {string} [options.contentType] - MIME type recorded in the manifest
+   * @param {number} [options.ttl] - Time to live in ms (chunks and manifest)
+   * @param {number} [options.expiresAt] - Absolute expiry timestamp (ms)
+   * @return {Promise<Object>} The stored manifest
+   */
+  async putBlob(key, data, options = {}) {
+    const bytes = this._blobBytes(data);
+    const chunkSize = options.chunkSize || this.BLOB_CHUNK_SIZE;
+    if (Math.ceil(chunkSize / 3) * 4 > this.MAX_VALUE_SIZE) {
+      throw new Error(
+        `Blob chunk size exceeds maximum value size (${this.MAX_VALUE_SIZE} bytes)`
+      );
+    }
+
+    const expiresAt = this._resolveExpiry(options);
+    const chunkOptions = expiresAt ? { expiresAt } : {};
+    const encoded = [];
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+      encoded.push(bytesToBase64(bytes.subarray(offset, offset + chunkSize)));
+    }
+
+    // One lookup per neighbourhood rather than one per chunk
+    const hashes = await Promise.all(encoded.map((chunk) => immutableKeyForValue(chunk)));
+    const closest = await this._closestNodesForKeys(Array.from(new Set(hashes)));
+    const chunks = await this._mapWithConcurrency(
+      encoded,
+      this.ALPHA,
+      (chunk, i) => this.putImmutable(chunk, { ...chunkOptions, nodes: closest.get(hashes[i]) })
+    );
+    if (!chunks.every(Boolean)) {
+      throw new Error(`Failed to store blob chunks for key: ${key}`);
+    }
+
+    const manifest = {
+      type: "blob",
+      size: bytes.length,
+      chunkSize,
+      chunks,
+      ...(options.contentType ? { contentType: String(options.contentType) } : {}),
+    };
+    const ok = await this.putInSpace("user", key, manifest, chunkOptions);
+    if (!ok) {
+      throw new Error(`Failed to store blob manifest for key: ${key}`);
+    }
+    this._logDebug(`putBlob - Stored ${bytes.length} bytes in ${chunks.length} chunks for key: ${key}`);
+    return manifest;
+  }
+
+  /**
+   * Retrieve a blob stored with putBlob. Chunks are fetched in parallel with
+   * getImmutable, which checks them against their content hash. If some chunks cannot be fetched an
+   * error is thrown, but the verified chunks are kept so that calling getBlob
+   * again only fetches the missing ones.
+   * @param {string} key - Blob key
+   * @param {Object} [options] - Options
+   * @param {string} [options.owner] - Owner ID of the blob (defaults to this node)
+   * @param {number} [options.concurrency] - Parallel chunk fetches (default: alpha)
+   * @param {Function} [options.onProgress] - Called with (fetchedChunks, totalChunks)
+   * @return {Promise<Uint8Array|null>} Blob contents, or null if there is no manifest
+   */
+  async getBlob(key, options = {}) {
+    const manifest = await this.getFromSpace("user", key, { owner: options.owner });
+    if (manifest === null) return null;
+    if (!this._isBlobManifest(manifest)) {
+      throw new Error(`Not a blob manifest: ${key}`);
+    }
+
+    // Key partial downloads by content so a re-signed manifest still resumes
+    const downloadId = await sha1(
+      stableStringify({ size: manifest.size, chunks: manifest.chunks })
+    );
+    let received = this._blobDownloads.get(downloadId);
+    if (!received) {
+      received = new Map();
+      this._blobDownloads.set(downloadId, received);
+    }
+
+    const total = manifest.chunks.length;
+    const missing = manifest.chunks
+      .map((hash, index) => ({ hash, index }))
+      .filter(({ index }) => !received.has(index));
+
+    await this._mapWithConcurrency(
+      missing,
+      options.concurrency || this.ALPHA,
+      async ({ hash, index }) => {
+        const chunk = await this.getImmutable(hash);
+        if (typeof chunk !== "string") {
+          this._logDebug(`getBlob - Missing or corrupt chunk ${index} (${hash}) for key: ${key}`);
+          return;
+        }
+        received.set(index, base64ToBytes(chunk));
+        if (typeof options.onProgress === "function") {
+          options.onProgress(received.size, total);
+        }
+      }
+    );
+
+    if (received.size < total) {
+      throw new Error(
+        `Incomplete blob ${key}: fetched ${received.size} of ${total} chunks`
+      );
+    }
+
+    const bytes = new Uint8Array(manifest.size);
+    let offset = 0;
+    for (let i = 0; i < total; i++) {
+      const chunk = received.get(i);
+      if (offset + chunk.length > bytes.length) {
+        throw new Error(`Blob ${key} is larger than its manifest size`);
+      }
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    }
+    this._blobDownloads.delete(downloadId);
+    if (offset !== manifest.size) {
+      throw new Error(`Blob ${key} is smaller than its manifest size`);
+    }
+    return bytes;
+  }
+
+  /**
+   * Normalize blob input to bytes
+   * @param {Uint8Array|ArrayBuffer|string} data - Blob contents
+   * @return {Uint8Array} Bytes
+   * @private
+   */
+  _blobBytes(data) {
+    if (data instanceof Uint8Array) return data;
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (typeof data === "string") return new TextEncoder().encode(data);
+    throw new Error("Blob data must be a Uint8Array, ArrayBuffer or string");
+  }
+
+  /**
+   * Check the shape of a blob manifest
+   * @param {any} manifest - Candidate manifest
+   * @return {boolean} True if valid
+   * @private
+   */
+  _isBlobManifest(manifest) {
+    return (
+      !!manifest &&
+      manifest.type === "blob" &&
+      Number.isInteger(manifest.size) &&
+      manifest.size >= 0 &&
+      Array.isArray(manifest.chunks) &&
+      manifest.chunks.every((hash) => /^[a-f0-9]{40}$/.test(hash))
+    );
+  }
+
+  /**
+   * Run an async function over items with at most `limit` calls in flight
+   * @param {Array} items - Items to process
+   * @param {number} limit - Maximum concurrent calls
+   * @param {Function} fn - Called with (item, index)
+   * @return {Promise<Array>} Results in item order
+   * @private
+   */
+  async _mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+    const workers = Array.from(
+      { length: Math.min(Math.max(1, limit), items.length) },
+      worker
+    );
+    await Promise.all(workers);
+    return results;
+  }
+
+  /**
+   * Resolve a topic name or hex hash to the key provider records live under
+   * @param {string} topicOrHash - Topic name, or a 40-character hex hash
+   * @return {Promise<string>} Hex key
+   * @private
+   */
+  async _providerKey(topicOrHash) {
+    const str = String(topicOrHash);
+    if (/^[a-fA-F0-9]{40}$/.test(str)) return str.toLowerCase();
+    return bufferToHex(await sha1(str));
+  }
+
+  /**
+   * Announce that this node provides a resource. The announcement is stored
+   * on the K closest nodes to the resource key and re-announced while this
+   * node is running, until unannounce is called.
+   * @param {string} topicOrHash - Topic name, or a 40-character hex hash
+   * @param {Object} [options] - Announce options
+   * @param {number} [options.ttl] - Lifetime of the provider record (ms)
+   * @return {Promise<boolean>} True if at least one node stored the record
+   */
+  async announce(topicOrHash, options = {}) {
+    const keyHashHex = await this._providerKey(topicOrHash);
+    const ttl = Math.min(options.ttl || DEFAULT_PROVIDER_TTL, MAX_PROVIDER_TTL);
+    this._announcements.set(keyHashHex, { ttl, announcedAt: Date.now() });
+    return await this._announceKey(keyHashHex, ttl);
+  }
+
+  /**
+   * Stop re-announcing a resource. Existing provider records expire on
+   * their own.
+   * @param {string} topicOrHash - Topic name, or a 40-character hex hash
+   * @return {Promise<boolean>} True if the resource was being announced
+   */
+  async unannounce(topicOrHash) {
+    const keyHashHex = await this._providerKey(topicOrHash);
+    this._removeProvider(keyHashHex, this.nodeIdHex);
+    return this._announcements.delete(keyHashHex);
+  }
 
-        peer.on("message", responseHandler);
-        peer.send({
-          type: "STORE",
+  /**
+   * Send ADD_PROVIDER for a key to the closest nodes
+   * @param {string} keyHashHex - Resource key
+   * @param {number} ttl - Provider record lifetime (ms)
+   * @return {Promise<boolean>} True if at least one node stored the record
+   * @private
+   */
+  async _announceKey(keyHashHex, ttl) {
+    this._addProvider(keyHashHex, this.nodeIdHex, Date.now() + ttl);
+    const nodes = await this.findNode(keyHashHex);
+    const results = await Promise.all(
+      nodes.map(async (node) => {
+        const response = await this._request(node.id, {
+          type: "ADD_PROVIDER",
           sender: this.nodeIdHex,
-          key: canonicalKey,
-          value,
-          meta,
+          key: keyHashHex,
+          provider: this.nodeIdHex,
+          ttl,
         });
-      });
-    });
-
-    const results = await Promise.all(promises);
+        return Boolean(response?.success);
+      })
+    );
     return results.some(Boolean);
   }
 
-  /** Retrieve a value from a named storage space. */
-  async getFromSpace(space, key, options = {}) {
-    const owner = options.owner || this.nodeIdHex;
-    const canonicalKey = this._canonicalKeyForSpace(space, key, owner);
-    return this.get(canonicalKey);
+  /**
+   * Find nodes that announced they provide a resource
+   * @param {string} topicOrHash - Topic name, or a 40-character hex hash
+   * @param {Object} [options] - Lookup options
+   * @param {number} [options.limit] - Maximum number of providers (default K)
+   * @param {number} [options.timeout] - Per-request timeout (ms)
+   * @param {AbortSignal} [options.signal] - Aborts the lookup
+   * @return {Promise<Object[]>} Providers as { id, expiresAt }
+   */
+  async findProviders(topicOrHash, options = {}) {
+    const keyHashHex = await this._providerKey(topicOrHash);
+    const limit = options.limit || this.K;
+    const found = new Map();
+    const collect = (providers) => {
+      for (const provider of Array.isArray(providers) ? providers : []) {
+        if (
+          !provider ||
+          typeof provider.id !== "string" ||
+          typeof provider.expiresAt !== "number" ||
+          provider.expiresAt <= Date.now()
+        ) {
+          continue;
+        }
+        const known = found.get(provider.id);
+        if (!known || known.expiresAt < provider.expiresAt) {
+          found.set(provider.id, { id: provider.id, expiresAt: provider.expiresAt });
+        }
+      }
+    };
+
+    collect(this._localProviders(keyHashHex));
+    if (found.size < limit) {
+      const requestOptions = { timeout: options.timeout, signal: options.signal };
+      const nodes = await this.findNode(keyHashHex, requestOptions);
+      await Promise.all(
+        nodes.map(async (node) => {
+          const response = await this._request(
+            node.id,
+            { type: "GET_PROVIDERS", sender: this.nodeIdHex, key: keyHashHex },
+            requestOptions
+          );
+          if (response) collect(response.providers);
+        })
+      );
+    }
+
+    return Array.from(found.values()).slice(0, limit);
+  }
+
+  /**
+   * Watch a key: the closest replicas push every change to the record.
+   * Leases are renewed automatically (and moved when the closest replicas
+   * change) until the returned function is called.
+   * @param {string} key - Key to watch
+   * @param {Function} callback - Called with { key, event: "put"|"delete", value, seq, from }
+   * @return {Promise<Function>} Async function that stops this callback
+   */
+  async watch(key, callback) {
+    if (typeof callback !== "function") {
+      throw new Error("Watch callback must be a function");
+    }
+    const keyHashHex = /^[a-fA-F0-9]{40}$/.test(key)
+      ? key.toLowerCase()
+      : bufferToHex(await sha1(key));
+
+    let watch = this._watches.get(keyHashHex);
+    if (!watch) {
+      const stored = this.storage.get(keyHashHex);
+      watch = {
+        key: String(key),
+        callbacks: new Set(),
+        nodes: new Set(),
+        seq: stored && !this._isExpired(stored) ? this._recordSeq(stored) : 0,
+        deleted: false,
+      };
+      this._watches.set(keyHashHex, watch);
+      watch.callbacks.add(callback);
+      await this._registerWatch(keyHashHex);
+    } else {
+      watch.callbacks.add(callback);
+    }
+
+    return async () => {
+      watch.callbacks.delete(callback);
+      if (watch.callbacks.size > 0 || this._watches.get(keyHashHex) !== watch) return;
+      this._watches.delete(keyHashHex);
+      await Promise.all(
+        Array.from(watch.nodes).map((nodeId) =>
+          this._request(nodeId, { type: "UNWATCH", sender: this.nodeIdHex, key: keyHashHex })
+        )
+      );
+    };
+  }
+
+  /**
+   * Compute the ID of a pub/sub topic
+   * @param {string} topic - Topic name
+   * @return {Promise<string>} Hex topic ID
+   * @private
+   */
+  async _topicId(topic) {
+    return bufferToHex(await sha1(`topic:${topic}`));
+  }
+
+  /**
+   * Subscribe to a topic. Subscribers join a multicast tree rooted at the
+   * node closest to the topic ID; publications are sent to the root and
+   * fanned out along the tree. Publications are signed, and `publisher` is
+   * the verified owner ID of the publishing node (its node ID unless that
+   * was overridden).
+   * @param {string} topic - Topic name
+   * @param {Function} handler - Called with (payload, { topic, publisher, id })
+   * @return {Promise<Function>} Async function that removes this handler
+   */
+  async subscribe(topic, handler) {
+    if (typeof handler !== "function") {
+      throw new Error("Topic handler must be a function");
+    }
+    const topicId = await this._topicId(topic);
+    let subscription = this._subscriptions.get(topicId);
+    if (!subscription) {
+      subscription = { topic: String(topic), handlers: new Set() };
+      this._subscriptions.set(topicId, subscription);
+    }
+    subscription.handlers.add(handler);
+
+    const tree = this._topicTree(topicId);
+    if (tree.parent === undefined) await this._joinTopic(topicId);
+
+    return async () => {
+      subscription.handlers.delete(handler);
+      if (subscription.handlers.size === 0 && this._subscriptions.get(topicId) === subscription) {
+        this._subscriptions.delete(topicId);
+        this._leaveTopicIfUnused(topicId);
+      }
+    };
+  }
+
+  /**
+   * Publish a payload to every subscriber of a topic
+   * @param {string} topic - Topic name
+   * @param {any} payload - Payload (same size limit as stored values)
+   * @return {Promise<boolean>} True if the publication reached the topic's tree
+   */
+  async publish(topic, payload) {
+    if (valueByteLength(payload) > this.MAX_VALUE_SIZE) {
+      throw new Error(`Payload size exceeds maximum (${this.MAX_VALUE_SIZE} bytes)`);
+    }
+    const topicId = await this._topicId(topic);
+    const publishedAt = Date.now();
+    const publication = await signPublication(
+      {
+        topic: topicId,
+        id: `${this.nodeIdHex.substring(0, 8)}-${publishedAt.toString(36)}-${(++this._requestCounter).toString(36)}`,
+        publisher: this.ownerId,
+        publishedAt,
+        payload,
+      },
+      this.keyPair
+    );
+    return await this._routePublication(publication);
   }
 
   /**
@@ -1,5 +1,5 @@
 const DB_NAME = 'webdht';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 
 const QUOTA_LEVELS = {
   low: 1 * 1024 * 1024, // 1 MiB
@@ -12,6 +12,7 @@ const QUOTA_STORAGE_KEY = 'webdht.idbQuotaLevel';
 export const IDB_STORES = {
   DHT: 'dht-storage',
   UI: 'ui-storage',
+  STATE: 'dht-state',
 };
 
 let dbPromise = null;
@@ -139,6 +140,28 @@ export async function idbGetAll(storeName) {
   return requestToPromise(req);
 }
 
+export async function idbGet(storeName, key) {
+  const db = await openWebdhtDb();
+  if (!db) return undefined;
+  const tx = db.transaction(storeName, 'readonly');
+  const store = tx.objectStore(storeName);
+  const req = store.get(key);
+  return requestToPromise(req);
+}
+
+export async function idbGetAllEntries(storeName) {
+  const db = await openWebdhtDb();
+  if (!db) return [];
+  const tx = db.transaction(storeName, 'readonly');
+  const store = tx.objectStore(storeName);
+  // Both requests run in one transaction, so keys and values line up
+  const [keys, values] = await Promise.all([
+    requestToPromise(store.getAllKeys()),
+    requestToPromise(store.getAll()),
+  ]);
+  return keys.map((key, i) => [key, values[i]]);
+}
+
 export async function idbSet(storeName, key, value) {
   const db = await openWebdhtDb();
   if (!db) return;
@@ -10,6 +10,7 @@ import DHT from "./dht.js";
 import Peer from "./peer.js";
 import * as utils from "./utils.js";
 import { sha1 as simpleSha1, generateRandomId } from "./sha1.js";
+import { StorageAdapter, MemoryStorage, IndexedDbStorage, FsStorage } from "./storage.js";
 
 // Export the DHT class as the default export
 export default DHT;
@@ -17,6 +18,9 @@ export default DHT;
 // Also export utils and peer for advanced usage
 export { Peer, utils };
 
+// Export storage backends for the `storage` option
+export { StorageAdapter, MemoryStorage, IndexedDbStorage, FsStorage };
+
 // Export SHA1 functions directly for convenience
 export { simpleSha1 as sha1, generateRandomId };
 export const { bufferToHex, hexToBuffer, Buffer } = utils;
\ No newline at end of file
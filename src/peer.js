@@ -5,6 +5,7 @@ import EventEmitter from "./event-emitter.js";
 import { getSimplePeer } from "./peer-factory.js";
 import { ENV, bufferToHex } from "./utils.js";
 import Logger from "./logger.js";
+import { decodeMessage, encodeMessage } from "./codec.js";
 
 class Peer extends EventEmitter {
   /**
@@ -27,6 +28,7 @@ class Peer extends EventEmitter {
     this.debug            = options.debug || false;
     this._routedPeers     = new Set();
     this.receivedCandidates = new Set();
+    this.encoding         = "json"; // Wire encoding for outgoing messages
 
     // Initialize logger
     this.logger = new Logger("Peer");
@@ -138,12 +140,13 @@ class Peer extends EventEmitter {
 
     this.peer.on("data", (data) => {
       this.emit("data", data, this.peerIdHex);
+      let msg;
       try {
-        const msg = JSON.parse(data.toString());
-        this.emit("message", msg, this.peerIdHex);
+        msg = decodeMessage(data);
       } catch {
-        // ignore non-JSON
+        return; // ignore undecodable data
       }
+      this.emit("message", msg, this.peerIdHex);
     });
 
     this.peer.on("close", () => {
@@ -237,14 +240,15 @@ class Peer extends EventEmitter {
   }
 
   /**
-   * Send data (object/Buffer/string)
+   * Send data (object/Buffer/string). Objects are encoded with the
+   * negotiated wire encoding (see codec.js).
    */
   send(data) {
     if (!this.connected || this.destroyed || !this.initialized || !this.peer) {
       return false;
     }
     if (typeof data === "object" && !(data instanceof Uint8Array)) {
-      data = JSON.stringify(data);
+      data = encodeMessage(data, this.encoding);
     }
     try {
       this.peer.send(data);
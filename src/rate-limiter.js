@@ -0,0 +1,88 @@
+/**
+ * Token-bucket rate limiting of inbound messages, per peer and message type
+ */
+
+/**
+ * Default limits: `rate` tokens refill per second, up to `burst` tokens.
+ * Types without their own entry use `default`.
+ */
+const DEFAULT_RATE_LIMITS = {
+  default: { rate: 50, burst: 100 },
+  STORE: { rate: 10, burst: 20 },
+  // Content-addressed records (blob chunks), so that a blob fits in a burst
+  STORE_IMMUTABLE: { rate: 50, burst: 256 },
+  FIND_VALUE_IMMUTABLE: { rate: 50, burst: 256 },
+  FIND_VALUE: { rate: 20, burst: 40 },
+  SIGNAL: { rate: 20, burst: 40 },
+};
+
+class RateLimiter {
+  /**
+   * Create a rate limiter
+   * @param {Object} [limits] - Limits by message type, merged over the
+   *   defaults; a type set to null is not limited
+   * @param {Iterable<string>} [types] - Known message types, which get a
+   *   bucket of their own. Types that are neither known nor in `limits`
+   *   share the `default` bucket, so a peer cannot make us keep a bucket for
+   *   every type it makes up.
+   */
+  constructor(limits = {}, types = []) {
+    this.limits = { ...DEFAULT_RATE_LIMITS, ...limits };
+    this.types = new Set([...Object.keys(this.limits), ...types]);
+    this.buckets = new Map(); // peerId -> Map(type -> {tokens, updatedAt})
+  }
+
+  /**
+   * Get the limit that applies to a message type
+   * @param {string} type - Message type
+   * @return {Object|null} { rate, burst }, or null if unlimited
+   */
+  limitFor(type) {
+    return Object.hasOwn(this.limits, type) ? this.limits[type] : this.limits.default;
+  }
+
+  /**
+   * Take tokens for a message, if enough are available
+   * @param {string} peerId - Sending peer ID
+   * @param {string} type - Message type
+   * @param {number} [cost=1] - Tokens the message costs (e.g. records in a batch)
+   * @param {number} [now=Date.now()] - Current time (ms)
+   * @return {boolean} True if the message is within the limit
+   */
+  consume(peerId, type, cost = 1, now = Date.now()) {
+    if (!this.types.has(type)) type = "default";
+    const limit = this.limitFor(type);
+    if (!limit) return true;
+
+    let peerBuckets = this.buckets.get(peerId);
+    if (!peerBuckets) {
+      peerBuckets = new Map();
+      this.buckets.set(peerId, peerBuckets);
+    }
+    let bucket = peerBuckets.get(type);
+    if (!bucket) {
+      bucket = { tokens: limit.burst, updatedAt: now };
+      peerBuckets.set(type, bucket);
+    }
+
+    const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(limit.burst, bucket.tokens + elapsed * limit.rate);
+    bucket.updatedAt = now;
+    // A batch larger than the burst can never pass; let it through on a
+    // full bucket and leave the bucket in debt instead
+    if (bucket.tokens < Math.min(cost, limit.burst)) return false;
+    bucket.tokens -= cost;
+    return true;
+  }
+
+  /**
+   * Drop all state for a peer
+   * @param {string} peerId - Peer ID
+   */
+  forget(peerId) {
+    this.buckets.delete(peerId);
+  }
+}
+
+export { DEFAULT_RATE_LIMITS, RateLimiter };
+export default RateLimiter;
@@ -0,0 +1,170 @@
+/**
+ * Peer reputation: scores each peer on responsiveness (answered requests),
+ * correctness (values that passed verification) and uptime (time connected).
+ */
+
+const RESPONSIVENESS_WEIGHT = 0.4;
+const CORRECTNESS_WEIGHT = 0.4;
+const UPTIME_WEIGHT = 0.2;
+const UPTIME_TARGET = 3600000; // Connected time that earns a full uptime score (1 hour)
+const MAX_TRACKED_PEERS = 1000; // Least recently seen peers are forgotten beyond this
+
+class ReputationTracker {
+  constructor() {
+    this.peers = new Map(); // peerId -> stats
+  }
+
+  /**
+   * Get (creating if needed) the stats of a peer
+   * @param {string} peerId - Peer ID
+   * @return {Object} Mutable stats
+   * @private
+   */
+  _entry(peerId) {
+    let entry = this.peers.get(peerId);
+    if (!entry) {
+      entry = {
+        requests: 0,
+        responses: 0,
+        timeouts: 0,
+        valid: 0,
+        invalid: 0,
+        uptime: 0,
+        connectedSince: null,
+        lastSeen: Date.now(),
+      };
+      this.peers.set(peerId, entry);
+      this._prune();
+    }
+    return entry;
+  }
+
+  /**
+   * Forget the least recently seen disconnected peers beyond the limit
+   * @private
+   */
+  _prune() {
+    if (this.peers.size <= MAX_TRACKED_PEERS) return;
+    const stale = Array.from(this.peers.entries())
+      .filter(([, entry]) => entry.connectedSince === null)
+      .sort((a, b) => a[1].lastSeen - b[1].lastSeen)
+      .slice(0, this.peers.size - MAX_TRACKED_PEERS);
+    for (const [peerId] of stale) this.peers.delete(peerId);
+  }
+
+  /** Record a request sent to a peer */
+  recordRequest(peerId) {
+    this._entry(peerId).requests++;
+  }
+
+  /** Record a response received from a peer */
+  recordResponse(peerId) {
+    const entry = this._entry(peerId);
+    entry.responses++;
+    entry.lastSeen = Date.now();
+  }
+
+  /** Record a request to a peer that timed out */
+  recordTimeout(peerId) {
+    this._entry(peerId).timeouts++;
+  }
+
+  /** Record a value from a peer that passed verification */
+  recordValid(peerId) {
+    this._entry(peerId).valid++;
+  }
+
+  /** Record a value from a peer that failed verification */
+  recordInvalid(peerId) {
+    this._entry(peerId).invalid++;
+  }
+
+  /** Record that a peer connected */
+  connected(peerId) {
+    const entry = this._entry(peerId);
+    entry.connectedSince = Date.now();
+    entry.lastSeen = entry.connectedSince;
+  }
+
+  /** Record that a peer disconnected */
+  disconnected(peerId) {
+    const entry = this.peers.get(peerId);
+    if (!entry || entry.connectedSince === null) return;
+    const now = Date.now();
+    entry.uptime += now - entry.connectedSince;
+    entry.connectedSince = null;
+    entry.lastSeen = now;
+  }
+
+  /**
+   * Score a peer between 0 (unreliable) and 1 (reliable). Each component
+   * starts at 0.5 for a peer we know nothing about.
+   * @param {string} peerId - Peer ID
+   * @return {number} Score
+   */
+  score(peerId) {
+    const { responsiveness, correctness, uptime } = this.getStats(peerId);
+    return (
+      RESPONSIVENESS_WEIGHT * responsiveness +
+      CORRECTNESS_WEIGHT * correctness +
+      UPTIME_WEIGHT * uptime
+    );
+  }
+
+  /**
+   * Get the raw counters and score components of a peer
+   * @param {string} peerId - Peer ID
+   * @return {Object} Stats with responsiveness, correctness and uptime in [0, 1]
+   */
+  getStats(peerId) {
+    const entry = this.peers.get(peerId);
+    if (!entry) {
+      return { responsiveness: 0.5, correctness: 0.5, uptime: 0.5 };
+    }
+    const connectedFor =
+      entry.connectedSince === null ? 0 : Date.now() - entry.connectedSince;
+    return {
+      ...entry,
+      responsiveness: (entry.responses + 1) / (entry.responses + entry.timeouts + 2),
+      correctness: (entry.valid + 1) / (entry.valid + entry.invalid + 2),
+      uptime: Math.min(1, (entry.uptime + connectedFor) / UPTIME_TARGET),
+    };
+  }
+
+  /**
+   * Serialize for persistence. Open connections are saved as uptime so far.
+   * @return {Object[]} Entries as { peerId, ...stats }
+   */
+  toJSON() {
+    const now = Date.now();
+    return Array.from(this.peers.entries()).map(([peerId, entry]) => ({
+      peerId,
+      ...entry,
+      uptime:
+        entry.uptime + (entry.connectedSince === null ? 0 : now - entry.connectedSince),
+      connectedSince: null,
+    }));
+  }
+
+  /**
+   * Restore entries saved by toJSON, keeping stats gathered since startup
+   * @param {Object[]} entries - Saved entries
+   */
+  load(entries) {
+    if (!Array.isArray(entries)) return;
+    for (const saved of entries) {
+      if (!saved || typeof saved.peerId !== "string") continue;
+      const known = this.peers.has(saved.peerId);
+      const entry = this._entry(saved.peerId);
+      for (const field of ["requests", "responses", "timeouts", "valid", "invalid", "uptime"]) {
+        if (typeof saved[field] === "number") entry[field] += saved[field];
+      }
+      if (typeof saved.lastSeen === "number") {
+        entry.lastSeen = known ? Math.max(entry.lastSeen, saved.lastSeen) : saved.lastSeen;
+      }
+    }
+  }
+}
+
+export { ReputationTracker };
+export default ReputationTracker;
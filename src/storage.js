@@ -0,0 +1,320 @@
+/**
+ * Storage backends for the state a DHT node keeps across restarts: its
+ * records and small state entries such as reputation scores.
+ *
+ * A backend holds named stores (see STORES) of structured-cloneable values
+ * under string keys. Three are built in: MemoryStorage (nothing survives the
+ * process, useful for tests), IndexedDbStorage (browsers) and FsStorage
+ * (Node.js, one JSON file per value). Custom backends extend StorageAdapter.
+ */
+import { decodeJson, encodeJson } from "./codec.js";
+import {
+  IDB_STORES,
+  idbDelete,
+  idbGet,
+  idbGetAllEntries,
+  idbSet,
+  isIndexedDbAvailable,
+} from "./idb.js";
+
+/**
+ * Stores used by the DHT
+ */
+const STORES = {
+  RECORDS: IDB_STORES.DHT,
+  STATE: IDB_STORES.STATE,
+};
+
+/**
+ * Default directory of the filesystem backend
+ */
+const DEFAULT_STORAGE_PATH = "./webdht-data";
+
+const textEncoder = new TextEncoder();
+
+class StorageAdapter {
+  /**
+   * Get a value
+   * @param {string} store - Store name
+   * @param {string} key - Key
+   * @return {Promise<any>} The value, or undefined if there is none
+   */
+  async get(store, key) {
+    throw new Error(`${this.constructor.name} does not implement get`);
+  }
+
+  /**
+   * Store a value, replacing any previous one
+   * @param {string} store - Store name
+   * @param {string} key - Key
+   * @param {any} value - Structured-cloneable value
+   * @return {Promise<void>}
+   */
+  async put(store, key, value) {
+    throw new Error(`${this.constructor.name} does not implement put`);
+  }
+
+  /**
+   * Delete a value; deleting a missing key is not an error
+   * @param {string} store - Store name
+   * @param {string} key - Key
+   * @return {Promise<void>}
+   */
+  async delete(store, key) {
+    throw new Error(`${this.constructor.name} does not implement delete`);
+  }
+
+  /**
+   * Iterate over the entries of a store
+   * @param {string} store - Store name
+   * @return {AsyncIterable<[string, any]>} [key, value] pairs
+   */
+  async *iterate(store) {
+    throw new Error(`${this.constructor.name} does not implement iterate`);
+  }
+
+  /**
+   * Count the entries of a store
+   * @param {string} store - Store name
+   * @return {Promise<number>} Number of entries
+   */
+  async size(store) {
+    let count = 0;
+    for await (const entry of this.iterate(store)) count++;
+    return count;
+  }
+
+  /**
+   * Delete the oldest entries of a store, by their `timestamp` field, until
+   * it is within the given limits
+   * @param {string} store - Store name
+   * @param {Object} [limits] - Limits to enforce
+   * @param {number} [limits.maxEntries] - Maximum number of entries
+   * @param {number} [limits.maxBytes] - Maximum total size of the entries as JSON
+   * @return {Promise<string[]>} Keys of the evicted entries
+   */
+  async evict(store, { maxEntries = Infinity, maxBytes = Infinity } = {}) {
+    const rows = [];
+    for await (const [key, value] of this.iterate(store)) {
+      rows.push({
+        key,
+        timestamp: typeof value?.timestamp === "number" ? value.timestamp : 0,
+        size: Number.isFinite(maxBytes) ? textEncoder.encode(encodeJson(value)).length : 0,
+      });
+    }
+    rows.sort((a, b) => a.timestamp - b.timestamp);
+
+    let count = rows.length;
+    let bytes = rows.reduce((sum, row) => sum + row.size, 0);
+    const evicted = [];
+    for (const row of rows) {
+      if (count <= maxEntries && bytes <= maxBytes) break;
+      await this.delete(store, row.key);
+      evicted.push(row.key);
+      count--;
+      bytes -= row.size;
+    }
+    return evicted;
+  }
+}
+
+class MemoryStorage extends StorageAdapter {
+  constructor() {
+    super();
+    this.stores = new Map(); // store -> Map(key -> value)
+  }
+
+  /**
+   * Get (creating if needed) the map of a store
+   * @param {string} store - Store name
+   * @return {Map} Entries of the store
+   * @private
+   */
+  _store(store) {
+    let entries = this.stores.get(store);
+    if (!entries) {
+      entries = new Map();
+      this.stores.set(store, entries);
+    }
+    return entries;
+  }
+
+  // Values are copied in and out, like a persistent backend would
+  async get(store, key) {
+    const value = this._store(store).get(key);
+    return value === undefined ? undefined : structuredClone(value);
+  }
+
+  async put(store, key, value) {
+    this._store(store).set(key, structuredClone(value));
+  }
+
+  async delete(store, key) {
+    this._store(store).delete(key);
+  }
+
+  async *iterate(store) {
+    for (const [key, value] of Array.from(this._store(store).entries())) {
+      yield [key, structuredClone(value)];
+    }
+  }
+
+  async size(store) {
+    return this._store(store).size;
+  }
+}
+
+class IndexedDbStorage extends StorageAdapter {
+  async get(store, key) {
+    return await idbGet(store, key);
+  }
+
+  // idbSet also keeps the store within the quota level chosen in the UI
+  async put(store, key, value) {
+    await idbSet(store, key, value);
+  }
+
+  async delete(store, key) {
+    await idbDelete(store, key);
+  }
+
+  async *iterate(store) {
+    yield* await idbGetAllEntries(store);
+  }
+}
+
+class FsStorage extends StorageAdapter {
+  /**
+   * Create a filesystem backend. Each store is a directory under `dir`
+   * holding one JSON file per key.
+   * @param {string} [dir] - Root directory, created on first write
+   */
+  constructor(dir = DEFAULT_STORAGE_PATH) {
+    super();
+    this.dir = dir;
+    this._modules = null;
+  }
+
+  /**
+   * Load the Node.js modules on first use, so that importing this module
+   * does not break browser builds
+   * @return {Promise<Object>} { fs, path }
+   * @private
+   */
+  async _node() {
+    if (!this._modules) {
+      this._modules = Promise.all([
+        import("node:fs/promises"),
+        import("node:path"),
+      ]).then(([fs, path]) => ({ fs, path }));
+    }
+    return await this._modules;
+  }
+
+  /**
+   * Get the file of a key
+   * @param {string} store - Store name
+   * @param {string} key - Key
+   * @return {Promise<string>} File path
+   * @private
+   */
+  async _file(store, key) {
+    const { path } = await this._node();
+    return path.join(this.dir, store, `${encodeURIComponent(key)}.json`);
+  }
+
+  async get(store, key) {
+    const { fs } = await this._node();
+    try {
+      return decodeJson(await fs.readFile(await this._file(store, key), "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return undefined;
+      throw err;
+    }
+  }
+
+  // Written to a temporary file first, so a crash never leaves half a value
+  async put(store, key, value) {
+    const { fs, path } = await this._node();
+    const file = await this._file(store, key);
+    const temp = `${file}.${Date.now()}-${Math.random().toString(36).slice(2)}.tmp`;
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(temp, encodeJson(value), "utf8");
+    await fs.rename(temp, file);
+  }
+
+  async delete(store, key) {
+    const { fs } = await this._node();
+    await fs.rm(await this._file(store, key), { force: true });
+  }
+
+  async *iterate(store) {
+    const { fs, path } = await this._node();
+    let names;
+    try {
+      names = await fs.readdir(path.join(this.dir, store));
+    } catch (err) {
+      if (err.code === "ENOENT") return;
+      throw err;
+    }
+    for (const name of names) {
+      if (!name.endsWith(".json")) continue;
+      const key = decodeURIComponent(name.slice(0, -".json".length));
+      const value = await this.get(store, key);
+      if (value !== undefined) yield [key, value];
+    }
+  }
+
+  async size(store) {
+    const { fs, path } = await this._node();
+    try {
+      const names = await fs.readdir(path.join(this.dir, store));
+      return names.filter((name) => name.endsWith(".json")).length;
+    } catch (err) {
+      if (err.code === "ENOENT") return 0;
+      throw err;
+    }
+  }
+}
+
+/**
+ * Create the storage backend selected by the DHT options
+ * @param {Object} [options] - DHT options
+ * @param {string|StorageAdapter} [options.storage] - "memory", "indexeddb",
+ *   "fs" or a backend instance. Defaults to IndexedDB where available
+ *   (unless persistToIndexedDb is false), otherwise memory.
+ * @param {string} [options.storagePath] - Directory of the "fs" backend
+ * @param {boolean} [options.persistToIndexedDb] - Set to false to default to memory
+ * @return {StorageAdapter} Storage backend
+ * @throws {Error} If the backend is unknown or unavailable
+ */
+function createStorage(options = {}) {
+  const { storage } = options;
+  if (storage instanceof StorageAdapter) return storage;
+  switch (storage) {
+    case undefined:
+    case null:
+      return options.persistToIndexedDb !== false && isIndexedDbAvailable()
+        ? new IndexedDbStorage()
+        : new MemoryStorage();
+    case "memory":
+      return new MemoryStorage();
+    case "indexeddb":
+      if (!isIndexedDbAvailable()) throw new Error("IndexedDB is not available");
+      return new IndexedDbStorage();
+    case "fs":
+      return new FsStorage(options.storagePath);
+    default:
+      throw new Error(`Unknown storage backend: ${storage}`);
+  }
+}
+
+export {
+  STORES,
+  StorageAdapter,
+  MemoryStorage,
+  IndexedDbStorage,
+  FsStorage,
+  createStorage,
+};
+export default createStorage;
@@ -135,7 +135,7 @@ function commonPrefixLength(id1, id2) {
     }
 
     let b = byte;
-    while ((b & 0x80) === 0 && count < 8) {
+    while ((b & 0x80) === 0) {
       count++;
       b <<= 1;
     }
@@ -172,6 +172,60 @@ function bufferToHex(buf) {
   return "";
 }
 
+/**
+ * Serialize a value to JSON with object keys sorted, so that equal values
+ * always produce the same string (used for signing and hashing records)
+ * @param {any} value - Value to serialize
+ * @return {string} Deterministic JSON string
+ */
+function stableStringify(value) {
+  if (value === null || typeof value !== "object") {
+    return JSON.stringify(value) ?? "null";
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map((v) => stableStringify(v)).join(",")}]`;
+  }
+  if (value instanceof Uint8Array) {
+    // Same form as byte arrays in JSON messages (see codec.js)
+    return `{"$bytes":${JSON.stringify(bytesToBase64(value))}}`;
+  }
+  const keys = Object.keys(value)
+    .filter((k) => typeof value[k] !== "undefined")
+    .sort();
+  // Keys starting with "$" are escaped as in JSON messages, so that no
+  // object serializes like a byte array
+  return `{${keys
+    .map((k) => `${JSON.stringify(k.startsWith("$") ? `$${k}` : k)}:${stableStringify(value[k])}`)
+    .join(",")}}`;
+}
+
+/**
+ * Encode bytes as a base64 string
+ * @param {Uint8Array} bytes - Input bytes
+ * @return {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode a base64 string to bytes
+ * @param {string} base64 - Base64 string
+ * @return {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
 /**
  * Hex string to buffer (just returns the hex string since we're using strings as IDs)
  * @param {string} hex - Hex string
@@ -193,5 +247,8 @@ export {
   generateRandomID,
   bufferToHex,
   hexToBuffer,
+  stableStringify,
+  bytesToBase64,
+  base64ToBytes,
   BufferPolyfill as Buffer,
 };
\ No newline at end of file
@@ -0,0 +1,51 @@
+import { test, expect } from '@playwright/test';
+
+// IndexedDbStorage needs a browser; the other backends are covered by
+// tests/unit/storage.spec.js
+test.describe('IndexedDB storage', () => {
+  test('gets, puts, deletes, iterates and evicts', async ({ page }) => {
+    // A same-origin page that does not start the demo app, which writes to
+    // IndexedDB too and would take part in the eviction
+    await page.goto('/src/storage.js');
+    const result = await page.evaluate(async () => {
+      const { IndexedDbStorage, STORES } = await import('/src/storage.js');
+      const storage = new IndexedDbStorage();
+      const store = STORES.STATE;
+      const keys = async () => {
+        const found = [];
+        for await (const [key] of storage.iterate(store)) {
+          if (key.startsWith('test-')) found.push(key);
+        }
+        return found.sort();
+      };
+
+      const missing = await storage.get(store, 'test-missing');
+      await storage.put(store, 'test-a', { value: 'a', timestamp: 3 });
+      await storage.put(store, 'test-b', { value: 'b', timestamp: 1 });
+      await storage.put(store, 'test-c', { value: new Uint8Array([1, 2]), timestamp: 2 });
+      const stored = await storage.get(store, 'test-c');
+      const afterPut = await keys();
+      await storage.delete(store, 'test-a');
+      const afterDelete = await keys();
+      const evicted = await storage.evict(store, { maxEntries: (await storage.size(store)) - 1 });
+      const afterEvict = await keys();
+      for (const key of afterEvict) await storage.delete(store, key);
+
+      return {
+        missing: missing === undefined,
+        bytes: stored.value instanceof Uint8Array ? Array.from(stored.value) : null,
+        afterPut,
+        afterDelete,
+        evicted,
+        afterEvict,
+      };
+    });
+
+    expect(result.missing).toBe(true);
+    expect(result.bytes).toEqual([1, 2]);
+    expect(result.afterPut).toEqual(['test-a', 'test-b', 'test-c']);
+    expect(result.afterDelete).toEqual(['test-b', 'test-c']);
+    expect(result.evicted).toEqual(['test-b']);
+    expect(result.afterEvict).toEqual(['test-c']);
+  });
+});
@@ -0,0 +1,78 @@
+import { test, expect } from '@playwright/test';
+import { sha1 } from '../../src/utils.js';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('batch operations', () => {
+  let a;
+  let b;
+  let toA;
+  let received;
+
+  test.beforeEach(async () => {
+    a = await createNode();
+    b = await createNode();
+    [, toA] = link(a, b);
+    await sleep(50);
+    // Message types b receives from a
+    received = [];
+    toA.on('message', (message) => received.push(message.type));
+  });
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+  });
+
+  const keys = Array.from({ length: 60 }, (_, i) => `key${i}`);
+
+  test('putMany stores every key with batched messages', async () => {
+    const results = await a.putMany(keys.map((key, i) => [key, i]));
+    expect(Array.from(results.values())).toEqual(keys.map(() => true));
+    for (const [i, key] of keys.entries()) {
+      expect(b.storage.get(await sha1(key)).value).toBe(i);
+    }
+    // 60 records fit in two batches
+    expect(received.filter((type) => type === 'STORE_BATCH').length).toBe(2);
+    expect(received).not.toContain('STORE');
+    expect(received.filter((type) => type === 'FIND_NODE').length).toBeLessThan(keys.length);
+  });
+
+  test('putMany fails invalid entries only', async () => {
+    const results = await a.putMany({ small: 'v', large: 'x'.repeat(a.MAX_VALUE_SIZE + 1) });
+    expect(results.get('small')).toBe(true);
+    expect(results.get('large')).toBe(false);
+    expect(b.storage.has(await sha1('large'))).toBe(false);
+  });
+
+  test('getMany returns the newest version of each key, or null', async () => {
+    for (const [i, key] of keys.entries()) {
+      await b._storeResponse({ type: 'STORE', sender: b.nodeIdHex, key, value: i, seq: 2 }, b.nodeIdHex);
+    }
+    await a._storeResponse({ type: 'STORE', sender: a.nodeIdHex, key: 'key0', value: 'old', seq: 1 }, a.nodeIdHex);
+
+    const values = await a.getMany([...keys, 'missing']);
+    expect(values.get('key0')).toBe(0);
+    expect(values.get('key59')).toBe(59);
+    expect(values.get('missing')).toBeNull();
+    expect(received.filter((type) => type === 'FIND_VALUE_BATCH').length).toBe(2);
+    expect(received).not.toContain('FIND_VALUE');
+  });
+
+  test('deleteMany writes tombstones in batches', async () => {
+    await a.putMany(keys.slice(0, 5).map((key) => [key, 'v']));
+    const results = await a.deleteMany(keys.slice(0, 5));
+    expect(Array.from(results.values())).toEqual([true, true, true, true, true]);
+    expect(received).toContain('DELETE_BATCH');
+    expect(b.storage.get(await sha1('key0')).tombstone).toBe(true);
+    expect((await b.getMany(['key0'])).get('key0')).toBeNull();
+  });
+
+  test('peers without batch support get one message per key', async () => {
+    toA.send({ type: 'HELLO', sender: b.nodeIdHex, protocolVersion: 1, types: ['STORE', 'FIND_NODE', 'PING'], features: [] });
+    await sleep(20);
+    const results = await a.putMany([['one', 1], ['two', 2]]);
+    expect(Array.from(results.values())).toEqual([true, true]);
+    expect(received.filter((type) => type === 'STORE').length).toBe(2);
+    expect(received).not.toContain('STORE_BATCH');
+  });
+});
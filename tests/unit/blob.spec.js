@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('blobs', () => {
+  let a;
+  let b;
+
+  test.beforeEach(async () => {
+    a = await createNode();
+    b = await createNode();
+    link(a, b);
+    await sleep(50);
+  });
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+  });
+
+  function randomBytes(size) {
+    const bytes = new Uint8Array(size);
+    for (let i = 0; i < size; i += 65536) {
+      crypto.getRandomValues(bytes.subarray(i, i + 65536));
+    }
+    return bytes;
+  }
+
+  test('of several megabytes are stored across nodes and read back', async () => {
+    const limited = [];
+    for (const node of [a, b]) node.on('peer:rate-limited', (event) => limited.push(event));
+    const data = randomBytes(4 * 1024 * 1024);
+    const manifest = await a.putBlob('big', data, { contentType: 'application/octet-stream' });
+    expect(manifest.size).toBe(data.length);
+    expect(manifest.chunks.length).toBe(128);
+
+    // The other node holds every chunk, and reads the blob back by owner
+    expect(manifest.chunks.every((hash) => b.storage.has(hash))).toBe(true);
+    const read = await b.getBlob('big', { owner: a.ownerId });
+    expect(read.length).toBe(data.length);
+    expect(Buffer.from(read).equals(Buffer.from(data))).toBe(true);
+
+    // Default rate limits and quotas leave room for it
+    expect(limited).toEqual([]);
+  });
+
+  test('resume a partial download', async () => {
+    const data = randomBytes(200000);
+    const manifest = await a.putBlob('doc', data, { chunkSize: 32768 });
+    const missing = manifest.chunks[3];
+    const held = a.storage.get(missing);
+    a.storage.delete(missing);
+    b.storage.delete(missing);
+
+    const progress = [];
+    await expect(
+      b.getBlob('doc', { owner: a.ownerId, onProgress: (done) => progress.push(done) })
+    ).rejects.toThrow('fetched 6 of 7 chunks');
+
+    // Only the missing chunk is fetched again
+    a.storage.set(missing, held);
+    progress.length = 0;
+    const read = await b.getBlob('doc', { owner: a.ownerId, onProgress: (done) => progress.push(done) });
+    expect(progress).toEqual([7]);
+    expect(Buffer.from(read).equals(Buffer.from(data))).toBe(true);
+  });
+});
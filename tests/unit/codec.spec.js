@@ -0,0 +1,96 @@
+import { test, expect } from '@playwright/test';
+import {
+  WIRE_VERSION,
+  decodeJson,
+  decodeMessage,
+  encodeJson,
+  encodeMessage,
+  isBinaryFrame,
+  selectEncoding,
+  valueByteLength,
+} from '../../src/codec.js';
+
+const message = {
+  type: 'STORE',
+  sender: 'ab'.repeat(20),
+  key: 'some-key',
+  value: { text: 'héllo', list: [1, -2, 3.5, null, true, false], nested: { deep: ['x'] } },
+  seq: 2 ** 40,
+  expiresAt: 1700000000000,
+  negative: -(2 ** 40),
+};
+
+test.describe('codec', () => {
+  for (const encoding of ['json', 'msgpack']) {
+    test(`${encoding} round-trips messages`, () => {
+      expect(decodeMessage(encodeMessage(message, encoding))).toEqual(message);
+    });
+
+    test(`${encoding} round-trips byte arrays`, () => {
+      const bytes = new Uint8Array([0, 1, 2, 253, 254, 255]);
+      const decoded = decodeMessage(encodeMessage({ type: 'X', value: bytes, list: [bytes] }, encoding));
+      expect(decoded.value).toBeInstanceOf(Uint8Array);
+      expect(Array.from(decoded.value)).toEqual(Array.from(bytes));
+      expect(Array.from(decoded.list[0])).toEqual(Array.from(bytes));
+    });
+    test(`${encoding} keeps user objects that look like wrapped bytes`, () => {
+      const value = { $bytes: 'AAEC', nested: { $$bytes: 'x', $other: [{ $bytes: 'AQ==' }] } };
+      const decoded = decodeMessage(encodeMessage({ type: 'X', value }, encoding));
+      expect(decoded.value).toEqual(value);
+      expect(decoded.value.$bytes).toBe('AAEC');
+    });
+
+    test(`${encoding} decodes __proto__ keys as plain properties`, () => {
+      const value = JSON.parse('{"__proto__": {"polluted": true}, "a": 1}');
+      const decoded = decodeMessage(encodeMessage({ type: 'X', value }, encoding));
+      expect(Object.getPrototypeOf(decoded.value)).toBe(Object.prototype);
+      expect(decoded.value.polluted).toBeUndefined();
+      expect(Object.keys(decoded.value)).toEqual(['__proto__', 'a']);
+      expect({}.polluted).toBeUndefined();
+    });
+  }
+
+  test('msgpack frames carry the marker and wire version', () => {
+    const frame = encodeMessage({ type: 'PING' }, 'msgpack');
+    expect(frame).toBeInstanceOf(Uint8Array);
+    expect(isBinaryFrame(frame)).toBe(true);
+    expect(frame[1]).toBe(WIRE_VERSION);
+    expect(isBinaryFrame(encodeMessage({ type: 'PING' }, 'json'))).toBe(false);
+  });
+
+  test('rejects frames from a newer wire version', () => {
+    const frame = encodeMessage({ type: 'PING' }, 'msgpack');
+    frame[1] = WIRE_VERSION + 1;
+    expect(() => decodeMessage(frame)).toThrow(`Unsupported wire version ${WIRE_VERSION + 1}`);
+  });
+
+  test('rejects trailing bytes in binary frames', () => {
+    const frame = encodeMessage({ type: 'PING' }, 'msgpack');
+    const padded = new Uint8Array(frame.length + 1);
+    padded.set(frame);
+    expect(() => decodeMessage(padded)).toThrow('Trailing bytes in binary frame');
+  });
+
+  test('decodes JSON sent as bytes or ArrayBuffer', () => {
+    const bytes = new TextEncoder().encode(encodeJson(message));
+    expect(decodeMessage(bytes)).toEqual(message);
+    expect(decodeMessage(bytes.buffer)).toEqual(message);
+  });
+
+  test('JSON helpers preserve byte arrays', () => {
+    const decoded = decodeJson(encodeJson({ data: new Uint8Array([7, 8]) }));
+    expect(Array.from(decoded.data)).toEqual([7, 8]);
+  });
+
+  test('selects the first shared encoding', () => {
+    expect(selectEncoding(['msgpack', 'json'], ['json', 'msgpack'])).toBe('msgpack');
+    expect(selectEncoding(['msgpack', 'json'], ['json'])).toBe('json');
+    expect(selectEncoding(['msgpack', 'json'], undefined)).toBe('json');
+  });
+
+  test('measures values in bytes', () => {
+    expect(valueByteLength(new Uint8Array(5))).toBe(5);
+    expect(valueByteLength('é')).toBe(2);
+    expect(valueByteLength({ a: 1 })).toBe(7);
+  });
+});
@@ -0,0 +1,112 @@
+import { test, expect } from '@playwright/test';
+import {
+  decryptValue,
+  encryptValue,
+  generateKeyPair,
+  immutableKeyForValue,
+  isEncryptedValue,
+  ownerIdFromPub,
+  signPublication,
+  signRecord,
+  verifyImmutableRecord,
+  verifyPublication,
+  verifyRecord,
+} from '../../src/crypto.js';
+
+test.describe('crypto', () => {
+  let alice;
+  let bob;
+
+  test.beforeAll(async () => {
+    alice = await generateKeyPair();
+    bob = await generateKeyPair();
+  });
+
+  async function signed(overrides = {}) {
+    const owner = await ownerIdFromPub(alice.pub);
+    const record = {
+      key: 'ab'.repeat(20),
+      value: { text: 'hello' },
+      meta: { space: 'user', owner },
+      expiresAt: Date.now() + 60000,
+      seq: 1,
+      ...overrides,
+    };
+    return { ...record, meta: await signRecord(record, alice) };
+  }
+
+  test('derives the owner ID from the public key', async () => {
+    const owner = await ownerIdFromPub(alice.pub);
+    expect(owner).toMatch(/^[0-9a-f]{40}$/);
+    expect(await ownerIdFromPub(alice.pub)).toBe(owner);
+    expect(await ownerIdFromPub(bob.pub)).not.toBe(owner);
+  });
+
+  test('verifies signed records', async () => {
+    const record = await signed();
+    expect(record.meta.pub).toBe(alice.pub);
+    expect(await verifyRecord(record)).toBe(true);
+  });
+
+  test('rejects tampered records', async () => {
+    const record = await signed();
+    expect(await verifyRecord({ ...record, value: { text: 'bye' } })).toBe(false);
+    expect(await verifyRecord({ ...record, key: 'cd'.repeat(20) })).toBe(false);
+    expect(await verifyRecord({ ...record, seq: 2 })).toBe(false);
+    expect(await verifyRecord({ ...record, expiresAt: record.expiresAt + 1 })).toBe(false);
+    expect(await verifyRecord({ ...record, meta: { ...record.meta, space: 'private' } })).toBe(false);
+  });
+
+  test('rejects records whose owner does not match the key', async () => {
+    const record = await signed();
+    const bobOwner = await ownerIdFromPub(bob.pub);
+    expect(await verifyRecord({ ...record, meta: { ...record.meta, owner: bobOwner } })).toBe(false);
+    expect(await verifyRecord({ ...record, meta: { ...record.meta, pub: bob.pub } })).toBe(false);
+    expect(await verifyRecord({ ...record, meta: { space: 'user', owner: record.meta.owner } })).toBe(false);
+  });
+
+  test('verifies publications against their publisher', async () => {
+    const publisher = await ownerIdFromPub(alice.pub);
+    const publication = await signPublication(
+      { topic: 'ab'.repeat(20), id: 'p1', publisher, publishedAt: 1000, payload: { text: 'hello' } },
+      alice
+    );
+    expect(await verifyPublication(publication)).toBe(true);
+    expect(await verifyPublication({ ...publication, payload: { text: 'bye' } })).toBe(false);
+    expect(await verifyPublication({ ...publication, publishedAt: 2000 })).toBe(false);
+    expect(await verifyPublication({ ...publication, publisher: await ownerIdFromPub(bob.pub) })).toBe(false);
+    expect(await verifyPublication({ ...publication, sig: undefined })).toBe(false);
+  });
+
+  test('encrypts values for their recipients only', async () => {
+    const value = { secret: 42, list: ['a'] };
+    const envelope = await encryptValue(value, [alice.epub, bob.epub]);
+    expect(isEncryptedValue(envelope)).toBe(true);
+    expect(JSON.stringify(envelope)).not.toContain('secret');
+    expect(await decryptValue(envelope, alice)).toEqual(value);
+    expect(await decryptValue(envelope, bob)).toEqual(value);
+
+    const carol = await generateKeyPair();
+    await expect(decryptValue(envelope, carol)).rejects.toThrow('Not a recipient of this value');
+  });
+
+  test('rejects tampered ciphertext', async () => {
+    const envelope = await encryptValue('text', [alice.epub]);
+    const bytes = Buffer.from(envelope.ciphertext, 'base64');
+    bytes[0] ^= 1;
+    await expect(decryptValue({ ...envelope, ciphertext: bytes.toString('base64') }, alice)).rejects.toThrow();
+  });
+
+  test('checks content addresses of immutable records', async () => {
+    const value = { b: 2, a: 1 };
+    const key = await immutableKeyForValue(value);
+    expect(await immutableKeyForValue({ a: 1, b: 2 })).toBe(key);
+    expect(await verifyImmutableRecord(key, value)).toBe(true);
+    expect(await verifyImmutableRecord(key.toUpperCase(), value)).toBe(true);
+    expect(await verifyImmutableRecord(key, { a: 1 })).toBe(false);
+
+    // Bytes and objects shaped like their JSON form hash differently
+    const bytes = new Uint8Array([0, 1, 2]);
+    expect(await immutableKeyForValue({ $bytes: 'AAEC' })).not.toBe(await immutableKeyForValue(bytes));
+  });
+});
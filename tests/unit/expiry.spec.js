@@ -0,0 +1,87 @@
+import { test, expect } from '@playwright/test';
+import { MemoryStorage } from '../../src/storage.js';
+import { sha1 } from '../../src/utils.js';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('record expiry', () => {
+  let a;
+  let b;
+
+  test.beforeEach(async () => {
+    a = await createNode({ expirySweepInterval: 20 });
+    b = await createNode({ expirySweepInterval: 20 });
+    link(a, b);
+    await sleep(50);
+  });
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+  });
+
+  test('travels with the record to its replicas', async () => {
+    const expiresAt = Date.now() + 60000;
+    expect(await a.put('absolute', 'v', { expiresAt })).toBe(true);
+    expect(b.storage.get(await sha1('absolute')).expiresAt).toBe(expiresAt);
+
+    const before = Date.now();
+    expect(await a.put('relative', 'v', { ttl: 60000 })).toBe(true);
+    const replica = b.storage.get(await sha1('relative'));
+    expect(replica.expiresAt).toBe(a.storage.get(await sha1('relative')).expiresAt);
+    expect(replica.expiresAt).toBeGreaterThanOrEqual(before + 60000);
+
+    expect(await a.put('forever', 'v')).toBe(true);
+    expect(b.storage.get(await sha1('forever')).expiresAt).toBeNull();
+  });
+
+  test('replicas refuse records that have already expired', async () => {
+    const response = await b._storeResponse(
+      { type: 'STORE', sender: a.nodeIdHex, key: 'old', value: 'v', expiresAt: Date.now() - 1 },
+      a.nodeIdHex
+    );
+    expect(response).toMatchObject({ success: false, error: 'Record expired' });
+    expect(b.storage.has(await sha1('old'))).toBe(false);
+  });
+
+  test('are swept and reported once they expire', async () => {
+    const expired = [];
+    a.on('key:expired', (event) => expired.push(event));
+    expect(await a.put('presence', 'online', { ttl: 100 })).toBe(true);
+    expect(await b.get('presence')).toBe('online');
+
+    await sleep(250);
+    expect(expired).toEqual([{ key: 'presence', hash: await sha1('presence') }]);
+    expect(a.storage.has(await sha1('presence'))).toBe(false);
+    expect(b.storage.has(await sha1('presence'))).toBe(false);
+    expect(await a.get('presence')).toBeNull();
+  });
+
+  test('expired records are not served before the sweep', async () => {
+    stopNode(a);
+    stopNode(b);
+    a = await createNode({ expirySweepInterval: 60000 });
+    b = await createNode({ expirySweepInterval: 60000 });
+    link(a, b);
+    await sleep(50);
+
+    expect(await a.put('key', 'v', { ttl: 50 })).toBe(true);
+    await sleep(100);
+    expect((await b._findValueResponse({ type: 'FIND_VALUE', sender: a.nodeIdHex, key: 'key' })).value).toBeUndefined();
+    expect(await b.get('key')).toBeNull();
+  });
+
+  test('persisted records that expired while offline are not loaded', async () => {
+    const storage = new MemoryStorage();
+    const first = await createNode({ storage });
+    expect(await first.put('short', 'v', { ttl: 50 })).toBe(true);
+    expect(await first.put('long', 'v', { ttl: 60000 })).toBe(true);
+    const expiresAt = first.storage.get(await sha1('long')).expiresAt;
+    stopNode(first);
+    await sleep(100);
+
+    const second = await createNode({ storage });
+    stopNode(second);
+    expect(second.storage.has(await sha1('short'))).toBe(false);
+    expect(second.storage.get(await sha1('long')).expiresAt).toBe(expiresAt);
+  });
+});
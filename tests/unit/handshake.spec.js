@@ -0,0 +1,76 @@
+import { test, expect } from '@playwright/test';
+import { sha1 } from '../../src/utils.js';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('HELLO handshake', () => {
+  let a;
+  let b;
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+  });
+
+  async function connect(optionsA = {}, optionsB = {}) {
+    a = await createNode(optionsA);
+    b = await createNode(optionsB);
+    const connections = link(a, b);
+    await sleep(50);
+    return connections;
+  }
+
+  test('records the capabilities each side advertises', async () => {
+    const [toB, toA] = await connect({}, { maxValueSize: 1000 });
+    const capabilities = a.getPeerCapabilities(b.nodeIdHex);
+    expect(capabilities).toMatchObject({
+      protocolVersion: 1,
+      encodings: ['msgpack', 'json'],
+      maxValueSize: 1000,
+    });
+    expect(capabilities.types).toContain('STORE_BATCH');
+    expect(capabilities.features).toEqual(expect.arrayContaining(['ttl', 'cas', 'immutable', 'tombstones']));
+    expect(b.getPeerCapabilities(a.nodeIdHex).protocolVersion).toBe(1);
+    expect(toB.encoding).toBe('msgpack');
+    expect(toA.encoding).toBe('msgpack');
+  });
+
+  test('falls back to an encoding both sides speak', async () => {
+    const [toB, toA] = await connect({ encodings: ['json'] });
+    expect(toB.encoding).toBe('json');
+    expect(toA.encoding).toBe('json');
+  });
+
+  test('does not send what the peer does not support', async () => {
+    const [, toA] = await connect({}, { maxValueSize: 10 });
+    expect(await a.put('big', 'x'.repeat(100))).toBe(false);
+    expect(b.storage.has(await sha1('big'))).toBe(false);
+
+    // A peer without the ttl feature or STORE_BATCH
+    toA.send({ type: 'HELLO', sender: b.nodeIdHex, protocolVersion: 1, types: ['STORE', 'PING', 'FIND_NODE'], features: [] });
+    await sleep(20);
+    expect(await a.put('short', 'v', { ttl: 60000 })).toBe(false);
+    expect(b.storage.has(await sha1('short'))).toBe(false);
+    expect(await a._request(b.nodeIdHex, { type: 'FIND_VALUE', sender: a.nodeIdHex, key: 'short' })).toBeNull();
+    expect(await a.put('plain', 'v')).toBe(true);
+  });
+
+  for (const [name, hello] of [
+    ['too old', { protocolVersion: 0 }],
+    ['too new', { protocolVersion: 99, minProtocolVersion: 99 }],
+    ['missing', {}],
+  ]) {
+    test(`disconnects a peer whose protocol version is ${name}`, async () => {
+      const [toB, toA] = await connect();
+      const events = [];
+      a.on('peer:incompatible', (event) => events.push(['a', event.peerId]));
+      b.on('peer:incompatible', (event) => events.push(['b', event.peerId]));
+
+      toA.send({ type: 'HELLO', sender: b.nodeIdHex, ...hello });
+      await sleep(50);
+      expect(events).toEqual(expect.arrayContaining([['a', b.nodeIdHex], ['b', a.nodeIdHex]]));
+      expect(toB.destroyed).toBe(true);
+      expect(toA.destroyed).toBe(true);
+      expect(a.peers.has(b.nodeIdHex)).toBe(false);
+    });
+  }
+});
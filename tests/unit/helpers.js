@@ -0,0 +1,107 @@
+/**
+ * Helpers for in-process DHT tests: nodes run in one process and talk over
+ * in-memory connections instead of WebRTC.
+ */
+import DHT from '../../src/dht.js';
+import EventEmitter from '../../src/event-emitter.js';
+import { decodeMessage, encodeMessage } from '../../src/codec.js';
+
+/**
+ * One side of an in-memory connection, with the Peer interface the DHT uses
+ */
+export class MemoryPeer extends EventEmitter {
+  constructor(localId, remoteId) {
+    super();
+    this.localId = localId;
+    this.peerIdHex = remoteId;
+    this.connected = true;
+    this.destroyed = false;
+    this.initialized = true;
+    this.encoding = 'json';
+    this.other = null;
+    this._routedPeers = new Set();
+  }
+
+  send(message) {
+    if (!this.connected) return false;
+    const data = message instanceof Uint8Array || typeof message === 'string'
+      ? message
+      : encodeMessage(message, this.encoding);
+    const other = this.other;
+    setTimeout(() => {
+      if (!other.connected) return;
+      let decoded;
+      try {
+        decoded = decodeMessage(data);
+      } catch {
+        return;
+      }
+      other.emit('message', decoded, other.peerIdHex);
+    }, 1);
+    return true;
+  }
+
+  destroy() {
+    if (this.destroyed) return;
+    this.connected = false;
+    this.destroyed = true;
+    this.emit('close', this.peerIdHex);
+  }
+
+  signal() {}
+
+  _hasRoutedTo(peerId) {
+    return this._routedPeers.has(peerId);
+  }
+
+  _addRoutedPeer(peerId) {
+    this._routedPeers.add(peerId);
+  }
+}
+
+/**
+ * Create a DHT node with in-memory storage and wait until it is ready
+ * @param {Object} [options] - DHT options
+ * @return {Promise<DHT>} Ready node
+ */
+export async function createNode(options = {}) {
+  const dht = new DHT({ storage: 'memory', ...options });
+  await new Promise((resolve, reject) => {
+    dht.once('ready', resolve);
+    dht.once('error', reject);
+  });
+  return dht;
+}
+
+/**
+ * Connect two nodes with an in-memory connection
+ * @return {MemoryPeer[]} [a's connection to b, b's connection to a]
+ */
+export function link(a, b) {
+  const ab = new MemoryPeer(a.nodeIdHex, b.nodeIdHex);
+  const ba = new MemoryPeer(b.nodeIdHex, a.nodeIdHex);
+  ab.other = ba;
+  ba.other = ab;
+  a.peers.set(b.nodeIdHex, ab);
+  b.peers.set(a.nodeIdHex, ba);
+  a._setupPeerHandlers(ab);
+  b._setupPeerHandlers(ba);
+  ab.emit('connect', b.nodeIdHex);
+  ba.emit('connect', a.nodeIdHex);
+  return [ab, ba];
+}
+
+/**
+ * Stop a node's timers so the test process can exit
+ * @param {DHT} dht - Node to stop
+ */
+export function stopNode(dht) {
+  for (const value of Object.values(dht)) {
+    if (value && typeof value === 'object' && typeof value.hasRef === 'function') {
+      clearInterval(value);
+    }
+  }
+  for (const peer of dht.peers.values()) peer.destroy();
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
@@ -0,0 +1,102 @@
+import { test, expect } from '@playwright/test';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { generateKeyPair, ownerIdFromPub, verifyRecord } from '../../src/crypto.js';
+import { FsStorage, MemoryStorage, STORES } from '../../src/storage.js';
+import { sha1 } from '../../src/utils.js';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('node identity', () => {
+  let dir;
+
+  test.beforeEach(async () => {
+    dir = await mkdtemp(path.join(tmpdir(), 'webdht-test-'));
+  });
+
+  test.afterEach(async () => {
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  test('survives a restart when persisted', async () => {
+    const first = await createNode({ storage: new FsStorage(dir), persistIdentity: true });
+    const { nodeId, ownerId } = first;
+    stopNode(first);
+
+    const second = await createNode({ storage: new FsStorage(dir), persistIdentity: true });
+    stopNode(second);
+    expect(second.nodeId).toBe(nodeId);
+    expect(second.ownerId).toBe(ownerId);
+
+    const other = await createNode({ storage: new MemoryStorage(), persistIdentity: true });
+    stopNode(other);
+    expect(other.nodeId).not.toBe(nodeId);
+  });
+
+  test('is not shared by instances using the same storage', async () => {
+    const storage = new MemoryStorage();
+    const ids = async (options) => {
+      const a = await createNode({ storage, ...options.a });
+      const b = await createNode({ storage, ...options.b });
+      stopNode(a);
+      stopNode(b);
+      return [a.nodeId, b.nodeId];
+    };
+
+    // Not persisted by default: every instance gets its own ID
+    const [first, second] = await ids({});
+    expect(first).not.toBe(second);
+    expect(await storage.get(STORES.STATE, 'keyPair')).toBeUndefined();
+
+    // Named identities are kept apart, and each survives a restart
+    const [tab1, tab2] = await ids({ a: { persistIdentity: 'tab1' }, b: { persistIdentity: 'tab2' } });
+    expect(tab1).not.toBe(tab2);
+    const [again1, again2] = await ids({ a: { persistIdentity: 'tab1' }, b: { persistIdentity: 'tab2' } });
+    expect([again1, again2]).toEqual([tab1, tab2]);
+  });
+
+  test('lets a restarted node update the records it owns', async () => {
+    const first = await createNode({ storage: new FsStorage(dir), persistIdentity: true });
+    expect(await first.putInSpace('user', 'profile', 'v1')).toBe(true);
+    stopNode(first);
+
+    const second = await createNode({ storage: new FsStorage(dir), persistIdentity: true });
+    try {
+      expect(await second.putInSpace('user', 'profile', 'v2')).toBe(true);
+      const hash = await sha1(`user:${second.ownerId}:profile`);
+      const stored = second.storage.get(hash);
+      expect(stored.value).toBe('v2');
+      expect(stored.seq).toBe(2);
+      expect(await verifyRecord({ key: hash, ...stored })).toBe(true);
+    } finally {
+      stopNode(second);
+    }
+  });
+
+  test('reads back its user records from replicas when the node ID is overridden', async () => {
+    const a = await createNode({ nodeId: 'ab'.repeat(20) });
+    const b = await createNode();
+    try {
+      link(a, b);
+      await sleep(50);
+      expect(a.nodeIdHex).not.toBe(a.ownerId);
+      expect(await a.putInSpace('user', 'profile', 'v1')).toBe(true);
+
+      // Only b's replica is left to answer
+      const hash = await sha1(`user:${a.ownerId}:profile`);
+      expect(b.storage.has(hash)).toBe(true);
+      a.storage.delete(hash);
+      expect(await a.getFromSpace('user', 'profile')).toBe('v1');
+    } finally {
+      stopNode(a);
+      stopNode(b);
+    }
+  });
+
+  test('uses the key pair passed in the options', async () => {
+    const keyPair = await generateKeyPair();
+    const node = await createNode({ storage: new FsStorage(dir), keyPair });
+    stopNode(node);
+    expect(node.ownerId).toBe(await ownerIdFromPub(keyPair.pub));
+  });
+});
@@ -0,0 +1,54 @@
+import { test, expect } from '@playwright/test';
+import { sha1 } from '../../src/utils.js';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('iterative lookups', () => {
+  let nodes;
+
+  // a - b - c - d: each node is only connected to its neighbours in the chain
+  test.beforeEach(async () => {
+    nodes = [];
+    for (let i = 0; i < 4; i++) nodes.push(await createNode());
+    for (let i = 0; i < 3; i++) link(nodes[i], nodes[i + 1]);
+    await sleep(100);
+  });
+
+  test.afterEach(() => {
+    for (const node of nodes) stopNode(node);
+  });
+
+  test('find nodes we are not connected to', async () => {
+    const [a, , c, d] = nodes;
+    const found = (await a.findNode(d.nodeIdHex)).map((node) => node.id);
+    expect(found).toContain(c.nodeIdHex);
+    expect(found).toContain(d.nodeIdHex);
+    expect(a.peers.has(d.nodeIdHex)).toBe(false);
+  });
+
+  test('get values held only by non-neighbours', async () => {
+    const [a, , , d] = nodes;
+    await d._storeResponse({ type: 'STORE', sender: d.nodeIdHex, key: 'far', value: 'away', seq: 1 }, d.nodeIdHex);
+    expect(await a.get('far')).toBe('away');
+  });
+
+  test('put values on non-neighbours', async () => {
+    const [a, , c, d] = nodes;
+    expect(await a.put('key', 'value')).toBe(true);
+    const hash = await sha1('key');
+    expect(c.storage.get(hash)?.value).toBe('value');
+    expect(d.storage.get(hash)?.value).toBe('value');
+  });
+
+  test('ignore contacts with invalid IDs', async () => {
+    const [a, b] = nodes;
+    b.messageHandlers.FIND_NODE = (message, peerId) => {
+      b._respond(peerId, message, {
+        type: 'FIND_NODE_RESPONSE',
+        sender: b.nodeIdHex,
+        nodes: [{ id: 'not-an-id' }, { id: a.nodeIdHex }, { id: 'AB'.repeat(20) }],
+      });
+    };
+    const found = (await a.findNode('ab'.repeat(20))).map((node) => node.id);
+    expect(found).toEqual([b.nodeIdHex]);
+  });
+});
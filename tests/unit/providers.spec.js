@@ -0,0 +1,109 @@
+import { test, expect } from '@playwright/test';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+const MAX_PROVIDER_RECORDS = 10000;
+
+const key = (i) => i.toString(16).padStart(40, '0');
+
+function announce(dht, provider, i, ttl) {
+  return dht._addProviderResponse({ key: key(i), provider, sender: provider, ttl });
+}
+
+function recordCount(dht) {
+  let count = 0;
+  for (const providers of dht.providers.values()) count += providers.size;
+  return count;
+}
+
+test.describe('provider records', () => {
+  let dht;
+
+  test.beforeEach(async () => {
+    dht = await createNode();
+  });
+
+  test.afterEach(() => {
+    stopNode(dht);
+  });
+
+  test('are capped over all keys, evicting from the largest announcer', () => {
+    const flooder = 'aa'.repeat(20);
+    const honest = 'bb'.repeat(20);
+    announce(dht, honest, 0, 3600000);
+    for (let i = 1; i <= MAX_PROVIDER_RECORDS + 10; i++) {
+      announce(dht, flooder, i, 86400000);
+    }
+    announce(dht, honest, MAX_PROVIDER_RECORDS + 20, 60000);
+
+    expect(recordCount(dht)).toBe(MAX_PROVIDER_RECORDS);
+    expect(dht._providerRecordCount).toBe(MAX_PROVIDER_RECORDS);
+    // The honest node keeps both records even though they expire soonest
+    expect(dht._localProviders(key(0)).map((p) => p.id)).toEqual([honest]);
+    expect(dht._localProviders(key(MAX_PROVIDER_RECORDS + 20)).map((p) => p.id)).toEqual([honest]);
+  });
+
+  test('need a finite, positive ttl', () => {
+    const provider = 'aa'.repeat(20);
+    for (const ttl of [NaN, Infinity, 0, -1, '60000']) {
+      expect(announce(dht, provider, 1, ttl)).toMatchObject({ success: false, error: 'Invalid ttl' });
+    }
+    expect(dht.providers.size).toBe(0);
+    expect(dht._addProviderResponse({ key: key(1), provider, sender: provider }).success).toBe(true);
+  });
+
+  test('cannot be announced, nor subscriptions or watches registered, through a relay', async () => {
+    const other = await createNode();
+    try {
+      const [, toDht] = link(dht, other);
+      await sleep(50);
+      const victim = 'cc'.repeat(20);
+      const relayed = (payload, i) => ({
+        type: 'RELAY',
+        sender: other.nodeIdHex,
+        rid: `r${i}`,
+        path: [victim, other.nodeIdHex, dht.nodeIdHex],
+        index: 2,
+        payload: { sender: victim, ...payload },
+      });
+      toDht.send(relayed({ type: 'ADD_PROVIDER', key: key(1), provider: victim }, 1));
+      toDht.send(relayed({ type: 'SUBSCRIBE', topic: key(2) }, 2));
+      toDht.send(relayed({ type: 'WATCH', key: key(3) }, 3));
+      await sleep(100);
+      expect(dht.providers.size).toBe(0);
+      expect(dht._topicTrees.get(key(2))?.children.has(victim)).toBeFalsy();
+      expect(dht.watchers.get(key(3))?.has(victim)).toBeFalsy();
+
+      // Nor are they sent through one
+      dht.relayRoutes.set(victim, [other.nodeIdHex]);
+      const sent = [];
+      const send = dht.peers.get(other.nodeIdHex).send.bind(dht.peers.get(other.nodeIdHex));
+      dht.peers.get(other.nodeIdHex).send = (message) => {
+        sent.push(message);
+        send(message);
+      };
+      expect(await dht._request(victim, { type: 'ADD_PROVIDER', key: key(1), provider: dht.nodeIdHex })).toBeNull();
+      expect(sent).toEqual([]);
+    } finally {
+      stopNode(other);
+    }
+  });
+
+  test('keep their count through renewals, expiry and unannounce', async () => {
+    const provider = 'aa'.repeat(20);
+    announce(dht, provider, 1, 60000);
+    announce(dht, provider, 1, 60000);
+    announce(dht, provider, 2, 60000);
+    expect(dht._providerRecordCount).toBe(2);
+
+    dht.providers.get(key(2)).set(provider, Date.now() - 1);
+    dht._sweepExpiredProviders();
+    expect(dht._providerRecordCount).toBe(1);
+    expect(dht.providers.has(key(2))).toBe(false);
+
+    dht._addProvider(key(3), dht.nodeIdHex, Date.now() + 60000);
+    expect(dht._providerRecordCount).toBe(2);
+    await dht.unannounce(key(3));
+    expect(dht._providerRecordCount).toBe(1);
+    expect(recordCount(dht)).toBe(1);
+  });
+});
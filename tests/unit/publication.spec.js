@@ -0,0 +1,68 @@
+import { test, expect } from '@playwright/test';
+import { sha1 } from '../../src/utils.js';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('publication stamps', () => {
+  let nodes;
+
+  test.beforeEach(async () => {
+    nodes = [await createNode(), await createNode(), await createNode()];
+  });
+
+  test.afterEach(() => {
+    for (const node of nodes) stopNode(node);
+  });
+
+  test('travel unchanged through replication, lookups and caching', async () => {
+    const [a, b, c] = nodes;
+    link(a, b);
+    await sleep(50);
+    expect(await a.put('key', 'value')).toBe(true);
+    const hash = await sha1('key');
+    const stamp = a.storage.get(hash).publishedAt;
+    expect(b.storage.get(hash).publishedAt).toBe(stamp);
+
+    // c looks the record up from b; nothing on the way stamps it anew
+    await sleep(20);
+    a.peers.get(b.nodeIdHex).destroy();
+    link(b, c);
+    await sleep(50);
+    expect(await c.get('key')).toBe('value');
+    expect(c.storage.get(hash).publishedAt).toBe(stamp);
+    expect((await b._findValueResponse({ key: hash, sender: c.nodeIdHex })).publishedAt).toBe(stamp);
+    const batch = await b._findValueBatchResponse({ keys: [hash], sender: c.nodeIdHex });
+    expect(batch.results[0].publishedAt).toBe(stamp);
+  });
+
+  test('are kept by anti-entropy pushes', async () => {
+    const [a, b] = nodes;
+    link(a, b);
+    await sleep(50);
+    const hash = await sha1('key');
+    await a._storeResponse(
+      { type: 'STORE', sender: a.nodeIdHex, key: 'key', value: 'v', seq: 1, publishedAt: Date.now() - 5000 },
+      a.nodeIdHex
+    );
+    const stamp = a.storage.get(hash).publishedAt;
+    expect(await a._pushRecords(b.nodeIdHex, [hash])).toEqual([hash]);
+    expect(b.storage.get(hash).publishedAt).toBe(stamp);
+  });
+
+  test('are not refreshed by unstamped or replayed stores', async () => {
+    const [a] = nodes;
+    const hash = await sha1('key');
+    const stamp = Date.now() - 5000;
+    const message = { type: 'STORE', sender: 'ee'.repeat(20), key: 'key', value: 'v', seq: 1 };
+    await a._storeResponse({ ...message, publishedAt: stamp }, 'ee'.repeat(20));
+    await a._storeResponse(message, 'ee'.repeat(20));
+    expect(a.storage.get(hash).publishedAt).toBe(stamp);
+
+    // An unstamped record counts from when it first arrived
+    await a._storeResponse({ ...message, key: 'other' }, 'ee'.repeat(20));
+    const other = a.storage.get(await sha1('other'));
+    expect(other.publishedAt).toBeUndefined();
+    await sleep(20);
+    await a._storeResponse({ ...message, key: 'other' }, 'ee'.repeat(20));
+    expect(a.storage.get(await sha1('other')).publishedAt).toBe(other.timestamp);
+  });
+});
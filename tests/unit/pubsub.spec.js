@@ -0,0 +1,75 @@
+import { test, expect } from '@playwright/test';
+import { signPublication } from '../../src/crypto.js';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('topic publications', () => {
+  let a;
+  let b;
+
+  test.beforeEach(async () => {
+    a = await createNode();
+    b = await createNode();
+    link(a, b);
+    await sleep(50);
+  });
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+  });
+
+  async function received(topic) {
+    const seen = [];
+    await a.subscribe(topic, (payload, info) => seen.push({ payload, ...info }));
+    return seen;
+  }
+
+  test('are delivered with their verified publisher', async () => {
+    const seen = await received('news');
+    expect(await b.publish('news', { n: 1 })).toBe(true);
+    await sleep(100);
+    expect(seen).toEqual([
+      expect.objectContaining({ payload: { n: 1 }, topic: 'news', publisher: b.nodeIdHex }),
+    ]);
+  });
+
+  test('are dropped when stamped outside the freshness window', async () => {
+    const seen = await received('news');
+    const topic = await a._topicId('news');
+    const publish = async (id, publishedAt) => a._publishResponse({
+      ...(await signPublication({ topic, id, publisher: b.ownerId, publishedAt, payload: id }, b.keyPair)),
+      direction: 'up',
+    });
+
+    expect(await publish('old', Date.now() - 120000)).toMatchObject({ success: false, error: 'Stale publication' });
+    expect(await publish('future', Date.now() + 120000)).toMatchObject({ success: false, error: 'Stale publication' });
+    expect(await publish('unstamped', undefined)).toMatchObject({ success: false, error: 'Stale publication' });
+    expect(await publish('fresh', Date.now())).toMatchObject({ success: true });
+
+    await sleep(100);
+    expect(seen.map((publication) => publication.payload)).toEqual(['fresh']);
+  });
+
+  test('are dropped when the signature does not match the publisher', async () => {
+    const seen = await received('news');
+    const topic = await a._topicId('news');
+    const base = { topic, id: 'p1', publisher: b.nodeIdHex, publishedAt: Date.now(), payload: 'hi', direction: 'up' };
+
+    // Unsigned, claiming b
+    const unsigned = await a._publishResponse({ ...base, sender: b.nodeIdHex });
+    expect(unsigned).toMatchObject({ success: false, error: 'Invalid signature' });
+
+    // Signed by a but attributed to b
+    const forged = await signPublication({ ...base, publisher: a.ownerId }, a.keyPair);
+    const claimed = await a._publishResponse({ ...forged, publisher: b.nodeIdHex, direction: 'up' });
+    expect(claimed).toMatchObject({ success: false, error: 'Invalid signature' });
+
+    // Payload changed after signing
+    const signed = await signPublication(base, b.keyPair);
+    const tampered = await a._publishResponse({ ...signed, payload: 'bye', direction: 'up' });
+    expect(tampered).toMatchObject({ success: false, error: 'Invalid signature' });
+
+    await sleep(100);
+    expect(seen).toEqual([]);
+  });
+});
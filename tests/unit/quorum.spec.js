@@ -0,0 +1,58 @@
+import { test, expect } from '@playwright/test';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('write quorum', () => {
+  let nodes;
+
+  test.beforeEach(async () => {
+    nodes = [await createNode(), await createNode(), await createNode()];
+    const [a, b, c] = nodes;
+    link(a, b);
+    link(a, c);
+    await sleep(50);
+  });
+
+  test.afterEach(() => {
+    for (const node of nodes) stopNode(node);
+  });
+
+  test('counts acknowledgements until the quorum is reached', async () => {
+    const [a] = nodes;
+    const result = await a.put('key', 'value', { w: 2 });
+    expect(result.success).toBe(true);
+    expect(result.consistency.agreed).toBeGreaterThanOrEqual(2);
+  });
+
+  test('rejects with the abort reason when aborted mid-quorum', async () => {
+    const [a, , c] = nodes;
+    // One replica never answers, so the quorum of 2 cannot be reached
+    c.messageHandlers.STORE = async () => {};
+
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      const controller = new AbortController();
+      const reason = new Error('stop');
+      const put = a.put('key', 'value', { w: 2, signal: controller.signal, timeout: 60000 });
+      setTimeout(() => controller.abort(reason), 200);
+      await expect(put).rejects.toBe(reason);
+
+      // A signal aborted before the put starts rejects too
+      await expect(a.put('key', 'other', { w: 1, signal: AbortSignal.abort(reason) })).rejects.toBe(reason);
+      await sleep(50);
+      expect(unhandled).toEqual([]);
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+  });
+
+  test('put without a quorum also rejects when aborted', async () => {
+    const [a, , c] = nodes;
+    c.messageHandlers.STORE = async () => {};
+    const controller = new AbortController();
+    const put = a.put('key', 'value', { signal: controller.signal, timeout: 60000 });
+    setTimeout(() => controller.abort(new Error('stop')), 200);
+    await expect(put).rejects.toThrow('stop');
+  });
+});
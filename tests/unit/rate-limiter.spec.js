@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+import { DEFAULT_RATE_LIMITS, RateLimiter } from '../../src/rate-limiter.js';
+
+test.describe('RateLimiter', () => {
+  test('allows a burst, then refills at the configured rate', () => {
+    const limiter = new RateLimiter({ PING: { rate: 2, burst: 3 } });
+    const now = 1000;
+    for (let i = 0; i < 3; i++) expect(limiter.consume('peer', 'PING', 1, now)).toBe(true);
+    expect(limiter.consume('peer', 'PING', 1, now)).toBe(false);
+
+    // Half a second refills one token at 2 tokens/s
+    expect(limiter.consume('peer', 'PING', 1, now + 500)).toBe(true);
+    expect(limiter.consume('peer', 'PING', 1, now + 500)).toBe(false);
+
+    // Refill never exceeds the burst
+    expect(limiter.consume('peer', 'PING', 3, now + 60000)).toBe(true);
+    expect(limiter.consume('peer', 'PING', 1, now + 60000)).toBe(false);
+  });
+
+  test('tracks peers and message types separately', () => {
+    const limiter = new RateLimiter({ PING: { rate: 1, burst: 1 }, STORE: { rate: 1, burst: 1 } });
+    expect(limiter.consume('a', 'PING', 1, 0)).toBe(true);
+    expect(limiter.consume('a', 'PING', 1, 0)).toBe(false);
+    expect(limiter.consume('a', 'STORE', 1, 0)).toBe(true);
+    expect(limiter.consume('b', 'PING', 1, 0)).toBe(true);
+  });
+
+  test('lets a batch larger than the burst through on a full bucket only', () => {
+    const limiter = new RateLimiter({ STORE: { rate: 1, burst: 5 } });
+    expect(limiter.consume('peer', 'STORE', 8, 0)).toBe(true);
+    // The bucket is in debt until it has refilled
+    expect(limiter.consume('peer', 'STORE', 1, 2000)).toBe(false);
+    expect(limiter.consume('peer', 'STORE', 1, 4000)).toBe(true);
+  });
+
+  test('falls back to the default limit and skips null limits', () => {
+    const limiter = new RateLimiter({ PING: null });
+    expect(limiter.limitFor('UNKNOWN')).toEqual(DEFAULT_RATE_LIMITS.default);
+    expect(limiter.limitFor('STORE')).toEqual(DEFAULT_RATE_LIMITS.STORE);
+    for (let i = 0; i < 1000; i++) expect(limiter.consume('peer', 'PING', 1, 0)).toBe(true);
+  });
+
+  test('puts unknown types in one default bucket', () => {
+    const limiter = new RateLimiter({ default: { rate: 1, burst: 2 } }, ['PING']);
+    expect(limiter.limitFor('constructor')).toEqual({ rate: 1, burst: 2 });
+    expect(limiter.limitFor('__proto__')).toEqual({ rate: 1, burst: 2 });
+    expect(limiter.consume('peer', 'constructor', 1, 0)).toBe(true);
+    expect(limiter.consume('peer', 'made-up', 1, 0)).toBe(true);
+    expect(limiter.consume('peer', 'toString', 1, 0)).toBe(false);
+    expect(Array.from(limiter.buckets.get('peer').keys())).toEqual(['default']);
+
+    // Known types keep their own bucket, with the default limit
+    expect(limiter.consume('peer', 'PING', 1, 0)).toBe(true);
+    expect(Array.from(limiter.buckets.get('peer').keys())).toEqual(['default', 'PING']);
+  });
+
+  test('forgets a peer', () => {
+    const limiter = new RateLimiter({ PING: { rate: 1, burst: 1 } });
+    limiter.consume('peer', 'PING', 1, 0);
+    expect(limiter.consume('peer', 'PING', 1, 0)).toBe(false);
+    limiter.forget('peer');
+    expect(limiter.consume('peer', 'PING', 1, 0)).toBe(true);
+  });
+});
@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+import { sha1 } from '../../src/utils.js';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('read repair', () => {
+  let a;
+  let b;
+
+  test.beforeEach(async () => {
+    a = await createNode();
+    b = await createNode();
+    link(a, b);
+    await sleep(50);
+  });
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+  });
+
+  test('counts and repairs replicas whose copy was refused as missing', async () => {
+    await a._storeResponse(
+      { type: 'STORE', sender: a.nodeIdHex, key: 'key', value: 'new', seq: 2 },
+      a.nodeIdHex
+    );
+    // b answers with a newer copy that has already expired
+    b.messageHandlers.FIND_VALUE = async (message, peerId) => {
+      const response = await b._findValueResponse(message);
+      b._respond(peerId, message, { ...response, value: 'old', seq: 9, expiresAt: Date.now() - 1000 });
+    };
+
+    const result = await a.get('key', { r: 1 });
+    expect(result.value).toBe('new');
+    expect(result.consistency).toEqual({ required: 1, replicas: 0, agreed: 0 });
+    await sleep(100);
+    expect(b.storage.get(await sha1('key')).value).toBe('new');
+  });
+
+  test('finishes after the get that started it is aborted', async () => {
+    const store = (node, value, seq) =>
+      node._storeResponse({ type: 'STORE', sender: node.nodeIdHex, key: 'key', value, seq }, node.nodeIdHex);
+    await store(a, 'new', 2);
+    await store(b, 'old', 1);
+    // Slow down b's answers so that the repair is still running when the
+    // caller aborts
+    const handleStore = b.messageHandlers.STORE;
+    b.messageHandlers.STORE = async (...args) => {
+      await sleep(100);
+      return handleStore(...args);
+    };
+
+    const unhandled = [];
+    const onUnhandled = (reason) => unhandled.push(reason);
+    process.on('unhandledRejection', onUnhandled);
+    try {
+      const controller = new AbortController();
+      expect(await a.get('key', { signal: controller.signal })).toBe('new');
+      controller.abort(new Error('done'));
+      await sleep(300);
+      expect(unhandled).toEqual([]);
+      expect(b.storage.get(await sha1('key')).value).toBe('new');
+    } finally {
+      process.off('unhandledRejection', onUnhandled);
+    }
+  });
+});
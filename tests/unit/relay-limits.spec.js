@@ -0,0 +1,83 @@
+import { test, expect } from '@playwright/test';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('limits on relayed and batched writes', () => {
+  let a;
+  let b;
+  let toA;
+
+  test.beforeEach(async () => {
+    a = await createNode({
+      publisherQuota: { records: 2 },
+      rateLimits: { STORE: { rate: 0.001, burst: 5 } },
+      maxViolations: 1000,
+    });
+    b = await createNode();
+    [, toA] = link(a, b);
+    await sleep(50);
+  });
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+  });
+
+  function relayed(payload, i) {
+    return {
+      type: 'RELAY',
+      sender: b.nodeIdHex,
+      rid: `r${i}`,
+      path: ['cc'.repeat(20), b.nodeIdHex, a.nodeIdHex],
+      index: 2,
+      payload,
+    };
+  }
+
+  function violations() {
+    const seen = [];
+    a.on('peer:rate-limited', (event) => seen.push(event));
+    return seen;
+  }
+
+  test('relayed STOREs use the STORE rate limit of the delivering peer', async () => {
+    const seen = violations();
+    for (let i = 0; i < 8; i++) {
+      toA.send(relayed({ type: 'STORE', key: `k${i}`, value: i }, i));
+    }
+    await sleep(200);
+    const rate = seen.filter((event) => event.kind === 'rate');
+    expect(rate.length).toBe(3);
+    expect(rate.every((event) => event.peerId === b.nodeIdHex && event.type === 'STORE')).toBe(true);
+  });
+
+  test('relayed STOREs count towards the quota of the delivering peer', async () => {
+    const seen = violations();
+    for (let i = 0; i < 3; i++) {
+      toA.send(relayed({ type: 'STORE', key: `k${i}`, value: i }, i));
+    }
+    await sleep(200);
+    const stored = Array.from(a.storage.values());
+    expect(stored.length).toBe(2);
+    expect(stored.every((record) => record.publisher === b.nodeIdHex)).toBe(true);
+    expect(seen.filter((event) => event.kind === 'quota').map((event) => event.peerId)).toEqual([b.nodeIdHex]);
+  });
+
+  test('a spoofed sender does not move the quota to another publisher', async () => {
+    const seen = violations();
+    for (let i = 0; i < 3; i++) {
+      toA.send({ type: 'STORE', sender: `${i}`.repeat(40), key: `k${i}`, value: i, rid: `s${i}` });
+    }
+    toA.send({
+      type: 'STORE_BATCH',
+      sender: 'ff'.repeat(20),
+      records: [{ key: 'k9', value: 9 }],
+      rid: 'batch',
+    });
+    await sleep(200);
+    expect(a.storage.size).toBe(2);
+    expect(seen.filter((event) => event.kind === 'quota').map((event) => [event.peerId, event.type])).toEqual([
+      [b.nodeIdHex, 'STORE'],
+      [b.nodeIdHex, 'STORE_BATCH'],
+    ]);
+  });
+});
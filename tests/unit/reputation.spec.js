@@ -0,0 +1,71 @@
+import { test, expect } from '@playwright/test';
+import { ReputationTracker } from '../../src/reputation.js';
+
+test.describe('ReputationTracker', () => {
+  test('scores unknown peers neutrally', () => {
+    const tracker = new ReputationTracker();
+    expect(tracker.score('unknown')).toBeCloseTo(0.5);
+  });
+
+  test('rewards responses and valid values, penalises timeouts and invalid values', () => {
+    const good = new ReputationTracker();
+    const bad = new ReputationTracker();
+    for (let i = 0; i < 8; i++) {
+      good.recordRequest('peer');
+      good.recordResponse('peer');
+      good.recordValid('peer');
+      bad.recordRequest('peer');
+      bad.recordTimeout('peer');
+      bad.recordInvalid('peer');
+    }
+    const goodStats = good.getStats('peer');
+    expect(goodStats.responsiveness).toBeCloseTo(9 / 10);
+    expect(goodStats.correctness).toBeCloseTo(9 / 10);
+    expect(good.score('peer')).toBeGreaterThan(0.7);
+
+    const badStats = bad.getStats('peer');
+    expect(badStats.responsiveness).toBeCloseTo(1 / 10);
+    expect(badStats.correctness).toBeCloseTo(1 / 10);
+    expect(bad.score('peer')).toBeLessThan(0.1);
+  });
+
+  test('counts connected time as uptime', () => {
+    const tracker = new ReputationTracker();
+    tracker.connected('peer');
+    tracker.peers.get('peer').connectedSince -= 1800000;
+    expect(tracker.getStats('peer').uptime).toBeCloseTo(0.5, 2);
+    tracker.disconnected('peer');
+    const stats = tracker.getStats('peer');
+    expect(stats.connectedSince).toBeNull();
+    expect(stats.uptime).toBeCloseTo(0.5, 2);
+  });
+
+  test('saves open connections as uptime so far', () => {
+    const tracker = new ReputationTracker();
+    tracker.connected('peer');
+    tracker.peers.get('peer').connectedSince -= 1000;
+    const [saved] = tracker.toJSON();
+    expect(saved.peerId).toBe('peer');
+    expect(saved.connectedSince).toBeNull();
+    expect(saved.uptime).toBeGreaterThanOrEqual(1000);
+  });
+
+  test('merges saved stats into stats gathered since startup', () => {
+    const before = new ReputationTracker();
+    before.recordResponse('known');
+    before.recordResponse('known');
+    before.recordTimeout('other');
+    const saved = JSON.parse(JSON.stringify(before.toJSON()));
+    saved.find((entry) => entry.peerId === 'known').lastSeen = 1;
+
+    const after = new ReputationTracker();
+    after.recordResponse('known');
+    const lastSeen = after.peers.get('known').lastSeen;
+    after.load([...saved, null, { peerId: 42 }]);
+
+    expect(after.getStats('known').responses).toBe(3);
+    expect(after.getStats('known').lastSeen).toBe(lastSeen);
+    expect(after.getStats('other').timeouts).toBe(1);
+    expect(after.peers.size).toBe(2);
+  });
+});
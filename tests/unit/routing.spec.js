@@ -0,0 +1,141 @@
+import { test, expect } from '@playwright/test';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('k-bucket eviction', () => {
+  let dht;
+  let bucket;
+  let ids;
+
+  test.beforeEach(async () => {
+    dht = await createNode({ k: 2 });
+    // IDs differing from ours in the first bit all share one bucket
+    const first = (parseInt(dht.nodeIdHex[0], 16) ^ 8).toString(16);
+    ids = ['1', '2', '3', '4'].map((digit) => first + digit.repeat(39));
+    bucket = dht.buckets[dht._getBucketIndex(ids[0])];
+  });
+
+  test.afterEach(() => {
+    stopNode(dht);
+  });
+
+  const bucketIds = () => bucket.nodes.map((node) => node.id);
+
+  test('keeps nodes ordered from least to most recently seen', () => {
+    dht._addNode({ id: ids[0] });
+    dht._addNode({ id: ids[1] });
+    expect(bucketIds()).toEqual([ids[0], ids[1]]);
+    dht._addNode({ id: ids[0] });
+    expect(bucketIds()).toEqual([ids[1], ids[0]]);
+  });
+
+  test('keeps the least recently seen node while it answers pings', async () => {
+    const pinged = [];
+    dht._pingNode = async (id) => {
+      pinged.push(id);
+      return true;
+    };
+    dht._addNode({ id: ids[0] });
+    dht._addNode({ id: ids[1] });
+    expect(dht._addNode({ id: ids[2] })).toBe(false);
+    await sleep(10);
+
+    expect(pinged).toEqual([ids[0]]);
+    expect(bucketIds()).toEqual([ids[1], ids[0]]);
+    expect(bucket.replacements.map((node) => node.id)).toEqual([ids[2]]);
+  });
+
+  test('evicts the least recently seen node when it does not answer', async () => {
+    dht._pingNode = async () => false;
+    dht._addNode({ id: ids[0] });
+    dht._addNode({ id: ids[1] });
+    dht._addNode({ id: ids[2] });
+    await sleep(10);
+
+    expect(bucketIds()).toEqual([ids[1], ids[2]]);
+    expect(dht.getBucketStats()).toEqual([
+      expect.objectContaining({ size: 2, capacity: 2, replacements: 0, evictions: 1 }),
+    ]);
+  });
+
+  test('probes a bucket once at a time', async () => {
+    let pings = 0;
+    dht._pingNode = async () => {
+      pings++;
+      await sleep(50);
+      return true;
+    };
+    dht._addNode({ id: ids[0] });
+    dht._addNode({ id: ids[1] });
+    dht._addNode({ id: ids[2] });
+    dht._addNode({ id: ids[3] });
+    await sleep(100);
+    expect(pings).toBe(1);
+    expect(bucket.replacements.map((node) => node.id)).toEqual([ids[2], ids[3]]);
+  });
+
+  test('only adds the peer a message came from, not the sender it claims', async () => {
+    const other = await createNode();
+    try {
+      const [toDht] = link(other, dht);
+      await sleep(50);
+      toDht.send({ type: 'PING', sender: ids[0] });
+      await sleep(50);
+      const known = dht.buckets.flatMap((b) => b.nodes.map((node) => node.id));
+      expect(known).toContain(other.nodeIdHex);
+      expect(known).not.toContain(ids[0]);
+    } finally {
+      stopNode(other);
+    }
+  });
+});
+
+test.describe('bucket refresh', () => {
+  let a;
+  let b;
+
+  test.beforeEach(async () => {
+    a = await createNode({ bucketRefreshInterval: 1000 });
+    b = await createNode();
+    link(a, b);
+    await sleep(50);
+  });
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+  });
+
+  test('picks random IDs in the range of a bucket', async () => {
+    for (const index of [0, 1, 7, 80, 159]) {
+      const id = await a._randomIdInBucket(index);
+      expect(id).toMatch(/^[0-9a-f]{40}$/);
+      expect(a._getBucketIndex(id)).toBe(index);
+    }
+  });
+
+  test('lookups mark their bucket as active', async () => {
+    const target = await a._randomIdInBucket(3);
+    a.buckets[3].lastActivity = 0;
+    await a.findNode(target);
+    expect(Date.now() - a.buckets[3].lastActivity).toBeLessThan(1000);
+  });
+
+  test('looks up a random ID in each stale bucket up to the deepest in use', async () => {
+    a.buckets[5].add({ id: await a._randomIdInBucket(5) });
+    const deepest = Math.max(5, a._getBucketIndex(b.nodeIdHex));
+    for (const bucket of a.buckets) bucket.lastActivity = Date.now() - 5000;
+    a.buckets[2].lastActivity = Date.now();
+
+    const targets = [];
+    a._lookup = async (target) => {
+      targets.push(target);
+      return { nodes: [], values: [], contacted: [] };
+    };
+    await a._refreshStaleBuckets();
+
+    const refreshed = targets.map((target) => a._getBucketIndex(target));
+    const expected = [];
+    for (let i = 0; i <= deepest; i++) if (i !== 2) expected.push(i);
+    expect(refreshed).toEqual(expected);
+  });
+});
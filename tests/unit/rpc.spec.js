@@ -0,0 +1,76 @@
+import { test, expect } from '@playwright/test';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('request/response RPC', () => {
+  let a;
+  let b;
+  let toB;
+
+  test.beforeEach(async () => {
+    a = await createNode();
+    b = await createNode();
+    [toB] = link(a, b);
+    await sleep(50);
+  });
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+  });
+
+  const ping = (options) => a._request(b.nodeIdHex, { type: 'PING', sender: a.nodeIdHex }, options);
+
+  test('matches concurrent responses to their requests', async () => {
+    // b answers the first request last
+    b.messageHandlers.FIND_VALUE = async (message, peerId) => {
+      await sleep(message.tag === 1 ? 60 : 10);
+      b._respond(peerId, message, { type: 'FIND_VALUE_RESPONSE', sender: b.nodeIdHex, value: message.tag });
+    };
+    const request = (tag) => a._request(b.nodeIdHex, { type: 'FIND_VALUE', sender: a.nodeIdHex, key: 'same', tag });
+    const [first, second] = await Promise.all([request(1), request(2)]);
+    expect(first.value).toBe(1);
+    expect(second.value).toBe(2);
+  });
+
+  test('counts requests in flight and resolves null on timeout', async () => {
+    b.messageHandlers.PING = async () => {};
+    const pending = ping({ timeout: 100 });
+    expect(a.getInFlightRequests()).toEqual({
+      total: 1,
+      byPeer: { [b.nodeIdHex]: 1 },
+      byType: { PING: 1 },
+    });
+    expect(await pending).toBeNull();
+    expect(a.getInFlightRequests().total).toBe(0);
+  });
+
+  test('rejects with the abort reason', async () => {
+    b.messageHandlers.PING = async () => {};
+    const controller = new AbortController();
+    const reason = new Error('stop');
+    const pending = ping({ signal: controller.signal, timeout: 60000 });
+    controller.abort(reason);
+    await expect(pending).rejects.toBe(reason);
+    expect(a.getInFlightRequests().total).toBe(0);
+    await expect(ping({ signal: controller.signal })).rejects.toBe(reason);
+  });
+
+  test('ignores responses from another node or of another type', async () => {
+    b.messageHandlers.PING = async () => {};
+    const pending = ping({ timeout: 200 });
+    const [rid] = a._pendingRequests.keys();
+    expect(a._resolveRequest({ type: 'PONG', rid }, 'cc'.repeat(20))).toBe(false);
+    expect(a._resolveRequest({ type: 'STORE_RESPONSE', rid }, b.nodeIdHex)).toBe(false);
+    expect(a._resolveRequest({ type: 'PONG', rid: 'other' }, b.nodeIdHex)).toBe(false);
+    expect(a._resolveRequest({ type: 'PONG', rid, sender: b.nodeIdHex }, b.nodeIdHex)).toBe(true);
+    expect(await pending).toMatchObject({ type: 'PONG' });
+  });
+
+  test('fails requests to a peer that disconnects', async () => {
+    b.messageHandlers.PING = async () => {};
+    const pending = ping({ timeout: 60000 });
+    toB.destroy();
+    expect(await pending).toBeNull();
+    expect(a.getInFlightRequests().total).toBe(0);
+  });
+});
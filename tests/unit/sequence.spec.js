@@ -0,0 +1,67 @@
+import { test, expect } from '@playwright/test';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('sequence numbers', () => {
+  let a;
+  let b;
+
+  test.beforeEach(async () => {
+    a = await createNode();
+    b = await createNode();
+    link(a, b);
+    await sleep(50);
+  });
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+  });
+
+  test('put rejects invalid sequence numbers', async () => {
+    await expect(a.put('key', 'value', { seq: 2 ** 53 })).rejects.toThrow('Sequence number must be an integer');
+    await expect(a.put('key', 'value', { seq: -1 })).rejects.toThrow('Sequence number must be an integer');
+  });
+
+  test('a write refused as stale is rolled back locally', async () => {
+    // b already holds a newer version written elsewhere
+    const newer = await b._storeResponse(
+      { type: 'STORE', sender: b.nodeIdHex, key: 'key', value: 'newer', seq: 5 },
+      b.nodeIdHex
+    );
+    expect(newer.success).toBe(true);
+
+    expect(await a.put('key', 'mine')).toBe(false);
+    expect(a.getPublished()).toEqual([]);
+    expect(await a.get('key')).toBe('newer');
+
+    // The next write goes on top of the version learned by get
+    expect(await a.put('key', 'latest')).toBe(true);
+    expect(await b.get('key')).toBe('latest');
+  });
+
+  test('a batch write refused as stale is rolled back locally', async () => {
+    await b._storeResponse(
+      { type: 'STORE', sender: b.nodeIdHex, key: 'stale', value: 'newer', seq: 5 },
+      b.nodeIdHex
+    );
+
+    const results = await a.putMany([['stale', 'mine'], ['fresh', 'value']]);
+    expect(results.get('stale')).toBe(false);
+    expect(results.get('fresh')).toBe(true);
+    expect(a.getPublished().map((record) => record.key)).toEqual(['fresh']);
+    expect(await a.get('stale')).toBe('newer');
+  });
+
+  test('a stale quorum write restores the previous local version', async () => {
+    expect(await a.put('key', 'v1')).toBe(true);
+    await b._storeResponse(
+      { type: 'STORE', sender: b.nodeIdHex, key: 'key', value: 'other', seq: 3 },
+      b.nodeIdHex
+    );
+    const result = await a.put('key', 'v2', { w: 1 });
+    expect(result.success).toBe(false);
+    await sleep(20);
+    const [published] = a.getPublished();
+    expect(published.seq).toBe(1);
+  });
+});
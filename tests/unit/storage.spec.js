@@ -0,0 +1,123 @@
+import { test, expect } from '@playwright/test';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import {
+  FsStorage,
+  MemoryStorage,
+  STORES,
+  StorageAdapter,
+  createStorage,
+} from '../../src/storage.js';
+
+async function entriesOf(storage, store) {
+  const entries = [];
+  for await (const entry of storage.iterate(store)) entries.push(entry);
+  return entries.sort(([a], [b]) => a.localeCompare(b));
+}
+
+const adapters = {
+  memory: async () => ({ storage: new MemoryStorage(), cleanup: async () => {} }),
+  fs: async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'webdht-test-'));
+    return { storage: new FsStorage(dir), dir, cleanup: () => rm(dir, { recursive: true, force: true }) };
+  },
+};
+
+for (const [name, create] of Object.entries(adapters)) {
+  test.describe(`${name} storage`, () => {
+    let storage;
+    let context;
+
+    test.beforeEach(async () => {
+      context = await create();
+      storage = context.storage;
+    });
+
+    test.afterEach(async () => {
+      await context.cleanup();
+    });
+
+    test('gets, puts and deletes values', async () => {
+      expect(await storage.get(STORES.RECORDS, 'missing')).toBeUndefined();
+      const value = { value: 'v', seq: 3, bytes: new Uint8Array([1, 2]) };
+      await storage.put(STORES.RECORDS, 'key', value);
+      const stored = await storage.get(STORES.RECORDS, 'key');
+      expect(stored.value).toBe('v');
+      expect(stored.seq).toBe(3);
+      expect(Array.from(stored.bytes)).toEqual([1, 2]);
+
+      await storage.put(STORES.RECORDS, 'key', { value: 'w' });
+      expect(await storage.get(STORES.RECORDS, 'key')).toEqual({ value: 'w' });
+
+      await storage.delete(STORES.RECORDS, 'key');
+      await storage.delete(STORES.RECORDS, 'key');
+      expect(await storage.get(STORES.RECORDS, 'key')).toBeUndefined();
+    });
+
+    test('copies values in and out', async () => {
+      const value = { list: [1] };
+      await storage.put(STORES.STATE, 'k', value);
+      value.list.push(2);
+      const stored = await storage.get(STORES.STATE, 'k');
+      stored.list.push(3);
+      expect(await storage.get(STORES.STATE, 'k')).toEqual({ list: [1] });
+    });
+
+    test('iterates and counts each store separately', async () => {
+      expect(await entriesOf(storage, STORES.RECORDS)).toEqual([]);
+      expect(await storage.size(STORES.RECORDS)).toBe(0);
+      await storage.put(STORES.RECORDS, 'a', 1);
+      await storage.put(STORES.RECORDS, 'user:x/y?', 2);
+      await storage.put(STORES.STATE, 'a', 3);
+      expect(await entriesOf(storage, STORES.RECORDS)).toEqual([['a', 1], ['user:x/y?', 2]]);
+      expect(await entriesOf(storage, STORES.STATE)).toEqual([['a', 3]]);
+      expect(await storage.size(STORES.RECORDS)).toBe(2);
+    });
+
+    test('evicts the oldest entries first', async () => {
+      for (let i = 0; i < 5; i++) {
+        await storage.put(STORES.RECORDS, `k${i}`, { value: 'x'.repeat(10), timestamp: 100 - i });
+      }
+      expect(await storage.evict(STORES.RECORDS, { maxEntries: 3 })).toEqual(['k4', 'k3']);
+      expect((await entriesOf(storage, STORES.RECORDS)).map(([key]) => key)).toEqual(['k0', 'k1', 'k2']);
+
+      const entrySize = new TextEncoder().encode(JSON.stringify({ value: 'x'.repeat(10), timestamp: 100 })).length;
+      expect(await storage.evict(STORES.RECORDS, { maxBytes: entrySize })).toEqual(['k2', 'k1']);
+      expect(await storage.evict(STORES.RECORDS, { maxEntries: 1 })).toEqual([]);
+    });
+  });
+}
+
+test.describe('fs storage files', () => {
+  test('writes one file per key, with no temporary files left behind', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'webdht-test-'));
+    try {
+      const storage = new FsStorage(dir);
+      await storage.put(STORES.RECORDS, 'a/b', { v: 1 });
+      await storage.put(STORES.RECORDS, 'a/b', { v: 2 });
+      expect(await readdir(path.join(dir, STORES.RECORDS))).toEqual([`${encodeURIComponent('a/b')}.json`]);
+      expect(await new FsStorage(dir).get(STORES.RECORDS, 'a/b')).toEqual({ v: 2 });
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+test.describe('createStorage', () => {
+  test('selects a backend', () => {
+    expect(createStorage({ storage: 'memory' })).toBeInstanceOf(MemoryStorage);
+    expect(createStorage({ storage: 'fs', storagePath: '/tmp/x' }).dir).toBe('/tmp/x');
+    // IndexedDB is not available in Node.js
+    expect(createStorage({})).toBeInstanceOf(MemoryStorage);
+    expect(() => createStorage({ storage: 'indexeddb' })).toThrow('IndexedDB is not available');
+    expect(() => createStorage({ storage: 'nope' })).toThrow('Unknown storage backend: nope');
+    const custom = new MemoryStorage();
+    expect(createStorage({ storage: custom })).toBe(custom);
+  });
+
+  test('custom backends must implement the basic operations', async () => {
+    class Incomplete extends StorageAdapter {}
+    await expect(new Incomplete().get(STORES.STATE, 'k')).rejects.toThrow('Incomplete does not implement get');
+  });
+});
@@ -0,0 +1,233 @@
+import { test, expect } from '@playwright/test';
+import { generateKeyPair, ownerIdFromPub, signRecord } from '../../src/crypto.js';
+import { sha1 } from '../../src/utils.js';
+import { createNode, stopNode } from './helpers.js';
+
+const SENDER = 'ee'.repeat(20);
+const PEER = 'dd'.repeat(20);
+
+/**
+ * Build a STORE (or, with value null, a DELETE) for an owned-space key,
+ * signed with the given key pair
+ */
+async function signedMessage(keyPair, name, value, seq, options = {}) {
+  const owner = await ownerIdFromPub(keyPair.pub);
+  const key = `user:${options.keyOwner || owner}:${name}`;
+  const expiresAt = options.expiresAt || Date.now() + 60000;
+  const meta = await signRecord(
+    { key: await sha1(key), value, meta: { space: 'user', owner }, expiresAt, seq },
+    keyPair
+  );
+  return {
+    type: value === null ? 'DELETE' : 'STORE',
+    sender: SENDER,
+    key,
+    ...(value === null ? {} : { value }),
+    meta,
+    expiresAt,
+    seq,
+  };
+}
+
+test.describe('STORE and DELETE validation', () => {
+  let dht;
+  let alice;
+  let bob;
+
+  test.beforeAll(async () => {
+    alice = await generateKeyPair();
+    bob = await generateKeyPair();
+  });
+
+  test.beforeEach(async () => {
+    dht = await createNode({ publisherQuota: { records: 3 } });
+  });
+
+  test.afterEach(() => {
+    stopNode(dht);
+  });
+
+  test('owned spaces require a valid owner signature', async () => {
+    const owner = await ownerIdFromPub(alice.pub);
+    const unsigned = await dht._storeResponse({
+      type: 'STORE', sender: SENDER, key: `user:${owner}:name`, value: 'x',
+    }, PEER);
+    expect(unsigned.error).toBe('Not allowed to write to this space');
+
+    const message = await signedMessage(alice, 'name', 'x', 1);
+    const tampered = await dht._storeResponse({ ...message, value: 'y' }, PEER);
+    expect(tampered.error).toBe('Invalid record signature');
+
+    // Bob cannot sign records into Alice's namespace
+    const foreign = await dht._storeResponse(
+      await signedMessage(bob, 'name', 'x', 1, { keyOwner: owner }),
+      PEER
+    );
+    expect(foreign.error).toBe('Not allowed to write to this space');
+
+    expect((await dht._storeResponse(message, PEER)).success).toBe(true);
+    expect(dht.storage.get(await sha1(message.key)).value).toBe('x');
+  });
+
+  test('records addressed by their hashed key keep their space and owner', async () => {
+    const owner = await ownerIdFromPub(alice.pub);
+    const message = await signedMessage(alice, 'name', 'x', 1);
+    expect((await dht._storeResponse(message, PEER)).success).toBe(true);
+    const hash = await sha1(message.key);
+    const store = (key, fields) =>
+      dht._storeResponse({ type: 'STORE', sender: SENDER, key, value: 'evil', seq: 2, ...fields }, PEER);
+
+    expect((await store(hash, {})).error).toBe('Not allowed to write to this space');
+    expect((await store(hash, { meta: { space: 'public' } })).error).toBe('Not allowed to write to this space');
+    expect((await store(hash, { meta: { space: 'user', owner } })).success).toBe(false);
+    expect(dht.storage.get(hash).value).toBe('x');
+
+    // Nor can a tombstone be replaced by an unsigned record
+    expect((await dht._deleteResponse(await signedMessage(alice, 'name', null, 2), PEER)).success).toBe(true);
+    expect((await store(hash, { seq: 3 })).error).toBe('Not allowed to write to this space');
+    expect(dht.storage.get(hash).tombstone).toBe(true);
+
+    // Frozen records are first-write-wins by hash too
+    const frozen = { type: 'STORE', sender: SENDER, key: 'frozen:name', value: 'first', meta: { space: 'frozen' } };
+    expect((await dht._storeResponse(frozen, PEER)).success).toBe(true);
+    const frozenHash = await sha1('frozen:name');
+    expect((await store(frozenHash, { seq: 1 })).error).toBe('Not allowed to write to this space');
+    expect(dht.storage.get(frozenHash).value).toBe('first');
+  });
+
+  test('user records are only served to the owner named by their signature', async () => {
+    const owner = await ownerIdFromPub(alice.pub);
+    const message = await signedMessage(alice, 'name', 'x', 1);
+    expect((await dht._storeResponse(message, PEER)).success).toBe(true);
+    const read = (fields) => dht._findValueResponse({ type: 'FIND_VALUE', key: message.key, ...fields });
+
+    // The reader's node ID need not match its owner ID
+    expect((await read({ sender: SENDER, owner })).value).toBe('x');
+    expect((await read({ sender: owner })).value).toBe('x');
+    expect((await read({ sender: owner, owner: await ownerIdFromPub(bob.pub) })).value).toBeUndefined();
+    expect((await read({ sender: SENDER })).value).toBeUndefined();
+  });
+
+  test('mutable records only move forward', async () => {
+    expect((await dht._storeResponse(await signedMessage(alice, 'name', 'v2', 2), PEER)).success).toBe(true);
+
+    const older = await dht._storeResponse(await signedMessage(alice, 'name', 'v1', 1), PEER);
+    expect(older.error).toBe('Stale sequence number');
+    expect(older.seq).toBe(2);
+
+    const conflicting = await dht._storeResponse(await signedMessage(alice, 'name', 'other', 2), PEER);
+    expect(conflicting.error).toBe('Stale sequence number');
+
+    // The same version again is accepted (replication)
+    expect((await dht._storeResponse(await signedMessage(alice, 'name', 'v2', 2), PEER)).success).toBe(true);
+    expect((await dht._storeResponse(await signedMessage(alice, 'name', 'v3', 3), PEER)).success).toBe(true);
+  });
+
+  test('sequence numbers are bounded', async () => {
+    const store = (key, seq) =>
+      dht._storeResponse({ type: 'STORE', sender: SENDER, key, value: 'x', seq }, PEER);
+    expect((await store('a', 2 ** 53)).error).toBe('Invalid sequence number');
+    expect((await store('a', 2 ** 48 + 1)).error).toBe('Invalid sequence number');
+    expect((await store('a', 1.5)).error).toBe('Invalid sequence number');
+    expect((await store('a', -1)).error).toBe('Invalid sequence number');
+
+    // Unsigned writes cannot jump far ahead of the version they replace
+    expect((await store('a', 65537)).error).toBe('Sequence number too far ahead');
+    expect((await store('a', 65536)).success).toBe(true);
+    expect((await store('a', 65536 * 2 + 1)).error).toBe('Sequence number too far ahead');
+
+    // Owners can vouch for any valid sequence number
+    expect((await dht._storeResponse(await signedMessage(alice, 'name', 'x', 2 ** 48), PEER)).success).toBe(true);
+  });
+
+  test('compare-and-swap writes only apply on the expected version', async () => {
+    const first = await signedMessage(alice, 'name', 'v1', 1);
+    expect((await dht._storeResponse(first, PEER)).success).toBe(true);
+    const mismatch = await dht._storeResponse({ ...(await signedMessage(alice, 'name', 'v2', 2)), cas: 0 }, PEER);
+    expect(mismatch.error).toBe('CAS mismatch');
+    expect(mismatch.seq).toBe(1);
+    expect((await dht._storeResponse({ ...(await signedMessage(alice, 'name', 'v2', 2)), cas: 1 }, PEER)).success).toBe(true);
+  });
+
+  test('publishers are held to their storage quota', async () => {
+    const store = (key, value, sender = SENDER) =>
+      dht._storeResponse({ type: 'STORE', sender, key, value }, PEER);
+    for (let i = 0; i < 3; i++) {
+      expect((await store(`k${i}`, i)).success).toBe(true);
+    }
+    expect((await store('k3', 3)).error).toBe('Publisher quota exceeded');
+
+    // Unsigned records are charged to the peer they came from, whatever
+    // sender it claims
+    expect((await store('k3', 3, 'aa'.repeat(20))).error).toBe('Publisher quota exceeded');
+    expect(dht.storage.get(await sha1('k0')).publisher).toBe(PEER);
+
+    // Rewriting an existing key does not count twice
+    expect((await store('k0', 'again')).success).toBe(true);
+
+    // Signed records are charged to their owner
+    for (let i = 0; i < 3; i++) {
+      expect((await dht._storeResponse(await signedMessage(alice, `n${i}`, i, 1), PEER)).success).toBe(true);
+    }
+    expect((await dht._storeResponse(await signedMessage(alice, 'n3', 3, 1), PEER)).error).toBe('Publisher quota exceeded');
+  });
+
+  test('owners named by unsigned records are not charged', async () => {
+    const owner = await ownerIdFromPub(alice.pub);
+    const store = (key, meta) =>
+      dht._storeResponse({ type: 'STORE', sender: SENDER, key, value: 'x', meta }, PEER);
+    for (let i = 0; i < 3; i++) {
+      expect((await store(`k${i}`, { space: 'public', owner: `fake${i}` })).success).toBe(true);
+    }
+    expect((await store('k3', { space: 'public', owner: 'fake3' })).error).toBe('Publisher quota exceeded');
+    expect(dht.storage.get(await sha1('k0')).publisher).toBe(PEER);
+
+    // Naming someone else's owner ID does not use up their quota
+    expect((await store('k3', { space: 'frozen', owner })).error).toBe('Publisher quota exceeded');
+    for (let i = 0; i < 3; i++) {
+      expect((await dht._storeResponse(await signedMessage(alice, `n${i}`, i, 1), PEER)).success).toBe(true);
+    }
+  });
+
+  test('only the owner can delete an owned record', async () => {
+    const record = await signedMessage(alice, 'name', 'x', 1);
+    expect((await dht._storeResponse(record, PEER)).success).toBe(true);
+
+    const unsigned = await dht._deleteResponse({
+      type: 'DELETE', sender: SENDER, key: record.key, seq: 2, expiresAt: Date.now() + 60000,
+    }, PEER);
+    expect(unsigned.success).toBe(false);
+
+    const owner = await ownerIdFromPub(alice.pub);
+    const foreign = await dht._deleteResponse(await signedMessage(bob, 'name', null, 2, { keyOwner: owner }), PEER);
+    expect(foreign.success).toBe(false);
+
+    const stale = await dht._deleteResponse(await signedMessage(alice, 'name', null, 1), PEER);
+    expect(stale.error).toBe('Stale sequence number');
+
+    expect((await dht._deleteResponse(await signedMessage(alice, 'name', null, 2), PEER)).success).toBe(true);
+    expect(dht.storage.get(await sha1(record.key)).tombstone).toBe(true);
+
+    // The tombstone holds back the deleted version, replicated as a STORE
+    // or not
+    expect((await dht._storeResponse(record, PEER)).error).toBe('Stale sequence number');
+    const tombstone = { ...(await signedMessage(alice, 'name', null, 2)), type: 'STORE', tombstone: true };
+    expect((await dht._storeResponse(tombstone, PEER)).success).toBe(true);
+    expect((await dht._storeResponse(await signedMessage(alice, 'name', 'y', 3), PEER)).success).toBe(true);
+  });
+
+  test('frozen records cannot be overwritten or deleted', async () => {
+    const store = (value) => dht._storeResponse({
+      type: 'STORE', sender: SENDER, key: 'frozen:name', value, meta: { space: 'frozen' },
+    }, PEER);
+    expect((await store('first')).success).toBe(true);
+    expect((await store('first')).success).toBe(true);
+    expect((await store('second')).error).toBe('Frozen key already set');
+
+    const deleted = await dht._deleteResponse({
+      type: 'DELETE', sender: SENDER, key: 'frozen:name', seq: 1,
+      expiresAt: Date.now() + 60000, meta: { space: 'frozen' },
+    }, PEER);
+    expect(deleted.error).toBe('Records in this space cannot be deleted');
+  });
+});
@@ -0,0 +1,83 @@
+import { test, expect } from '@playwright/test';
+import { sha1 } from '../../src/utils.js';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('replica sync', () => {
+  let a;
+  let b;
+
+  test.beforeEach(async () => {
+    a = await createNode();
+    b = await createNode();
+  });
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+  });
+
+  const store = (node, key, value, seq = 1) =>
+    node._storeResponse({ type: 'STORE', sender: node.nodeIdHex, key, value, seq }, node.nodeIdHex);
+
+  test('reconciles the records neighbours share when they connect', async () => {
+    for (let i = 0; i < 90; i++) await store(a, `a${i}`, i);
+    await store(b, 'b0', 'b');
+    await store(a, 'both', 'old', 1);
+    await store(b, 'both', 'new', 2);
+
+    link(a, b);
+    await sleep(500);
+    for (let i = 0; i < 90; i++) {
+      expect(b.storage.get(await sha1(`a${i}`))?.value).toBe(i);
+    }
+    expect(a.storage.get(await sha1('b0'))?.value).toBe('b');
+    expect(a.storage.get(await sha1('both')).value).toBe('new');
+  });
+
+  test('only sends the records that differ', async () => {
+    for (let i = 0; i < 90; i++) await store(a, `a${i}`, i);
+    const [toB, toA] = link(a, b);
+    await sleep(500);
+
+    const sent = { a: [], b: [] };
+    const count = (list) => (message) => {
+      if (message.type === 'STORE') list.push(message.key);
+      if (message.type === 'STORE_BATCH') list.push(...message.records.map((record) => record.key));
+    };
+    toA.on('message', count(sent.a));
+    toB.on('message', count(sent.b));
+
+    await a._syncWithPeer(b.nodeIdHex);
+    expect(sent).toEqual({ a: [], b: [] });
+
+    await store(a, 'a0', 'changed', 2);
+    await store(a, 'new', 'v');
+    await a._syncWithPeer(b.nodeIdHex);
+    expect(sent.a.sort()).toEqual(['a0', 'new']);
+    expect(sent.b).toEqual([]);
+    expect(b.storage.get(await sha1('a0')).value).toBe('changed');
+  });
+
+  test('answers repeated SYNC messages from one scan of storage', async () => {
+    for (let i = 0; i < 90; i++) await store(b, `b${i}`, i);
+    link(a, b);
+    await sleep(500);
+
+    let scans = 0;
+    const sharedRecords = b._sharedRecords.bind(b);
+    b._sharedRecords = (peerId) => {
+      scans++;
+      return sharedRecords(peerId);
+    };
+    const prefixes = ['', ...'0123456789abcdef'];
+    for (let i = 0; i < 10; i++) {
+      const response = await a._request(b.nodeIdHex, {
+        type: 'SYNC',
+        sender: a.nodeIdHex,
+        ranges: prefixes.map((prefix) => ({ prefix, count: 0, hash: '' })),
+      });
+      expect(response.ranges.find((range) => range.prefix === '').count).toBe(90);
+    }
+    expect(scans).toBeLessThanOrEqual(1);
+  });
+});
@@ -0,0 +1,103 @@
+import { test, expect } from '@playwright/test';
+import { sha1 } from '../../src/utils.js';
+import { createNode, link, sleep, stopNode } from './helpers.js';
+
+test.describe('key watches', () => {
+  let a;
+  let b;
+  let c;
+
+  test.beforeEach(async () => {
+    a = await createNode();
+    b = await createNode();
+    c = await createNode();
+    link(a, b);
+    link(a, c);
+    link(b, c);
+    await sleep(50);
+  });
+
+  test.afterEach(() => {
+    stopNode(a);
+    stopNode(b);
+    stopNode(c);
+  });
+
+  async function watched(node, key) {
+    const changes = [];
+    const unwatch = await node.watch(key, (change) => changes.push(change));
+    return { changes, unwatch };
+  }
+
+  test('report each write and delete once', async () => {
+    const { changes } = await watched(a, 'key');
+    const hash = await sha1('key');
+    expect(b.watchers.get(hash).has(a.nodeIdHex)).toBe(true);
+    expect(c.watchers.get(hash).has(a.nodeIdHex)).toBe(true);
+
+    expect(await b.put('key', 'v1')).toBe(true);
+    await sleep(100);
+    expect(changes).toEqual([expect.objectContaining({ key: 'key', event: 'put', value: 'v1', seq: 1 })]);
+
+    expect(await b.delete('key')).toBe(true);
+    await sleep(100);
+    expect(changes.map((change) => change.event)).toEqual(['put', 'delete']);
+  });
+
+  test('skip versions older than the last one reported', async () => {
+    const { changes } = await watched(a, 'key');
+    const hash = await sha1('key');
+    const notify = (value, seq) =>
+      a._watchNotifyResponse({ type: 'WATCH_NOTIFY', sender: b.nodeIdHex, key: hash, event: 'put', value, seq });
+    expect(notify('v2', 2).success).toBe(true);
+    await sleep(20);
+    notify('v1', 1);
+    notify('v2', 2);
+    await sleep(20);
+    expect(changes.map((change) => change.value)).toEqual(['v2']);
+  });
+
+  test('stop when unwatched', async () => {
+    const { changes, unwatch } = await watched(a, 'key');
+    await unwatch();
+    await sleep(20);
+    const hash = await sha1('key');
+    expect(b.watchers.has(hash)).toBe(false);
+    expect(c.watchers.has(hash)).toBe(false);
+
+    expect(await b.put('key', 'v1')).toBe(true);
+    await sleep(100);
+    expect(changes).toEqual([]);
+    // A notification that arrives anyway is refused, so the replica drops us
+    expect(a._watchNotifyResponse({ key: hash, event: 'put', value: 'v', seq: 5 }).success).toBe(false);
+  });
+
+  test('leases expire unless renewed, and are capped by the replica', async () => {
+    const hash = await sha1('key');
+    expect(b._watchResponse({ sender: a.nodeIdHex, key: hash, lease: 50 }).success).toBe(true);
+    expect(b._watchResponse({ sender: c.nodeIdHex, key: hash, lease: 1e12 }).success).toBe(true);
+    expect(b.watchers.get(hash).get(c.nodeIdHex)).toBeLessThanOrEqual(Date.now() + b.WATCH_LEASE * 2);
+
+    await sleep(100);
+    b._notifyWatchers(hash, 'put');
+    expect(Array.from(b.watchers.get(hash).keys())).toEqual([c.nodeIdHex]);
+  });
+
+  test('are renewed while the watch lasts', async () => {
+    const d = await createNode({ watchLease: 100 });
+    try {
+      link(d, b);
+      await sleep(50);
+      await watched(d, 'key');
+      const hash = await sha1('key');
+      const first = b.watchers.get(hash).get(d.nodeIdHex);
+      expect(first).toBeLessThanOrEqual(Date.now() + 100);
+
+      await sleep(300);
+      expect(b.watchers.get(hash).get(d.nodeIdHex)).toBeGreaterThan(Date.now());
+      expect(b.watchers.get(hash).get(d.nodeIdHex)).toBeGreaterThan(first + 100);
+    } finally {
+      stopNode(d);
+    }
+  });
+});